@@ -1,6 +1,6 @@
 // src/App.jsx
 import { useState, useEffect } from 'react'
-import { Toaster } from 'react-hot-toast'
+import toast, { Toaster } from 'react-hot-toast'
 import { 
   Database, 
   Plus, 
@@ -11,10 +11,16 @@ import {
   Menu, 
   X,
   Stethoscope,
-  Activity
+  Activity,
+  Tag,
+  GitMerge,
+  Search,
+  Library
 } from 'lucide-react'
 import { supabase } from './database/supabase'
-import { backendService } from './Backend/backendConfig'
+import { backendService } from './Backend/backendService'
+import { useLabUnitSystem } from './Backend/useApi'
+import { UNIT_SYSTEMS } from './Backend/labUnits'
 
 // Components
 import Auth from './components/Auth'
@@ -22,6 +28,10 @@ import DatabaseTest from './components/DatabaseTest'
 import DiseaseManagement from './components/DiseaseManagement'
 import DiseaseCompare from './components/DiseaseCompare'
 import QuickPeek from './components/QuickPeek'
+import AliasManager from './components/AliasManager'
+import DuplicateFeatures from './components/DuplicateFeatures'
+import CommandPalette from './components/CommandPalette'
+import FeatureBrowser from './components/FeatureBrowser'
 
 // In App.jsx, around line 25, add this:
 
@@ -31,6 +41,12 @@ function App() {
   const [currentView, setCurrentView] = useState('dashboard')
   const [sidebarOpen, setSidebarOpen] = useState(false)
   const [backendHealth, setBackendHealth] = useState(null)
+  const [checkingParity, setCheckingParity] = useState(false)
+  const [paletteOpen, setPaletteOpen] = useState(false)
+  // Where the command palette sent us: { view, diseaseId?, diseaseIds?, filter?, focusFeatures? }
+  const [viewTarget, setViewTarget] = useState(null)
+  const [navigationCount, setNavigationCount] = useState(0)
+  const { unitSystem, setUnitSystem, saving: savingUnits } = useLabUnitSystem()
 
   useEffect(() => {
   if (user) {
@@ -61,6 +77,21 @@ function App() {
     return () => subscription.unsubscribe()
   }, [])
 
+  // Ctrl/Cmd+K opens the command palette from anywhere
+  useEffect(() => {
+    if (!user) return
+
+    const handleKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault()
+        setPaletteOpen(open => !open)
+      }
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [user])
+
   // Check backend health on load
   useEffect(() => {
     if (user) {
@@ -78,6 +109,36 @@ function App() {
     }
   }
 
+  // One RPC per corpus case, so only run when asked for
+  const checkTokenParity = async () => {
+    setCheckingParity(true)
+    try {
+      const { passed, total, failures } = await backendService.checkTokenParity()
+      if (failures.length === 0) {
+        toast.success(`Server token parser matches all ${total} cases`)
+      } else {
+        toast.error(`Server token parser matches ${passed} of ${total} cases; see the console`)
+      }
+    } catch (error) {
+      toast.error(`Token parser check failed: ${error.message}`)
+    } finally {
+      setCheckingParity(false)
+    }
+  }
+
+  // Views remount on each palette jump so they start from the target
+  const navigateTo = (target) => {
+    setViewTarget(target)
+    setNavigationCount(count => count + 1)
+    setCurrentView(target.view)
+    setSidebarOpen(false)
+  }
+
+  const changeUnitSystem = async (next) => {
+    const { error } = await setUnitSystem(next)
+    if (error) toast.error(`Could not save unit preference: ${error.message}`)
+  }
+
   const handleSignOut = async () => {
     const { error } = await supabase.auth.signOut()
     if (error) {
@@ -104,6 +165,24 @@ function App() {
       name: 'Compare Diseases',
       icon: <BarChart3 className="w-5 h-5" />,
       description: 'Side-by-side disease comparison'
+    },
+    {
+      id: 'features',
+      name: 'Feature Browser',
+      icon: <Library className="w-5 h-5" />,
+      description: 'Search features with type:, system: and more'
+    },
+    {
+      id: 'aliases',
+      name: 'Aliases',
+      icon: <Tag className="w-5 h-5" />,
+      description: 'Abbreviations and synonyms'
+    },
+    {
+      id: 'duplicates',
+      name: 'Duplicates',
+      icon: <GitMerge className="w-5 h-5" />,
+      description: 'Find and merge duplicate features'
     }
   ]
 
@@ -173,11 +252,20 @@ function App() {
 
           {/* Navigation */}
           <nav className="flex-1 p-4 space-y-2">
+            <button
+              onClick={() => setPaletteOpen(true)}
+              className="w-full flex items-center gap-3 px-4 py-2 mb-2 text-sm text-gray-500 border border-gray-200 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              <Search className="w-4 h-4" />
+              <span className="flex-1 text-left">Search or jump to...</span>
+              <kbd className="text-xs bg-gray-100 px-1.5 py-0.5 rounded">Ctrl K</kbd>
+            </button>
             {navigationItems.map((item) => (
               <button
                 key={item.id}
                 onClick={() => {
                   setCurrentView(item.id)
+                  setViewTarget(null)
                   setSidebarOpen(false)
                 }}
                 className={`w-full flex items-center gap-3 px-4 py-3 rounded-lg text-left transition-colors ${
@@ -200,6 +288,28 @@ function App() {
           {/* Footer */}
           <div className="p-4 border-t border-gray-200 space-y-3">
             <BackendHealthIndicator />
+
+            <div className="flex items-center gap-2 text-sm text-gray-600">
+              <span className="flex-1">Lab units</span>
+              <div className="flex rounded border border-gray-200 overflow-hidden text-xs">
+                {[
+                  { id: UNIT_SYSTEMS.CONVENTIONAL, label: 'mg/dL' },
+                  { id: UNIT_SYSTEMS.SI, label: 'SI' }
+                ].map(option => (
+                  <button
+                    key={option.id}
+                    onClick={() => changeUnitSystem(option.id)}
+                    disabled={savingUnits || unitSystem === option.id}
+                    className={`px-2 py-1 ${
+                      unitSystem === option.id ? 'bg-blue-500 text-white' : 'hover:bg-gray-50'
+                    }`}
+                    title={option.id === UNIT_SYSTEMS.SI ? 'SI units (mmol/L, µmol/L)' : 'Conventional units (mg/dL)'}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
             
             <div className="flex items-center gap-3 text-sm text-gray-600">
               <User className="w-4 h-4" />
@@ -250,12 +360,21 @@ function App() {
                       Monitor your data and system status
                     </p>
                   </div>
-                  <button
-                    onClick={checkBackendHealth}
-                    className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600"
-                  >
-                    Refresh Status
-                  </button>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={checkTokenParity}
+                      disabled={checkingParity}
+                      className="px-4 py-2 border border-blue-500 text-blue-600 rounded hover:bg-blue-50 disabled:opacity-50"
+                    >
+                      {checkingParity ? 'Checking...' : 'Check Token Parser'}
+                    </button>
+                    <button
+                      onClick={checkBackendHealth}
+                      className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600"
+                    >
+                      Refresh Status
+                    </button>
+                  </div>
                 </div>
                 
                 
@@ -333,8 +452,20 @@ function App() {
               </div>
             )}
             
-            {currentView === 'manage' && <DiseaseManagement />}
-            {currentView === 'compare' && <DiseaseCompare />}
+            {currentView === 'manage' && (
+              <DiseaseManagement
+                key={navigationCount}
+                initialDiseaseId={viewTarget?.diseaseId}
+                initialFilter={viewTarget?.filter}
+                focusFeatures={viewTarget?.focusFeatures}
+              />
+            )}
+            {currentView === 'compare' && (
+              <DiseaseCompare key={navigationCount} initialDiseaseIds={viewTarget?.diseaseIds} />
+            )}
+            {currentView === 'features' && <FeatureBrowser />}
+            {currentView === 'aliases' && <AliasManager />}
+            {currentView === 'duplicates' && <DuplicateFeatures />}
           </div>
         </main>
       </div>
@@ -347,6 +478,15 @@ function App() {
         />
       )}
 
+      {/* Command Palette */}
+      {paletteOpen && (
+        <CommandPalette
+          views={navigationItems}
+          onNavigate={navigateTo}
+          onClose={() => setPaletteOpen(false)}
+        />
+      )}
+
       {/* Global Toast Notifications */}
       <Toaster 
         position="top-right"
@@ -0,0 +1,136 @@
+// src/Backend/aliasRules.js
+
+/**
+ * Rules for per-user feature aliases (SOB → Dyspnea, Hb → Hemoglobin).
+ *
+ * Aliases are matched case- and whitespace-insensitively. An alias is
+ * in conflict when the same text points at two different features, when
+ * it repeats an alias the feature already has, or when it equals the
+ * name of a different feature (the name would never resolve to itself).
+ */
+
+export const ALIAS_CONFLICT_TYPES = {
+  DUPLICATE: 'duplicate',
+  AMBIGUOUS: 'ambiguous',
+  SHADOWS_FEATURE: 'shadows_feature'
+}
+
+export const normalizeAlias = (text) => (text || '').trim().replace(/\s+/g, ' ').toLowerCase()
+
+// =====================================================
+// CONFLICTS
+// =====================================================
+
+// aliases: { id?, alias, feature_id }; features: { id, name }.
+// Returns one entry per conflicting alias text:
+// { type, alias, aliasIds, featureIds, message }
+export const findAliasConflicts = (aliases, features) => {
+  const featureNames = new Map(features.map(feature => [feature.id, feature.name]))
+  const featuresByName = new Map(features.map(feature => [normalizeAlias(feature.name), feature]))
+
+  const byText = new Map()
+  aliases.forEach(alias => {
+    const key = normalizeAlias(alias.alias)
+    if (!key) return
+    if (!byText.has(key)) byText.set(key, [])
+    byText.get(key).push(alias)
+  })
+
+  const conflicts = []
+  byText.forEach((group, key) => {
+    const text = group[0].alias
+    const featureIds = [...new Set(group.map(alias => alias.feature_id))]
+    const aliasIds = group.map(alias => alias.id).filter(Boolean)
+
+    if (featureIds.length > 1) {
+      conflicts.push({
+        type: ALIAS_CONFLICT_TYPES.AMBIGUOUS,
+        alias: text,
+        aliasIds,
+        featureIds,
+        message: `"${text}" points to ${featureIds.map(id => featureNames.get(id) || 'an unknown feature').join(' and ')}`
+      })
+    } else if (group.length > 1) {
+      conflicts.push({
+        type: ALIAS_CONFLICT_TYPES.DUPLICATE,
+        alias: text,
+        aliasIds,
+        featureIds,
+        message: `"${text}" is listed ${group.length} times for ${featureNames.get(featureIds[0]) || 'the same feature'}`
+      })
+    }
+
+    const named = featuresByName.get(key)
+    const shadowing = featureIds.filter(id => named && id !== named.id)
+    if (shadowing.length > 0) {
+      conflicts.push({
+        type: ALIAS_CONFLICT_TYPES.SHADOWS_FEATURE,
+        alias: text,
+        aliasIds,
+        featureIds: [named.id, ...shadowing],
+        message: `"${text}" is also the name of the feature ${named.name}`
+      })
+    }
+  })
+
+  return conflicts
+}
+
+// Conflicts adding `candidate` would introduce, ignoring ones that exist already
+export const findNewAliasConflicts = (candidate, aliases, features) => {
+  const key = normalizeAlias(candidate.alias)
+  const related = aliases.filter(alias => normalizeAlias(alias.alias) === key && alias.id !== candidate.id)
+  if (related.some(alias => alias.feature_id === candidate.feature_id)) {
+    return [{
+      type: ALIAS_CONFLICT_TYPES.DUPLICATE,
+      alias: candidate.alias,
+      aliasIds: related.map(alias => alias.id).filter(Boolean),
+      featureIds: [candidate.feature_id],
+      message: `"${candidate.alias.trim()}" is already an alias of this feature`
+    }]
+  }
+
+  const before = new Set(findAliasConflicts(related, features).map(conflict => conflict.type))
+  return findAliasConflicts([...related, candidate], features)
+    .filter(conflict => !before.has(conflict.type))
+}
+
+// =====================================================
+// BULK IMPORT
+// =====================================================
+
+// Separators accepted between an alias and its feature, in order
+const ALIAS_LINE_SEPARATORS = [/\s*(?:→|->|=>)\s*/, /\s*=\s*/, /\t+/, /\s*,\s*/, /\s*:\s*/]
+
+// One alias per line, e.g. "SOB → Dyspnea", "Hb = Hemoglobin",
+// "SOB,Dyspnea" or tab-separated. Blank lines and # comments are skipped.
+// Returns { entries: [{ alias, featureName, line }], errors: [{ line, text, message }] }
+export const parseAliasList = (text) => {
+  const entries = []
+  const errors = []
+
+  ;(text || '').split(/\r?\n/).forEach((raw, index) => {
+    const line = index + 1
+    const content = raw.trim()
+    if (!content || content.startsWith('#')) return
+
+    const separator = ALIAS_LINE_SEPARATORS.find(pattern => pattern.test(content))
+    if (!separator) {
+      errors.push({ line, text: content, message: 'Expected "alias → feature"' })
+      return
+    }
+
+    const [alias, ...rest] = content.split(separator)
+    const featureName = rest.join(' ').trim().replace(/^["']|["']$/g, '')
+    const aliasText = alias.trim().replace(/^["']|["']$/g, '')
+
+    if (!aliasText || !featureName) {
+      errors.push({ line, text: content, message: 'Alias and feature are both required' })
+      return
+    }
+
+    entries.push({ alias: aliasText, featureName, line })
+  })
+
+  return { entries, errors }
+}
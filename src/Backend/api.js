@@ -1,43 +1,290 @@
 // src/lib/api.js
 import { supabase } from '../database/supabase'
+import { parseTokenGrammar } from './tokenGrammar'
+import { toParsedToken, normalizeParsedToken, DISEASE_FEATURE_FIELDS } from './tokenSpec'
+import { interpretTokens } from './referenceRanges'
+import { buildFeatureIndex, searchFeatureIndex } from './fuzzySearch'
+import { createSearchPipeline } from './searchPipeline'
+import { applyUsagePick } from './usageRanking'
+import { normalizeAlias } from './aliasRules'
+import { rankCandidates, isSearchOnly } from './canonicalCandidates'
+import { findDuplicateFeatures, planFeatureMerge, planAliasMerge } from './featureDuplicates'
+import { hasSearchQualifiers, searchFeatureCatalog } from './searchQuery'
+import { buildFeatureTree, checkFeatureParent, withChildMatches } from './featureTaxonomy'
+import { BACKEND_CONFIG } from './backendConfig'
+import { UNIT_SYSTEMS, DEFAULT_UNIT_SYSTEM, withStoredUnit, displayLabValue } from './labUnits'
 
 // =====================================================
 // FEATURE SEARCH & AUTOCOMPLETE
 // =====================================================
 
-export const searchFeatures = async (searchTerm, limit = 10) => {
+// How long autocomplete waits for the RPC before answering locally
+const SEARCH_RPC_TIMEOUT_MS = 1500
+const FEATURE_INDEX_TTL_MS = 5 * 60 * 1000
+const SEARCH_CACHE_TTL_MS = 5 * 60 * 1000
+
+// Falls back to the local fuzzy index when the RPC errors or is too slow.
+// An aborted search (see featureSearchPipeline) does not fall back.
+// Queries with qualifiers (type:lab, see searchQuery) use the catalog.
+export const searchFeatures = async (searchTerm, limit = 10, { signal } = {}) => {
+  if (hasSearchQualifiers(searchTerm)) {
+    return searchFeaturesByQuery(searchTerm, limit)
+  }
+
   try {
-    const { data, error } = await supabase.rpc('search_features_advanced', {
+    let request = supabase.rpc('search_features_advanced', {
       search_term: searchTerm,
       limit_count: limit
     })
+    if (signal) request = request.abortSignal(signal)
+
+    let timeoutId
+    const timeout = new Promise((_, reject) => {
+      timeoutId = setTimeout(
+        () => reject(new Error('Feature search timed out')),
+        SEARCH_RPC_TIMEOUT_MS
+      )
+    })
+
+    const { data, error } = await Promise.race([request, timeout])
+      .finally(() => clearTimeout(timeoutId))
 
     if (error) throw error
-    return { data, error: null }
+    const results = await withAliasMatches(data || [], searchTerm, limit)
+    return { data: await withFeatureChildren(results, limit), error: null }
   } catch (error) {
-    console.error('Error searching features:', error)
+    if (signal?.aborted) return { data: null, error }
+    console.warn('Feature search RPC unavailable, searching locally:', error.message)
+    return searchFeaturesLocal(searchTerm, limit)
+  }
+}
+
+let featureIndexCache = null
+
+// Fuzzy index over the user's features and aliases, rebuilt after the TTL
+// or when features/aliases change
+export const getFeatureIndex = async () => {
+  if (featureIndexCache && Date.now() - featureIndexCache.builtAt < FEATURE_INDEX_TTL_MS) {
+    return { data: featureIndexCache.index, error: null }
+  }
+
+  try {
+    const { data: { user } } = await supabase.auth.getUser()
+    if (!user) throw new Error('Not authenticated')
+
+    const [featuresResult, aliasesResult] = await Promise.all([
+      supabase.from('features').select('*').eq('user_id', user.id),
+      supabase.from('feature_aliases').select('feature_id, alias')
+    ])
+
+    if (featuresResult.error) throw featuresResult.error
+    // Aliases only widen matches; search names alone without them
+    if (aliasesResult.error) {
+      console.warn('Error loading feature aliases for local search:', aliasesResult.error)
+    }
+
+    const index = buildFeatureIndex(featuresResult.data || [], aliasesResult.data || [])
+    const tree = buildFeatureTree(featuresResult.data || [])
+    featureIndexCache = { index, tree, builtAt: Date.now() }
+    return { data: index, error: null }
+  } catch (error) {
+    console.error('Error building feature index:', error)
     return { data: null, error }
   }
 }
 
+// Parent/child links between the user's features (see featureTaxonomy),
+// cached with the fuzzy index
+export const getFeatureTree = async () => {
+  const { error } = await getFeatureIndex()
+  if (error) return { data: null, error }
+  // The cache may have been cleared while the index was loading
+  if (!featureIndexCache) return { data: buildFeatureTree([]), error: null }
+  return { data: featureIndexCache.tree, error: null }
+}
+
+// Search results followed by their child features (see featureTaxonomy)
+const withFeatureChildren = async (results, limit) => {
+  if (results.length === 0) return results
+  const { data: tree } = await getFeatureTree()
+  if (!tree) return results
+  return withChildMatches(results, tree).slice(0, limit)
+}
+
+let featureCatalogCache = null
+
+// The user's features with their aliases and disease links, for
+// qualified queries and the feature browser:
+// { features: [{ ...feature, links: [{ disease_id, disease_name, system, subsystem, is_pathognomonic }] }], aliases }
+export const getFeatureCatalog = async () => {
+  if (featureCatalogCache && Date.now() - featureCatalogCache.builtAt < FEATURE_INDEX_TTL_MS) {
+    return { data: featureCatalogCache.catalog, error: null }
+  }
+
+  try {
+    const { data: { user } } = await supabase.auth.getUser()
+    if (!user) throw new Error('Not authenticated')
+
+    const [featureResult, aliasResult, linkResult] = await Promise.all([
+      getUserFeatures(),
+      getFeatureAliases(),
+      supabase
+        .from('disease_feature')
+        .select('feature_id, disease_id, is_pathognomonic, diseases(name, system, subsystem), features!inner(user_id)')
+        .eq('features.user_id', user.id)
+    ])
+    if (featureResult.error) throw featureResult.error
+    if (aliasResult.error) throw aliasResult.error
+    if (linkResult.error) throw linkResult.error
+
+    const linksByFeature = new Map()
+    linkResult.data.forEach(({ feature_id, disease_id, is_pathognomonic, diseases }) => {
+      if (!linksByFeature.has(feature_id)) linksByFeature.set(feature_id, [])
+      linksByFeature.get(feature_id).push({
+        disease_id,
+        disease_name: diseases?.name,
+        system: diseases?.system,
+        subsystem: diseases?.subsystem,
+        is_pathognomonic
+      })
+    })
+
+    const catalog = {
+      features: featureResult.data.map(feature => ({
+        ...feature,
+        links: linksByFeature.get(feature.id) || []
+      })),
+      aliases: aliasResult.data
+    }
+    featureCatalogCache = { catalog, builtAt: Date.now() }
+    return { data: catalog, error: null }
+  } catch (error) {
+    console.error('Error loading feature catalog:', error)
+    return { data: null, error }
+  }
+}
+
+// Same result shape as searchFeatures; invalid qualifiers are ignored
+export const searchFeaturesByQuery = async (query, limit = 10) => {
+  const { data: catalog, error } = await getFeatureCatalog()
+  if (error) return { data: null, error }
+  return { data: searchFeatureCatalog(catalog, query, limit).results, error: null }
+}
+
+// Call when features or aliases change
+export const clearFeatureSearchCache = () => {
+  featureIndexCache = null
+  featureCatalogCache = null
+  featureUsageCache = null
+  featureAliasCache = null
+  featureSearchPipeline.clear()
+}
+
+// Same result shape as search_features_advanced
+export const searchFeaturesLocal = async (searchTerm, limit = 10) => {
+  const { data: index, error } = await getFeatureIndex()
+  if (error) return { data: null, error }
+  return { data: await withFeatureChildren(searchFeatureIndex(index, searchTerm, limit), limit), error: null }
+}
+
+// Shared by every autocomplete box and BackendService.searchFeatures, so
+// identical queries share one request and one cache
+export const featureSearchPipeline = createSearchPipeline(searchFeatures, {
+  cacheTtlMs: SEARCH_CACHE_TTL_MS
+})
+
 // =====================================================
-// FEATURE CANONICALIZATION
+// AUTOCOMPLETE USAGE HISTORY
 // =====================================================
 
-export const canonicalizeFeature = async (inputText) => {
+let featureUsageCache = null
+
+// The user's feature_usage rows as a Map of feature_id → row
+export const getFeatureUsage = async () => {
+  if (featureUsageCache) {
+    return { data: featureUsageCache, error: null }
+  }
+
   try {
-    const { data, error } = await supabase.rpc('canonicalize_feature', {
-      input_text: inputText
-    })
+    const { data: { user } } = await supabase.auth.getUser()
+    if (!user) throw new Error('Not authenticated')
+
+    const { data, error } = await supabase
+      .from('feature_usage')
+      .select('feature_id, pick_count, last_used_at, system_counts')
+      .eq('user_id', user.id)
 
     if (error) throw error
-    return { data: data?.[0] || null, error: null }
+    featureUsageCache = new Map((data || []).map(row => [row.feature_id, row]))
+    return { data: featureUsageCache, error: null }
+  } catch (error) {
+    console.error('Error loading feature usage:', error)
+    return { data: null, error }
+  }
+}
+
+// Records that a suggestion was picked, optionally while editing a
+// disease in `system`
+export const recordFeatureUsage = async (featureId, system = null) => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser()
+    if (!user) throw new Error('Not authenticated')
+
+    const { data: usage, error: loadError } = await getFeatureUsage()
+    if (loadError) throw loadError
+
+    const entry = applyUsagePick(usage.get(featureId), featureId, system)
+    usage.set(featureId, entry)
+
+    const { error } = await supabase
+      .from('feature_usage')
+      .upsert({ ...entry, user_id: user.id }, { onConflict: 'user_id,feature_id' })
+
+    if (error) throw error
+    return { data: entry, error: null }
+  } catch (error) {
+    console.error('Error recording feature usage:', error)
+    return { data: null, error }
+  }
+}
+
+// =====================================================
+// FEATURE CANONICALIZATION
+// =====================================================
+
+// Every feature the text could mean, best first, each with a 0..1
+// confidence and the reasons it matched (see canonicalCandidates.js).
+// The user's own aliases rank above whatever synonyms the server knows.
+export const canonicalizeFeatureCandidates = async (inputText, limit = 5) => {
+  try {
+    const [aliases, canonicalResult, searchResult] = await Promise.all([
+      findAliasMatches(inputText),
+      supabase.rpc('canonicalize_feature', { input_text: inputText }),
+      featureSearchPipeline.search(inputText, limit)
+    ])
+
+    if (canonicalResult.error) throw canonicalResult.error
+
+    const candidates = rankCandidates(inputText, {
+      aliases,
+      canonical: canonicalResult.data || [],
+      search: searchResult.data || []
+    })
+    return { data: candidates.slice(0, limit), error: null }
   } catch (error) {
     console.error('Error canonicalizing feature:', error)
     return { data: null, error }
   }
 }
 
+// Best candidate only, and none when just a fuzzy search matched; use
+// canonicalizeFeatureCandidates to see the rest
+export const canonicalizeFeature = async (inputText) => {
+  const { data, error } = await canonicalizeFeatureCandidates(inputText)
+  const best = data?.[0]
+  return { data: best && !isSearchOnly(best) ? best : null, error }
+}
+
 // =====================================================
 // TOKEN PARSING
 // =====================================================
@@ -49,81 +296,258 @@ export const parseMedicalTokens = async (tokenString) => {
     })
 
     if (error) throw error
-    return { data, error: null }
+    return { data: (data || []).map(normalizeParsedToken), error: null }
   } catch (error) {
     console.error('Error parsing tokens:', error)
     return { data: null, error }
   }
 }
 
-// Client-side token parsing utility (faster for simple cases)
+// Client-side token parsing utility (faster for simple cases).
+// Produces the same shape as parseMedicalTokens, minus canonicalization.
+// Invalid tokens are dropped; use parseTokenGrammar for their error spans.
+// Bare lab values are interpreted against the built-in reference ranges.
 export const parseTokensClient = (inputString) => {
-  const tokens = inputString.trim().split(/\s+/)
-  const parsed = []
-
-  for (const token of tokens) {
-    if (!token) continue
-
-    let isPresent = true
-    let cleanToken = token
-    let valueModifier = null
-    let numericValue = null
-
-    // Check for +/- prefix
-    if (token.startsWith('+')) {
-      cleanToken = token.slice(1)
-    } else if (token.startsWith('-')) {
-      isPresent = false
-      cleanToken = token.slice(1)
-    }
+  return interpretTokens(parseTokenGrammar(inputString).tokens.map(toParsedToken))
+}
 
-    // Check for directional indicators
-    if (cleanToken.endsWith('↑')) {
-      valueModifier = '↑'
-      cleanToken = cleanToken.slice(0, -1)
-    } else if (cleanToken.endsWith('↓')) {
-      valueModifier = '↓'
-      cleanToken = cleanToken.slice(0, -1)
-    }
+// Ranked candidates for many texts at once, for a whole submission:
+// aliases and the local search index are loaded once, and
+// canonicalize_feature runs once per distinct text.
+// → Map of text → { match: the RPC's first row, candidates }
+const lookupFeatureTexts = async (texts, limit = 5) => {
+  const distinct = [...new Set(texts.filter(Boolean))]
+  if (distinct.length === 0) return new Map()
+
+  const [aliasResult, indexResult, canonicalResults] = await Promise.all([
+    getFeatureAliases(),
+    getFeatureIndex(),
+    Promise.all(distinct.map(text => supabase.rpc('canonicalize_feature', { input_text: text })))
+  ])
+
+  const failed = canonicalResults.find(result => result.error)
+  if (failed) throw failed.error
+
+  return new Map(distinct.map((text, index) => {
+    const key = normalizeAlias(text)
+    const canonical = canonicalResults[index].data || []
+    const candidates = rankCandidates(text, {
+      aliases: (aliasResult.data || []).filter(alias => normalizeAlias(alias.alias) === key),
+      canonical,
+      search: indexResult.data ? searchFeatureIndex(indexResult.data, text, limit) : []
+    })
+    return [text, { match: canonical[0] || null, candidates: candidates.slice(0, limit) }]
+  }))
+}
 
-    // Check for comparison operators
-    const comparisonMatch = cleanToken.match(/^(.+?)([<>]=?)(\d+)$/)
-    if (comparisonMatch) {
-      cleanToken = comparisonMatch[1]
-      valueModifier = comparisonMatch[2]
-      numericValue = comparisonMatch[3]
+// Fills canonical_feature_id/canonical_name on client-parsed tokens, so
+// qualifiers, alternation and groups never depend on the deployed
+// parse_medical_tokens. Each token also gets its ranked `candidates`.
+export const canonicalizeParsedTokens = async (tokens) => {
+  try {
+    const lookups = await lookupFeatureTexts(tokens.map(token => token.feature_text))
+    return {
+      data: tokens.map(token => {
+        const { match = null, candidates = [] } = lookups.get(token.feature_text) || {}
+        return {
+          ...token,
+          canonical_feature_id: match?.feature_id ?? match?.id ?? null,
+          canonical_name: match?.feature_name ?? match?.canonical_name ?? match?.name ?? null,
+          candidates
+        }
+      }),
+      error: null
     }
-
-    parsed.push({
-      original: token,
-      cleanToken,
-      isPresent,
-      valueModifier,
-      numericValue
-    })
+  } catch (error) {
+    console.error('Error canonicalizing tokens:', error)
+    return { data: null, error }
   }
-
-  return parsed
 }
 
 // =====================================================
 // DISEASE COMPARISON
 // =====================================================
 
-export const compareDiseases = async (diseaseIds) => {
+// With rollUp, child features are folded into their top-most parent
+// (see rollUpChildFeatures)
+export const compareDiseases = async (diseaseIds, { rollUp = false } = {}) => {
   try {
     const { data, error } = await supabase.rpc('compare_diseases', {
       disease_ids: diseaseIds
     })
 
     if (error) throw error
-    return { data, error: null }
+    // Lab values saved before units were tracked get theirs written out,
+    // so they compare equal to the same value saved with a unit
+    const unitRows = (data || []).map(row => summarizeComparisonRow({
+      ...row,
+      disease_data: row.disease_data.map(dd => ({ ...dd, value_text: withStoredUnit(dd.value_text, row.feature_name) }))
+    }, diseaseIds.length))
+    const rows = groupAlternativeFeatures(unitRows, diseaseIds)
+    if (!rollUp) return { data: rows, error: null }
+
+    const { data: tree, error: treeError } = await getFeatureTree()
+    if (treeError) throw treeError
+    return { data: rollUpChildFeatures(rows, tree, diseaseIds.length), error: null }
   } catch (error) {
     console.error('Error comparing diseases:', error)
     return { data: null, error }
   }
 }
 
+// Recomputes the summary flags of a comparison row from its disease_data
+const summarizeComparisonRow = (row, diseaseCount) => {
+  const values = new Set(row.disease_data.map(dd => `${dd.is_present}:${dd.value_text ?? ''}`))
+  return {
+    ...row,
+    is_shared: row.disease_data.length === diseaseCount,
+    has_conflicts: values.size > 1,
+    max_weight: Math.max(0, ...row.disease_data.map(dd => dd.weight || 0))
+  }
+}
+
+// Features recorded as "either finding" (Fever|Chills) come back from the
+// RPC as separate rows. Pull each disease's alternation members out of
+// those rows and show them as one row per distinct set of features.
+export const groupAlternativeFeatures = (comparisonData, diseaseIds) => {
+  const members = new Map()
+
+  comparisonData.forEach(row => {
+    row.disease_data.forEach(dd => {
+      if (!dd.alternative_group) return
+      const key = `${dd.disease_id}:${dd.alternative_group}`
+      if (!members.has(key)) members.set(key, [])
+      members.get(key).push({ row, diseaseData: dd })
+    })
+  })
+
+  // A single-member alternation is just a plain feature
+  const groups = [...members.values()].filter(group => group.length > 1)
+  if (groups.length === 0) return comparisonData
+
+  const grouped = new Set(groups.flat().map(member => member.diseaseData))
+  const alternationRows = new Map()
+
+  groups.forEach(group => {
+    const sorted = [...group].sort((a, b) => a.row.feature_name.localeCompare(b.row.feature_name))
+    const rowId = 'alt:' + sorted.map(member => member.row.feature_id).join('|')
+    const entries = sorted.map(member => member.diseaseData)
+
+    if (!alternationRows.has(rowId)) {
+      const types = [...new Set(sorted.map(member => member.row.feature_type))]
+      alternationRows.set(rowId, {
+        feature_id: rowId,
+        feature_name: sorted.map(member => member.row.feature_name).join(' | '),
+        feature_type: types.join(' / '),
+        is_alternation: true,
+        member_feature_ids: sorted.map(member => member.row.feature_id),
+        disease_data: []
+      })
+    }
+
+    alternationRows.get(rowId).disease_data.push({
+      disease_id: entries[0].disease_id,
+      alternative_group: entries[0].alternative_group,
+      is_present: entries.some(dd => dd.is_present),
+      value_text: entries.map(dd => dd.value_text).filter(Boolean).join(' | ') || null,
+      typicality: entries[0].typicality,
+      weight: Math.max(...entries.map(dd => dd.weight || 1)),
+      is_pathognomonic: entries.some(dd => dd.is_pathognomonic)
+    })
+  })
+
+  const remainingRows = comparisonData
+    .map(row => {
+      const diseaseData = row.disease_data.filter(dd => !grouped.has(dd))
+      if (diseaseData.length === row.disease_data.length) return row
+      return summarizeComparisonRow({ ...row, disease_data: diseaseData }, diseaseIds.length)
+    })
+    .filter(row => row.disease_data.length > 0)
+
+  return [
+    ...remainingRows,
+    ...[...alternationRows.values()].map(row => summarizeComparisonRow(row, diseaseIds.length))
+  ]
+}
+
+// The most typical of a disease's rolled-up entries
+const mostTypical = (entries) => {
+  const options = BACKEND_CONFIG.TYPICALITY_OPTIONS
+  const ranked = entries
+    .map(dd => dd.typicality)
+    .filter(value => options.includes(value))
+    .sort((a, b) => options.indexOf(a) - options.indexOf(b))
+  return ranked[0] ?? entries[0].typicality ?? null
+}
+
+// Folds the rows of child features into one row for their top-most
+// parent, even when the parent itself is not linked to any of the
+// diseases. The folded rows are kept as `children` so the table can
+// expand them again. Present children are named in value_text
+// ("Microcytic anemia; Hb 9"). Alternation rows are left as they are.
+export const rollUpChildFeatures = (comparisonData, tree, diseaseCount) => {
+  const families = new Map()
+  const order = []
+
+  comparisonData.forEach(row => {
+    const root = row.is_alternation ? null : tree.rootOf(row.feature_id)
+    const key = root ? root.id : row.feature_id
+    if (!families.has(key)) {
+      families.set(key, { root, rows: [] })
+      order.push(key)
+    }
+    families.get(key).rows.push(row)
+  })
+
+  return order.map(key => {
+    const { root, rows } = families.get(key)
+    if (!root || (rows.length === 1 && rows[0].feature_id === root.id)) return rows[0]
+
+    const own = rows.find(row => row.feature_id === root.id)
+    const children = rows
+      .filter(row => row !== own)
+      .sort((a, b) => a.feature_name.localeCompare(b.feature_name))
+
+    const entriesByDisease = new Map()
+    rows.forEach(row => {
+      row.disease_data.forEach(dd => {
+        if (!entriesByDisease.has(dd.disease_id)) entriesByDisease.set(dd.disease_id, [])
+        entriesByDisease.get(dd.disease_id).push({ row, dd })
+      })
+    })
+
+    const diseaseData = [...entriesByDisease.entries()].map(([diseaseId, entries]) => {
+      const present = entries.filter(({ dd }) => dd.is_present)
+      const values = present
+        .map(({ row, dd }) => (row === own
+          ? dd.value_text
+          : [row.feature_name, dd.value_text].filter(Boolean).join(' ')))
+        .filter(Boolean)
+      const data = entries.map(({ dd }) => dd)
+
+      return {
+        disease_id: diseaseId,
+        is_present: present.length > 0,
+        value_text: values.join('; ') || null,
+        typicality: mostTypical(present.length > 0 ? present.map(({ dd }) => dd) : data),
+        weight: Math.max(...data.map(dd => dd.weight || 1)),
+        is_pathognomonic: data.some(dd => dd.is_pathognomonic),
+        alternative_group: null
+      }
+    })
+
+    return summarizeComparisonRow({
+      feature_id: root.id,
+      feature_name: root.name,
+      feature_type: root.type,
+      is_rollup: true,
+      own_row: own || null,
+      children,
+      disease_data: diseaseData
+    }, diseaseCount)
+  })
+}
+
 // Get diseases for comparison dropdown
 export const getUserDiseases = async () => {
   try {
@@ -167,6 +591,9 @@ export const getDiseaseStats = async (diseaseId) => {
 export const exportToSheets = async (diseaseIds, sheetName = null) => {
   try {
     console.log('🚀 Starting Google Sheets export...')
+
+    // Lab values are written in the user's unit system, as compared on screen
+    const unitSystem = await getLabUnitSystem()
     
     // TEMPORARY: Force mock export for debugging
     const forceMock = true // Change this to false when you want real export
@@ -179,7 +606,7 @@ export const exportToSheets = async (diseaseIds, sheetName = null) => {
     // Check if we should use mock export
     if (forceMock || useMockFromEnv) {
       console.log('📝 Using mock export')
-      return await mockExportToSheets(diseaseIds, sheetName)
+      return await mockExportToSheets(diseaseIds, sheetName, unitSystem)
     }
     
     console.log('🔄 Using REAL export')
@@ -197,7 +624,7 @@ export const exportToSheets = async (diseaseIds, sheetName = null) => {
     const diseaseNames = selectedDiseases.map(d => d.name.replace(/\s+/g, '_')).join('_')
     const finalSheetName = sheetName || `Compare_${diseaseNames}_${timestamp}`
     
-    const result = await createRealGoogleSheet(comparisonData, selectedDiseases, finalSheetName)
+    const result = await createRealGoogleSheet(comparisonData, selectedDiseases, finalSheetName, unitSystem)
     
     return {
       data: {
@@ -217,13 +644,15 @@ export const exportToSheets = async (diseaseIds, sheetName = null) => {
 }
 
 // Mock export function
-async function mockExportToSheets(diseaseIds, sheetName) {
+async function mockExportToSheets(diseaseIds, sheetName, unitSystem) {
   console.log('📝 Starting mock export...')
   
   // Get comparison data for realistic simulation
   const { data: comparisonData } = await compareDiseases(diseaseIds)
   const { data: diseases } = await getUserDiseases()
   const selectedDiseases = diseases.filter(d => diseaseIds.includes(d.id))
+  // The rows a real export would write
+  const rows = formatDataForSheets(comparisonData || [], selectedDiseases, unitSystem)
   
   // Simulate API delay
   await new Promise(resolve => setTimeout(resolve, 1500))
@@ -249,6 +678,8 @@ async function mockExportToSheets(diseaseIds, sheetName) {
       sheet_name: finalSheetName,
       exported_features: comparisonData?.length || 0,
       exported_diseases: selectedDiseases.length,
+      unit_system: unitSystem,
+      rows,
       is_mock: true
     },
     error: null
@@ -347,7 +778,8 @@ async function sign(message, privateKey) {
 }
 
 // Format comparison data for Google Sheets
-function formatDataForSheets(comparisonData, diseases) {
+// Lab values are written in the given unit system (see labUnits)
+function formatDataForSheets(comparisonData, diseases, unitSystem = DEFAULT_UNIT_SYSTEM) {
   // Create headers
   const headers = ['Feature', 'Type', 'Category', ...diseases.map(d => d.name)]
   const rows = [headers]
@@ -372,7 +804,7 @@ function formatDataForSheets(comparisonData, diseases) {
       if (diseaseData) {
         let cellValue = diseaseData.is_present ? '+' : '-'
         if (diseaseData.value_text) {
-          cellValue += diseaseData.value_text
+          cellValue += displayLabValue(diseaseData.value_text, feature.feature_name, unitSystem)
         }
         cellValue += ` (${diseaseData.typicality}, wt:${diseaseData.weight})`
         if (diseaseData.is_pathognomonic) {
@@ -483,6 +915,152 @@ export const createDisease = async (diseaseData) => {
   }
 }
 
+// changes: { name?, system?, subsystem? }
+export const updateDisease = async (diseaseId, changes) => {
+  try {
+    const { data, error } = await supabase
+      .from('diseases')
+      .update(changes)
+      .eq('id', diseaseId)
+      .select()
+      .single()
+
+    if (error) throw error
+    // The catalog and Quick Peek carry disease names and systems
+    featureCatalogCache = null
+    clearQuickPeekCache()
+    return { data, error: null }
+  } catch (error) {
+    console.error('Error updating disease:', error)
+    return { data: null, error }
+  }
+}
+
+// How many disease_feature links a disease has, e.g. to warn before deleting it
+export const getDiseaseLinkCount = async (diseaseId) => {
+  try {
+    const { count, error } = await supabase
+      .from('disease_feature')
+      .select('feature_id', { count: 'exact', head: true })
+      .eq('disease_id', diseaseId)
+
+    if (error) throw error
+    return { data: count ?? 0, error: null }
+  } catch (error) {
+    console.error('Error counting disease features:', error)
+    return { data: null, error }
+  }
+}
+
+// Deletes the disease and its disease_feature links; the features stay.
+// The delete_disease RPC (supabase/migrations) removes both in one
+// transaction, so a failure leaves the disease and its links as they were.
+export const deleteDisease = async (diseaseId) => {
+  try {
+    const { data: removedLinks, error } = await supabase.rpc('delete_disease', {
+      target_disease_id: diseaseId
+    })
+    if (error) throw error
+
+    featureCatalogCache = null
+    clearQuickPeekCache()
+    return { data: { removedLinks: removedLinks ?? 0 }, error: null }
+  } catch (error) {
+    console.error('Error deleting disease:', error)
+    return { data: null, error }
+  }
+}
+
+// Copies a disease and all its disease_feature links under a new name.
+// Alternations get fresh group ids so the copies edit independently.
+// If the links cannot be copied the new disease is removed again.
+export const duplicateDisease = async (diseaseId, name) => {
+  try {
+    const { data: source, error: sourceError } = await supabase
+      .from('diseases')
+      .select('system, subsystem')
+      .eq('id', diseaseId)
+      .single()
+    if (sourceError) throw sourceError
+
+    const { data: links, error: linksError } = await supabase
+      .from('disease_feature')
+      .select('*')
+      .eq('disease_id', diseaseId)
+    if (linksError) throw linksError
+
+    const { data: disease, error } = await createDisease({ name, ...source })
+    if (error) throw error
+
+    const groupIds = new Map()
+    const copies = (links || []).map(link => {
+      if (link.alternative_group && !groupIds.has(link.alternative_group)) {
+        groupIds.set(link.alternative_group, crypto.randomUUID())
+      }
+      return {
+        ...Object.fromEntries(DISEASE_FEATURE_FIELDS.map(field => [field, link[field] ?? null])),
+        disease_id: disease.id,
+        feature_id: link.feature_id,
+        alternative_group: link.alternative_group ? groupIds.get(link.alternative_group) : null
+      }
+    })
+
+    if (copies.length > 0) {
+      const { error: copyError } = await supabase.from('disease_feature').insert(copies)
+      if (copyError) {
+        await supabase.from('diseases').delete().eq('id', disease.id)
+        throw copyError
+      }
+    }
+
+    featureCatalogCache = null
+    return { data: { disease, copiedLinks: copies.length }, error: null }
+  } catch (error) {
+    console.error('Error duplicating disease:', error)
+    return { data: null, error }
+  }
+}
+
+// Renames system values across the user's diseases. Renaming several
+// variants ("Heme", "hematologic") to one value merges them. fromValues
+// are matched exactly, so pass the stored spellings, untrimmed.
+export const renameDiseaseSystem = async (fromValues, toValue) => {
+  try {
+    const { count, error } = await supabase
+      .from('diseases')
+      .update({ system: toValue }, { count: 'exact' })
+      .in('system', fromValues)
+
+    if (error) throw error
+    featureCatalogCache = null
+    clearQuickPeekCache()
+    return { data: { updated: count ?? 0 }, error: null }
+  } catch (error) {
+    console.error('Error renaming system:', error)
+    return { data: null, error }
+  }
+}
+
+// Same for subsystem values within one system, given by its stored
+// spellings (see buildSystemTree)
+export const renameDiseaseSubsystem = async (systemValues, fromValues, toValue) => {
+  try {
+    const { count, error } = await supabase
+      .from('diseases')
+      .update({ subsystem: toValue }, { count: 'exact' })
+      .in('system', systemValues)
+      .in('subsystem', fromValues)
+
+    if (error) throw error
+    featureCatalogCache = null
+    clearQuickPeekCache()
+    return { data: { updated: count ?? 0 }, error: null }
+  } catch (error) {
+    console.error('Error renaming subsystem:', error)
+    return { data: null, error }
+  }
+}
+
 export const createFeature = async (featureData) => {
   try {
     const { data: { user } } = await supabase.auth.getUser()
@@ -498,6 +1076,7 @@ export const createFeature = async (featureData) => {
       .single()
 
     if (error) throw error
+    clearFeatureSearchCache()
     return { data, error: null }
   } catch (error) {
     console.error('Error creating feature:', error)
@@ -505,6 +1084,214 @@ export const createFeature = async (featureData) => {
   }
 }
 
+// Links free text (e.g. an unrecognised token) to an existing feature
+export const createFeatureAlias = async (featureId, aliasText) => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser()
+    if (!user) throw new Error('Not authenticated')
+
+    const { data, error } = await supabase
+      .from('feature_aliases')
+      .insert({
+        feature_id: featureId,
+        alias: aliasText.trim(),
+        user_id: user.id
+      })
+      .select()
+      .single()
+
+    if (error) throw error
+    clearFeatureSearchCache()
+    return { data, error: null }
+  } catch (error) {
+    console.error('Error creating feature alias:', error)
+    return { data: null, error }
+  }
+}
+
+// =====================================================
+// FEATURE ALIASES
+// =====================================================
+
+let featureAliasCache = null
+
+const flattenAlias = ({ features, ...row }) => ({
+  ...row,
+  feature_name: features?.name,
+  feature_type: features?.type
+})
+
+// The user's aliases, flattened with their feature's name and type
+export const getFeatureAliases = async () => {
+  if (featureAliasCache) {
+    return { data: featureAliasCache, error: null }
+  }
+
+  try {
+    const { data: { user } } = await supabase.auth.getUser()
+    if (!user) throw new Error('Not authenticated')
+
+    const { data, error } = await supabase
+      .from('feature_aliases')
+      .select('id, alias, feature_id, created_at, features(name, type)')
+      .eq('user_id', user.id)
+      .order('alias')
+
+    if (error) throw error
+    featureAliasCache = (data || []).map(flattenAlias)
+    return { data: featureAliasCache, error: null }
+  } catch (error) {
+    console.error('Error fetching feature aliases:', error)
+    return { data: null, error }
+  }
+}
+
+// The user's features, for alias targets and conflict checks
+export const getUserFeatures = async () => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser()
+    if (!user) throw new Error('Not authenticated')
+
+    const { data, error } = await supabase
+      .from('features')
+      .select('id, name, type, parent_id')
+      .eq('user_id', user.id)
+      .order('name')
+
+    if (error) throw error
+    return { data: data || [], error: null }
+  } catch (error) {
+    console.error('Error fetching features:', error)
+    return { data: null, error }
+  }
+}
+
+// changes: { alias?, feature_id? }
+export const updateFeatureAlias = async (aliasId, changes) => {
+  try {
+    const { data, error } = await supabase
+      .from('feature_aliases')
+      .update({
+        ...changes,
+        ...(changes.alias !== undefined && { alias: changes.alias.trim() })
+      })
+      .eq('id', aliasId)
+      .select()
+      .single()
+
+    if (error) throw error
+    clearFeatureSearchCache()
+    return { data, error: null }
+  } catch (error) {
+    console.error('Error updating feature alias:', error)
+    return { data: null, error }
+  }
+}
+
+export const deleteFeatureAlias = async (aliasId) => {
+  try {
+    const { error } = await supabase
+      .from('feature_aliases')
+      .delete()
+      .eq('id', aliasId)
+
+    if (error) throw error
+    clearFeatureSearchCache()
+    return { data: true, error: null }
+  } catch (error) {
+    console.error('Error deleting feature alias:', error)
+    return { data: null, error }
+  }
+}
+
+// aliases: [{ alias, feature_id }], inserted in one statement
+export const bulkCreateFeatureAliases = async (aliases) => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser()
+    if (!user) throw new Error('Not authenticated')
+    if (aliases.length === 0) return { data: [], error: null }
+
+    const { data, error } = await supabase
+      .from('feature_aliases')
+      .insert(aliases.map(({ alias, feature_id }) => ({
+        feature_id,
+        alias: alias.trim(),
+        user_id: user.id
+      })))
+      .select()
+
+    if (error) throw error
+    clearFeatureSearchCache()
+    return { data, error: null }
+  } catch (error) {
+    console.error('Error importing feature aliases:', error)
+    return { data: null, error }
+  }
+}
+
+// The user's aliases that are exactly the given text
+const findAliasMatches = async (inputText) => {
+  const { data: aliases } = await getFeatureAliases()
+  const key = normalizeAlias(inputText)
+  return (aliases || []).filter(alias => normalizeAlias(alias.alias) === key)
+}
+
+// Puts features whose user alias starts with the query ahead of the
+// server's results, exact alias matches first
+const withAliasMatches = async (results, searchTerm, limit) => {
+  const { data: aliases } = await getFeatureAliases()
+  const query = normalizeAlias(searchTerm)
+  if (!aliases?.length || !query) return results
+
+  const aliasResults = aliases
+    .filter(alias => normalizeAlias(alias.alias).startsWith(query))
+    .sort((a, b) =>
+      (normalizeAlias(b.alias) === query) - (normalizeAlias(a.alias) === query) ||
+      a.alias.length - b.alias.length
+    )
+    .map(alias => ({
+      id: alias.feature_id,
+      name: alias.feature_name,
+      type: alias.feature_type,
+      match_type: 'alias',
+      matched_text: alias.alias,
+      similarity: normalizeAlias(alias.alias) === query ? 1 : 0.9
+    }))
+
+  const seen = new Set()
+  return [...aliasResults, ...results]
+    .filter(result => {
+      if (seen.has(result.id)) return false
+      seen.add(result.id)
+      return true
+    })
+    .slice(0, limit)
+}
+
+// Keyword hints for guessing a new feature's type, checked in order
+const FEATURE_TYPE_HINTS = [
+  ['imaging', /\b(x-?ray|cxr|ct|mri|ultrasound|echo|scan|radiograph)\b/i],
+  ['lab', /\b(level|count|serum|plasma|urine|titer|titre|culture|smear|ratio|antibod(y|ies))\b/i],
+  ['criterion', /\b(criteria|criterion|score)\b/i],
+  ['sign', /(megaly|murmur|rub|gallop|tenderness|rash|jaundice|pallor|o?edema|nails|reflex|bruit|crackles|wheez)/i]
+]
+
+// Best guess at feature_type for a parsed token that matched no feature
+export const guessFeatureType = (token) => {
+  const text = token.feature_text || ''
+
+  if (token.numeric_value !== null && token.numeric_value !== undefined) return 'lab'
+
+  const hint = FEATURE_TYPE_HINTS.find(([, pattern]) => pattern.test(text))
+  if (hint) return hint[0]
+
+  // Short all-caps names are usually lab abbreviations (MCV, TIBC, ALT)
+  if (/^[A-Z][A-Z0-9]{1,5}$/.test(text)) return 'lab'
+  if (token.value_modifier === '↑' || token.value_modifier === '↓') return 'lab'
+
+  return 'symptom'
+}
+
 export const addFeatureToDisease = async (diseaseId, featureId, featureDetails) => {
   try {
     const { data, error } = await supabase
@@ -518,6 +1305,8 @@ export const addFeatureToDisease = async (diseaseId, featureId, featureDetails)
       .single()
 
     if (error) throw error
+    featureCatalogCache = null
+    quickPeekCache.delete(diseaseId)
     return { data, error: null }
   } catch (error) {
     console.error('Error adding feature to disease:', error)
@@ -525,6 +1314,360 @@ export const addFeatureToDisease = async (diseaseId, featureId, featureDetails)
   }
 }
 
+export const removeFeatureFromDisease = async (diseaseId, featureId) => {
+  try {
+    const { error } = await supabase
+      .from('disease_feature')
+      .delete()
+      .eq('disease_id', diseaseId)
+      .eq('feature_id', featureId)
+
+    if (error) throw error
+    featureCatalogCache = null
+    quickPeekCache.delete(diseaseId)
+    return { data: true, error: null }
+  } catch (error) {
+    console.error('Error removing feature from disease:', error)
+    return { data: null, error }
+  }
+}
+
+// Removes several links in one statement, so it succeeds or fails as a whole
+export const removeFeaturesFromDisease = async (diseaseId, featureIds) => {
+  try {
+    const { error } = await supabase
+      .from('disease_feature')
+      .delete()
+      .eq('disease_id', diseaseId)
+      .in('feature_id', featureIds)
+
+    if (error) throw error
+    featureCatalogCache = null
+    quickPeekCache.delete(diseaseId)
+    return { data: true, error: null }
+  } catch (error) {
+    console.error('Error removing features from disease:', error)
+    return { data: null, error }
+  }
+}
+
+// A disease's disease_feature rows, flattened with the feature's name and type
+export const getDiseaseFeatures = async (diseaseId) => {
+  try {
+    const { data, error } = await supabase
+      .from('disease_feature')
+      .select('*, features(name, type)')
+      .eq('disease_id', diseaseId)
+
+    if (error) throw error
+    return {
+      data: (data || []).map(({ features, ...row }) => ({
+        ...row,
+        feature_name: features?.name,
+        feature_type: features?.type
+      })),
+      error: null
+    }
+  } catch (error) {
+    console.error('Error fetching disease features:', error)
+    return { data: null, error }
+  }
+}
+
+// Ids of the diseases a feature is linked to
+export const getFeatureDiseaseIds = async (featureId) => {
+  try {
+    const { data, error } = await supabase
+      .from('disease_feature')
+      .select('disease_id')
+      .eq('feature_id', featureId)
+
+    if (error) throw error
+    return { data: (data || []).map(row => row.disease_id), error: null }
+  } catch (error) {
+    console.error('Error fetching diseases for feature:', error)
+    return { data: null, error }
+  }
+}
+
+// =====================================================
+// LAB UNIT PREFERENCE
+// =====================================================
+
+// The signed-in user's preferred lab unit system, kept in their auth
+// metadata so it follows them between devices
+export const getLabUnitSystem = async () => {
+  const { data: { session } } = await supabase.auth.getSession()
+  return session?.user?.user_metadata?.lab_unit_system || DEFAULT_UNIT_SYSTEM
+}
+
+// Calls back with the unit system whenever the signed-in user changes
+export const subscribeToLabUnitSystem = (callback) => {
+  const { data: { subscription } } = supabase.auth.onAuthStateChange((event, session) => {
+    callback(session?.user?.user_metadata?.lab_unit_system || DEFAULT_UNIT_SYSTEM)
+  })
+  return subscription
+}
+
+export const setLabUnitSystem = async (unitSystem) => {
+  try {
+    if (!Object.values(UNIT_SYSTEMS).includes(unitSystem)) {
+      throw new Error(`Unknown unit system: ${unitSystem}`)
+    }
+
+    const { data, error } = await supabase.auth.updateUser({
+      data: { lab_unit_system: unitSystem }
+    })
+
+    if (error) throw error
+    return { data: data.user, error: null }
+  } catch (error) {
+    console.error('Error saving lab unit preference:', error)
+    return { data: null, error }
+  }
+}
+
+// =====================================================
+// DISEASE TEMPLATES
+// =====================================================
+
+// The user's own templates (see diseaseTemplates), kept in their auth
+// metadata next to the lab unit preference
+export const getUserDiseaseTemplates = async () => {
+  const { data: { session } } = await supabase.auth.getSession()
+  return session?.user?.user_metadata?.disease_templates || []
+}
+
+// Replaces the user's template list
+export const setUserDiseaseTemplates = async (templates) => {
+  try {
+    const { data, error } = await supabase.auth.updateUser({
+      data: { disease_templates: templates }
+    })
+
+    if (error) throw error
+    return { data: data.user.user_metadata?.disease_templates || [], error: null }
+  } catch (error) {
+    console.error('Error saving disease templates:', error)
+    return { data: null, error }
+  }
+}
+
+// =====================================================
+// FEATURE HIERARCHY
+// =====================================================
+
+// Files a feature under a parent concept, or detaches it (parentId null).
+// Refuses links that would make a feature its own ancestor.
+export const setFeatureParent = async (featureId, parentId) => {
+  try {
+    const { data: features, error: featuresError } = await getUserFeatures()
+    if (featuresError) throw featuresError
+
+    const problem = checkFeatureParent(buildFeatureTree(features), featureId, parentId)
+    if (problem) throw new Error(problem)
+
+    const { data, error } = await supabase
+      .from('features')
+      .update({ parent_id: parentId || null })
+      .eq('id', featureId)
+      .select()
+      .single()
+
+    if (error) throw error
+    clearFeatureSearchCache()
+    return { data, error: null }
+  } catch (error) {
+    console.error('Error setting feature parent:', error)
+    return { data: null, error }
+  }
+}
+
+// =====================================================
+// LAB REFERENCE RANGES
+// =====================================================
+
+const toReferenceRange = (row) => ({
+  ...row,
+  low: row.low === null ? null : Number(row.low),
+  high: row.high === null ? null : Number(row.high)
+})
+
+// Reference ranges for the given features, grouped by feature_id
+export const getReferenceRanges = async (featureIds) => {
+  try {
+    if (featureIds.length === 0) return { data: new Map(), error: null }
+
+    const { data, error } = await supabase
+      .from('feature_reference_ranges')
+      .select('*')
+      .in('feature_id', featureIds)
+
+    if (error) throw error
+
+    const byFeature = new Map()
+    ;(data || []).forEach(row => {
+      if (!byFeature.has(row.feature_id)) byFeature.set(row.feature_id, [])
+      byFeature.get(row.feature_id).push(toReferenceRange(row))
+    })
+    return { data: byFeature, error: null }
+  } catch (error) {
+    console.error('Error fetching reference ranges:', error)
+    return { data: null, error }
+  }
+}
+
+// range: { id?, low, high, unit, sex, age_min, age_max }
+export const saveReferenceRange = async (featureId, range) => {
+  try {
+    const { data, error } = await supabase
+      .from('feature_reference_ranges')
+      .upsert({
+        ...range,
+        feature_id: featureId,
+        sex: range.sex || null,
+        age_min: range.age_min ?? null,
+        age_max: range.age_max ?? null
+      })
+      .select()
+      .single()
+
+    if (error) throw error
+    return { data: toReferenceRange(data), error: null }
+  } catch (error) {
+    console.error('Error saving reference range:', error)
+    return { data: null, error }
+  }
+}
+
+export const deleteReferenceRange = async (rangeId) => {
+  try {
+    const { error } = await supabase
+      .from('feature_reference_ranges')
+      .delete()
+      .eq('id', rangeId)
+
+    if (error) throw error
+    return { data: true, error: null }
+  } catch (error) {
+    console.error('Error deleting reference range:', error)
+    return { data: null, error }
+  }
+}
+
+// =====================================================
+// DUPLICATE FEATURES
+// =====================================================
+
+// Likely duplicate groups among the user's features (see featureDuplicates)
+export const findDuplicateFeatureGroups = async () => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser()
+    if (!user) throw new Error('Not authenticated')
+
+    const [featureResult, aliasResult, linkResult] = await Promise.all([
+      getUserFeatures(),
+      getFeatureAliases(),
+      supabase
+        .from('disease_feature')
+        .select('feature_id, features!inner(user_id)')
+        .eq('features.user_id', user.id)
+    ])
+    if (featureResult.error) throw featureResult.error
+    if (aliasResult.error) throw aliasResult.error
+    if (linkResult.error) throw linkResult.error
+
+    const linkCounts = new Map()
+    linkResult.data.forEach(({ feature_id }) => {
+      linkCounts.set(feature_id, (linkCounts.get(feature_id) || 0) + 1)
+    })
+
+    const features = featureResult.data.map(feature => ({
+      ...feature,
+      link_count: linkCounts.get(feature.id) || 0
+    }))
+    return { data: findDuplicateFeatures(features, aliasResult.data), error: null }
+  } catch (error) {
+    console.error('Error finding duplicate features:', error)
+    return { data: null, error }
+  }
+}
+
+// What merging would do, without changing anything:
+// { upserts, conflicts, movedLinks, aliases: { repoint, remove, add } }
+export const previewFeatureMerge = async (survivorId, duplicateIds) => {
+  try {
+    const featureIds = [survivorId, ...duplicateIds]
+    const [featureResult, aliasResult, linkResult] = await Promise.all([
+      supabase.from('features').select('id, name, type').in('id', featureIds),
+      getFeatureAliases(),
+      supabase.from('disease_feature').select('*, diseases(name)').in('feature_id', featureIds)
+    ])
+    if (featureResult.error) throw featureResult.error
+    if (aliasResult.error) throw aliasResult.error
+    if (linkResult.error) throw linkResult.error
+
+    const survivor = featureResult.data.find(feature => feature.id === survivorId)
+    if (!survivor) throw new Error('Surviving feature not found')
+    const duplicates = featureResult.data.filter(feature => feature.id !== survivorId)
+
+    return {
+      data: {
+        ...planFeatureMerge(
+          survivorId,
+          duplicateIds,
+          linkResult.data.map(({ diseases, ...link }) => ({ ...link, disease_name: diseases?.name }))
+        ),
+        aliases: planAliasMerge(survivor, duplicates, aliasResult.data)
+      },
+      error: null
+    }
+  } catch (error) {
+    console.error('Error previewing feature merge:', error)
+    return { data: null, error }
+  }
+}
+
+// Folds the duplicates into the survivor. The plan is worked out here
+// and applied by the merge_features RPC in one transaction
+// (supabase/migrations), so a failed merge changes nothing.
+export const mergeFeatures = async (survivorId, duplicateIds) => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser()
+    if (!user) throw new Error('Not authenticated')
+    if (duplicateIds.includes(survivorId)) throw new Error('A feature cannot be merged into itself')
+
+    const { data: plan, error: planError } = await previewFeatureMerge(survivorId, duplicateIds)
+    if (planError) throw planError
+
+    const { error } = await supabase.rpc('merge_features', {
+      survivor_id: survivorId,
+      duplicate_ids: duplicateIds,
+      link_upserts: plan.upserts,
+      alias_repoint: plan.aliases.repoint,
+      alias_remove: plan.aliases.remove,
+      alias_add: plan.aliases.add
+    })
+    if (error) throw error
+
+    clearFeatureSearchCache()
+    clearQuickPeekCache()
+    return {
+      data: {
+        survivorId,
+        merged: duplicateIds.length,
+        movedLinks: plan.movedLinks,
+        conflicts: plan.conflicts,
+        aliasesAdded: plan.aliases.add.length + plan.aliases.repoint.length
+      },
+      error: null
+    }
+  } catch (error) {
+    console.error('Error merging features:', error)
+    return { data: null, error }
+  }
+}
+
 // Batch add multiple features to a disease
 export const batchAddFeaturesToDisease = async (diseaseId, features) => {
   try {
@@ -547,7 +1690,10 @@ export const batchAddFeaturesToDisease = async (diseaseId, features) => {
             typicality: f.typicality || 'common',
             weight: f.weight || 1,
             is_present: f.is_present ?? true,
-            is_pathognomonic: f.is_pathognomonic || false
+            is_pathognomonic: f.is_pathognomonic || false,
+            alternative_group: f.alternative_group ?? null,
+            interpretation: f.interpretation ?? null,
+            unit: f.unit ?? null
           }))
         }
       })
@@ -559,6 +1705,11 @@ export const batchAddFeaturesToDisease = async (diseaseId, features) => {
       throw new Error(result.error || 'Batch operation failed')
     }
 
+    // Links changed, so catalog filters like used-by: and the disease's
+    // cached stats are stale
+    featureCatalogCache = null
+    quickPeekCache.delete(diseaseId)
+
     return { data: result.result, error: null }
   } catch (error) {
     console.error('Error batch adding features:', error)
@@ -594,23 +1745,11 @@ export const subscribeToFeatureChanges = (callback) => {
 // PERFORMANCE UTILITIES
 // =====================================================
 
-// Debounced search for autocomplete
+// Debounced search for autocomplete. Superseded calls settle with
+// { cancelled: true } instead of staying pending; for feature search use
+// featureSearchPipeline.createDebounced() to share its cache
 export const createDebouncedSearch = (searchFunction, delay = 300) => {
-  let timeoutId
-  
-  return (...args) => {
-    return new Promise((resolve, reject) => {
-      clearTimeout(timeoutId)
-      timeoutId = setTimeout(async () => {
-        try {
-          const result = await searchFunction(...args)
-          resolve(result)
-        } catch (error) {
-          reject(error)
-        }
-      }, delay)
-    })
-  }
+  return createSearchPipeline(searchFunction).createDebounced(delay)
 }
 
 // Cache for Quick Peek data
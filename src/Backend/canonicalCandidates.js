@@ -0,0 +1,146 @@
+// src/Backend/canonicalCandidates.js
+import { normalizeAlias } from './aliasRules'
+
+/**
+ * Ranked canonicalization candidates.
+ *
+ * Free text can match several features ("MS": mitral stenosis, multiple
+ * sclerosis). Candidates are gathered from the user's aliases, every row
+ * canonicalize_feature returns and the feature search, merged per
+ * feature, and given a 0..1 confidence plus the reasons it matched.
+ * When the top two are too close to call the text is ambiguous and the
+ * user picks.
+ */
+
+export const MATCH_REASONS = {
+  USER_ALIAS: 'user_alias',
+  EXACT_NAME: 'exact_name',
+  CANONICAL: 'canonical',
+  SERVER_ALIAS: 'server_alias',
+  SEARCH: 'search'
+}
+
+const REASON_LABELS = {
+  [MATCH_REASONS.USER_ALIAS]: (text) => `your alias "${text}"`,
+  [MATCH_REASONS.EXACT_NAME]: () => 'exact name',
+  [MATCH_REASONS.CANONICAL]: () => 'server match',
+  [MATCH_REASONS.SERVER_ALIAS]: (text) => `synonym "${text}"`,
+  [MATCH_REASONS.SEARCH]: (text) => `similar to "${text}"`
+}
+
+// Candidates below this are not offered at all
+export const MIN_CONFIDENCE = 0.5
+
+// Top two candidates closer than this need the user to choose
+export const AMBIGUITY_MARGIN = 0.1
+
+// Search matches are broader than canonicalization, so count for less
+const SEARCH_FACTOR = 0.9
+
+// Unscored server rows: first row, then each further row this much lower
+const UNSCORED_TOP = 0.9
+const UNSCORED_STEP = 0.05
+
+const reason = (type, text = '') => ({ type, label: REASON_LABELS[type](text) })
+
+const clampScore = (value) => {
+  const score = Number(value)
+  return Number.isFinite(score) ? Math.min(1, Math.max(0, score)) : null
+}
+
+// sources: { aliases: feature_aliases rows flattened with feature_name,
+// canonical: canonicalize_feature rows, search: search result rows }
+// → candidates { feature_id, feature_name, feature_type, confidence, reasons },
+// best first
+export const rankCandidates = (inputText, { aliases = [], canonical = [], search = [] }) => {
+  const query = normalizeAlias(inputText)
+  const candidates = new Map()
+
+  const add = (feature, confidence, matchReason) => {
+    if (!feature.feature_id || confidence === null) return
+
+    const current = candidates.get(feature.feature_id) || {
+      feature_id: feature.feature_id,
+      feature_name: feature.feature_name,
+      feature_type: feature.feature_type,
+      confidence: 0,
+      reasons: []
+    }
+    current.feature_name = current.feature_name || feature.feature_name
+    current.feature_type = current.feature_type || feature.feature_type
+    current.confidence = Math.max(current.confidence, confidence)
+    if (!current.reasons.some(existing => existing.type === matchReason.type)) {
+      current.reasons.push(matchReason)
+    }
+    candidates.set(feature.feature_id, current)
+  }
+
+  aliases.forEach(alias => {
+    add(
+      { feature_id: alias.feature_id, feature_name: alias.feature_name, feature_type: alias.feature_type },
+      1,
+      reason(MATCH_REASONS.USER_ALIAS, alias.alias)
+    )
+  })
+
+  canonical.forEach((row, index) => {
+    const feature = {
+      feature_id: row.feature_id ?? row.id,
+      feature_name: row.feature_name ?? row.canonical_name ?? row.name,
+      feature_type: row.feature_type ?? row.type
+    }
+    const score = clampScore(row.confidence ?? row.similarity ?? row.score) ??
+      Math.max(MIN_CONFIDENCE, UNSCORED_TOP - index * UNSCORED_STEP)
+    const matchReason = row.match_type === 'alias'
+      ? reason(MATCH_REASONS.SERVER_ALIAS, row.matched_text || inputText)
+      : reason(MATCH_REASONS.CANONICAL)
+    add(feature, score, matchReason)
+  })
+
+  search.forEach((row, index) => {
+    const similarity = clampScore(row.similarity ?? row.score) ??
+      Math.max(0, UNSCORED_TOP - index * UNSCORED_STEP)
+    add(
+      { feature_id: row.id, feature_name: row.name, feature_type: row.type },
+      similarity * SEARCH_FACTOR,
+      reason(MATCH_REASONS.SEARCH, row.matched_text || row.name)
+    )
+  })
+
+  // Text that is a feature's own name is a certain match
+  candidates.forEach(candidate => {
+    if (normalizeAlias(candidate.feature_name) === query) {
+      candidate.confidence = 1
+      candidate.reasons.unshift(reason(MATCH_REASONS.EXACT_NAME))
+    }
+  })
+
+  // Ties go to the user's own aliases, then to the most corroborated
+  const isUserAlias = (candidate) => candidate.reasons.some(r => r.type === MATCH_REASONS.USER_ALIAS)
+
+  return [...candidates.values()]
+    .filter(candidate => candidate.confidence >= MIN_CONFIDENCE)
+    .sort((a, b) =>
+      b.confidence - a.confidence ||
+      isUserAlias(b) - isUserAlias(a) ||
+      b.reasons.length - a.reasons.length
+    )
+}
+
+// Matched only by fuzzy search: worth offering, not worth auto-picking
+export const isSearchOnly = (candidate) => {
+  return candidate.reasons.every(r => r.type === MATCH_REASONS.SEARCH)
+}
+
+// Whether the user has to choose between the top candidates. A single
+// personal alias or exact name settles it.
+export const isAmbiguous = (candidates) => {
+  if (candidates.length < 2) return false
+
+  for (const type of [MATCH_REASONS.USER_ALIAS, MATCH_REASONS.EXACT_NAME]) {
+    const decisive = candidates.filter(candidate => candidate.reasons.some(r => r.type === type))
+    if (decisive.length === 1) return false
+  }
+
+  return candidates[0].confidence - candidates[1].confidence < AMBIGUITY_MARGIN
+}
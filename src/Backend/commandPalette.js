@@ -0,0 +1,207 @@
+// src/Backend/commandPalette.js
+import { buildFeatureIndex, searchFeatureIndex } from './fuzzySearch'
+
+/**
+ * Search and commands for the Ctrl/Cmd+K palette.
+ *
+ * Diseases and their system / subsystem groups are matched locally with
+ * the fuzzy index; features come from the feature search. Typed commands
+ * ("compare anemia with thalassemia", "add features to CKD") resolve
+ * their disease names the same way.
+ *
+ * Every item carries a `target` for App to navigate to:
+ * { view, diseaseId?, diseaseIds?, filter?, focusFeatures? }
+ */
+
+export const PALETTE_ITEM_KINDS = {
+  ACTION: 'action',
+  VIEW: 'view',
+  DISEASE: 'disease',
+  SYSTEM: 'system',
+  FEATURE: 'feature'
+}
+
+// The compare view takes at most this many diseases
+const MAX_COMPARED = 3
+
+const DISEASE_LIMIT = 6
+const SYSTEM_LIMIT = 4
+
+// Looser matches are noise when listing everything at once
+const MIN_SIMILARITY = 0.5
+
+const COMPARE_RE = /^(?:compare|cmp)\s+(.+)$/i
+const COMPARE_SEPARATOR_RE = /\s*(?:,|\bwith\b|\bvs\.?|\bversus\b|\band\b)\s*/i
+const ADD_FEATURES_RE = /^add(?:\s+features?)?(?:\s+to)?\s+(.+)$/i
+
+// =====================================================
+// INDEX
+// =====================================================
+
+const systemLabel = ({ system, subsystem }) => (subsystem ? `${system} › ${subsystem}` : system)
+
+// "Chronic kidney disease" → "ckd", so abbreviations find diseases
+const initialsOf = (name) => {
+  const words = name.split(/[\s-]+/).filter(word => /^[a-z]/i.test(word))
+  return words.length > 1 ? words.map(word => word[0]).join('').toLowerCase() : null
+}
+
+// diseases: { id, name, system, subsystem }. Systems and each of their
+// subsystems become groups with disease counts.
+export const buildPaletteIndex = (diseases) => {
+  const groups = new Map()
+  const addGroup = (system, subsystem = null) => {
+    const id = `${system}\u0000${subsystem ?? ''}`
+    const group = groups.get(id) || { id, system, subsystem, name: systemLabel({ system, subsystem }), count: 0 }
+    group.count++
+    groups.set(id, group)
+  }
+
+  diseases.forEach(disease => {
+    if (!disease.system) return
+    addGroup(disease.system)
+    if (disease.subsystem) addGroup(disease.system, disease.subsystem)
+  })
+
+  const systems = [...groups.values()]
+  return {
+    diseases,
+    diseaseIndex: buildFeatureIndex(
+      diseases,
+      diseases
+        .map(disease => ({ feature_id: disease.id, alias: initialsOf(disease.name) }))
+        .filter(entry => entry.alias)
+    ),
+    systems,
+    systemIndex: buildFeatureIndex(systems)
+  }
+}
+
+// =====================================================
+// ITEMS
+// =====================================================
+
+const diseaseItem = (disease) => ({
+  id: `disease:${disease.id}`,
+  kind: PALETTE_ITEM_KINDS.DISEASE,
+  label: disease.name,
+  detail: [disease.system, disease.subsystem].filter(Boolean).join(' › '),
+  target: { view: 'manage', diseaseId: disease.id }
+})
+
+const systemItem = (group) => ({
+  id: `system:${group.id}`,
+  kind: PALETTE_ITEM_KINDS.SYSTEM,
+  label: group.name,
+  detail: `${group.count} disease${group.count === 1 ? '' : 's'}`,
+  target: { view: 'manage', filter: { type: 'system', system: group.system, subsystem: group.subsystem, label: group.name } }
+})
+
+// How a feature result that did not match by name is explained
+const MATCH_DETAILS = { alias: 'alias', parent: 'under' }
+
+// search result row (id, name, type) → item listing the diseases that use it
+export const featureItem = (feature) => ({
+  id: `feature:${feature.id}`,
+  kind: PALETTE_ITEM_KINDS.FEATURE,
+  label: feature.name,
+  detail: feature.matched_text && MATCH_DETAILS[feature.match_type]
+    ? `${feature.type} • ${MATCH_DETAILS[feature.match_type]} "${feature.matched_text}"`
+    : feature.type,
+  target: { view: 'manage', filter: { type: 'feature', featureId: feature.id, label: feature.name } }
+})
+
+// views: App's navigation items ({ id, name, description })
+const viewItem = (view) => ({
+  id: `view:${view.id}`,
+  kind: PALETTE_ITEM_KINDS.VIEW,
+  label: `Go to ${view.name}`,
+  detail: view.description,
+  target: { view: view.id }
+})
+
+// =====================================================
+// COMMANDS
+// =====================================================
+
+const matchDiseases = (index, text, limit) => {
+  return searchFeatureIndex(index.diseaseIndex, text, limit)
+    .filter(match => match.similarity >= MIN_SIMILARITY)
+}
+
+const bestDisease = (index, text) => {
+  const [match] = matchDiseases(index, text, 1)
+  return match ? index.diseases.find(disease => disease.id === match.id) : null
+}
+
+// "compare A with B (and C)": one action once at least one name resolves
+const compareCommand = (index, text) => {
+  const names = text.split(COMPARE_SEPARATOR_RE).map(name => name.trim()).filter(Boolean)
+  const diseases = []
+  names.forEach(name => {
+    const disease = bestDisease(index, name)
+    if (disease && !diseases.includes(disease) && diseases.length < MAX_COMPARED) diseases.push(disease)
+  })
+  if (diseases.length === 0) return []
+
+  const label = diseases.length === 1
+    ? `Compare ${diseases[0].name} with…`
+    : `Compare ${diseases.map(disease => disease.name).join(' with ')}`
+
+  return [{
+    id: `action:compare:${diseases.map(disease => disease.id).join(',')}`,
+    kind: PALETTE_ITEM_KINDS.ACTION,
+    label,
+    detail: diseases.length === 1 ? 'Pick the others in Compare' : 'Open side-by-side comparison',
+    target: { view: 'compare', diseaseIds: diseases.map(disease => disease.id) }
+  }]
+}
+
+// "add features to X": one action per likely disease
+const addFeaturesCommand = (index, text) => {
+  return matchDiseases(index, text, MAX_COMPARED).map(match => ({
+    id: `action:add:${match.id}`,
+    kind: PALETTE_ITEM_KINDS.ACTION,
+    label: `Add features to ${match.name}`,
+    detail: [match.system, match.subsystem].filter(Boolean).join(' › '),
+    target: { view: 'manage', diseaseId: match.id, focusFeatures: true }
+  }))
+}
+
+// Actions for a typed command, or null when the query is not one
+export const parsePaletteCommand = (query, index) => {
+  const text = query.trim()
+
+  const compare = text.match(COMPARE_RE)
+  if (compare) return compareCommand(index, compare[1])
+
+  const add = text.match(ADD_FEATURES_RE)
+  if (add) return addFeaturesCommand(index, add[1])
+
+  return null
+}
+
+// =====================================================
+// SEARCH
+// =====================================================
+
+// Local part of a palette search: commands, views, diseases and
+// systems, in display order. Features are appended by the caller.
+export const searchPaletteLocal = (query, index, views = []) => {
+  const text = query.trim()
+  if (!text) return views.map(viewItem)
+
+  const commands = parsePaletteCommand(text, index)
+  if (commands) return commands
+
+  const needle = text.toLowerCase()
+  return [
+    ...views
+      .filter(view => view.name.toLowerCase().includes(needle) || view.id.includes(needle))
+      .map(viewItem),
+    ...matchDiseases(index, text, DISEASE_LIMIT).map(diseaseItem),
+    ...searchFeatureIndex(index.systemIndex, text, SYSTEM_LIMIT)
+      .filter(match => match.similarity >= MIN_SIMILARITY)
+      .map(systemItem)
+  ]
+}
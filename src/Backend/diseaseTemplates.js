@@ -0,0 +1,75 @@
+// src/Backend/diseaseTemplates.js
+import { BACKEND_CONFIG } from './backendConfig'
+
+/**
+ * Starting points for new diseases.
+ *
+ * A template is a system/subsystem and a token string of placeholder
+ * features. Applying one links those features to the new disease,
+ * creating any the user does not have yet with the type from
+ * feature_types. The built-in templates live here; users save their own
+ * from an existing disease (kept in their auth metadata, see api).
+ *
+ * Shape: { id, name, description, system, subsystem, tokens, feature_types }
+ */
+
+export const USER_TEMPLATE_PREFIX = 'user:'
+
+export const BUILT_IN_TEMPLATES = [
+  {
+    id: 'infectious',
+    name: 'Infectious disease skeleton',
+    description: 'Fever, inflammatory markers and cultures',
+    system: 'Infectious Disease',
+    subsystem: null,
+    tokens: 'Fever Chills~occasional WBC↑ CRP↑ "Blood culture"="positive" "Source of infection"',
+    feature_types: {
+      Fever: 'sign',
+      Chills: 'symptom',
+      WBC: 'lab',
+      CRP: 'lab',
+      'Blood culture': 'lab',
+      'Source of infection': 'criterion'
+    }
+  },
+  {
+    id: 'anemia',
+    name: 'Anemia skeleton',
+    description: 'Symptoms, haemoglobin and iron studies',
+    system: 'Hematology',
+    subsystem: 'Anemia',
+    tokens: 'Fatigue Pallor Dyspnea~occasional Hemoglobin↓ MCV Ferritin Reticulocytes',
+    feature_types: {
+      Fatigue: 'symptom',
+      Pallor: 'sign',
+      Dyspnea: 'symptom',
+      Hemoglobin: 'lab',
+      MCV: 'lab',
+      Ferritin: 'lab',
+      Reticulocytes: 'lab'
+    }
+  },
+  {
+    id: 'inflammatory-arthritis',
+    name: 'Inflammatory arthritis skeleton',
+    description: 'Joint findings and inflammatory markers',
+    system: 'Rheumatology',
+    subsystem: 'Inflammatory Arthritis',
+    tokens: '"Joint pain" "Morning stiffness" Synovitis!2 CRP↑ ESR↑ "Rheumatoid factor"~occasional',
+    feature_types: {
+      'Joint pain': 'symptom',
+      'Morning stiffness': 'symptom',
+      Synovitis: 'sign',
+      CRP: 'lab',
+      ESR: 'lab',
+      'Rheumatoid factor': 'lab'
+    }
+  }
+]
+
+export const isUserTemplate = (template) => template.id.startsWith(USER_TEMPLATE_PREFIX)
+
+// Type for a template feature the user does not have yet
+export const templateFeatureType = (template, featureName) => {
+  return template.feature_types?.[featureName] || BACKEND_CONFIG.FEATURE_TYPES[0]
+}
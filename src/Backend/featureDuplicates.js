@@ -0,0 +1,300 @@
+// src/Backend/featureDuplicates.js
+import { normalizeText, editDistance } from './fuzzySearch'
+import { normalizeAlias } from './aliasRules'
+import { BACKEND_CONFIG } from './backendConfig'
+
+/**
+ * Duplicate feature detection and merge planning.
+ *
+ * Features of the same type are likely duplicates when their names
+ * differ only by spelling variant (Dyspnoea / Dyspnea) or by a single
+ * typo, or when an alias of one is the other's name or both share an
+ * alias (SOB). Linked pairs are grouped, so three spellings of one
+ * finding come back as one group.
+ *
+ * Merging moves every disease_feature link to the surviving feature.
+ * A disease linked to both keeps one row whose attributes are combined
+ * field by field; differing values are reported as conflicts along
+ * with the value that was kept. The merged features' names and aliases
+ * become aliases of the survivor.
+ */
+
+export const DUPLICATE_REASONS = {
+  SPELLING: 'spelling',
+  TYPO: 'typo',
+  ALIAS: 'alias'
+}
+
+// Typo matches need names at least this long; short ones (IgA / IgM,
+// MCV / MCH) differ by one letter on purpose
+const MIN_TYPO_LENGTH = 6
+
+const REASON_SCORES = {
+  [DUPLICATE_REASONS.SPELLING]: 0.95,
+  [DUPLICATE_REASONS.ALIAS]: 0.9,
+  [DUPLICATE_REASONS.TYPO]: 0.8
+}
+
+// British → American spellings, applied to both names before comparing
+const SPELLING_VARIANTS = [
+  [/oe/g, 'e'],
+  [/ae/g, 'e'],
+  [/our\b/g, 'or'],
+  [/tre\b/g, 'ter'],
+  [/is(e|ing|ation)\b/g, 'iz$1']
+]
+
+const spellingKey = (name) => {
+  return SPELLING_VARIANTS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), normalizeText(name))
+}
+
+const digitsOf = (text) => text.replace(/\D/g, '')
+
+// Why two features of the same type look like one, or null
+const compareNames = (a, b) => {
+  const left = normalizeText(a.name)
+  const right = normalizeText(b.name)
+  if (!left || !right) return null
+
+  if (left === right || spellingKey(a.name) === spellingKey(b.name)) {
+    return { type: DUPLICATE_REASONS.SPELLING, label: `"${a.name}" and "${b.name}" are spelling variants` }
+  }
+
+  // One edit apart, but never when numbers differ (Type 1 / Type 2)
+  if (Math.min(left.length, right.length) >= MIN_TYPO_LENGTH &&
+      digitsOf(left) === digitsOf(right) &&
+      editDistance(left, right) === 1) {
+    return { type: DUPLICATE_REASONS.TYPO, label: `"${a.name}" and "${b.name}" differ by one letter` }
+  }
+
+  return null
+}
+
+// =====================================================
+// DETECTION
+// =====================================================
+
+// features: { id, name, type, link_count? }; aliases: { feature_id, alias }.
+// Returns groups of likely duplicates, most certain first:
+// { features, reasons: [{ type, label, featureIds }], score, suggestedSurvivorId }
+export const findDuplicateFeatures = (features, aliases = []) => {
+  const byId = new Map(features.map(feature => [feature.id, feature]))
+  const aliasesByFeature = new Map()
+  aliases.forEach(alias => {
+    if (!byId.has(alias.feature_id)) return
+    if (!aliasesByFeature.has(alias.feature_id)) aliasesByFeature.set(alias.feature_id, [])
+    aliasesByFeature.get(alias.feature_id).push(alias.alias)
+  })
+
+  const pairs = []
+  const addPair = (a, b, reason) => {
+    if (a.id === b.id || a.type !== b.type) return
+    pairs.push({ ids: [a.id, b.id], reason: { ...reason, featureIds: [a.id, b.id] } })
+  }
+
+  // Names: only features of the same type are compared
+  const byType = new Map()
+  features.forEach(feature => {
+    if (!byType.has(feature.type)) byType.set(feature.type, [])
+    byType.get(feature.type).push(feature)
+  })
+  byType.forEach(group => {
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length; j++) {
+        const reason = compareNames(group[i], group[j])
+        if (reason) addPair(group[i], group[j], reason)
+      }
+    }
+  })
+
+  // Aliases: an alias naming another feature, or one alias on two features
+  const featuresByName = new Map(features.map(feature => [normalizeAlias(feature.name), feature]))
+  const featuresByAlias = new Map()
+  aliasesByFeature.forEach((texts, featureId) => {
+    const feature = byId.get(featureId)
+    texts.forEach(text => {
+      const key = normalizeAlias(text)
+      const named = featuresByName.get(key)
+      if (named) {
+        addPair(feature, named, {
+          type: DUPLICATE_REASONS.ALIAS,
+          label: `"${text}" is an alias of ${feature.name} and the name of another feature`
+        })
+      }
+
+      const shared = featuresByAlias.get(key) || []
+      shared.forEach(other => addPair(feature, other, {
+        type: DUPLICATE_REASONS.ALIAS,
+        label: `${feature.name} and ${other.name} share the alias "${text}"`
+      }))
+      featuresByAlias.set(key, [...shared, feature])
+    })
+  })
+
+  // Union-find over the pairs
+  const parent = new Map()
+  const find = (id) => {
+    while (parent.has(id) && parent.get(id) !== id) id = parent.get(id)
+    return id
+  }
+  pairs.forEach(({ ids: [a, b] }) => {
+    if (!parent.has(a)) parent.set(a, a)
+    if (!parent.has(b)) parent.set(b, b)
+    const rootA = find(a)
+    const rootB = find(b)
+    if (rootA !== rootB) parent.set(rootB, rootA)
+  })
+
+  const groups = new Map()
+  pairs.forEach(({ ids, reason }) => {
+    const root = find(ids[0])
+    if (!groups.has(root)) groups.set(root, { featureIds: new Set(), reasons: [], score: 0 })
+    const group = groups.get(root)
+    ids.forEach(id => group.featureIds.add(id))
+    group.reasons.push(reason)
+    group.score = Math.max(group.score, REASON_SCORES[reason.type])
+  })
+
+  return [...groups.values()]
+    .map(group => {
+      const members = [...group.featureIds].map(id => byId.get(id))
+      return {
+        features: members,
+        reasons: group.reasons,
+        score: group.score,
+        suggestedSurvivorId: suggestSurvivor(members, aliasesByFeature).id
+      }
+    })
+    .sort((a, b) => b.score - a.score || a.features[0].name.localeCompare(b.features[0].name))
+}
+
+// The most used feature survives; then the one with most aliases
+const suggestSurvivor = (members, aliasesByFeature) => {
+  return [...members].sort((a, b) =>
+    (b.link_count || 0) - (a.link_count || 0) ||
+    (aliasesByFeature.get(b.id)?.length || 0) - (aliasesByFeature.get(a.id)?.length || 0) ||
+    a.name.localeCompare(b.name)
+  )[0]
+}
+
+// =====================================================
+// MERGE PLANNING
+// =====================================================
+
+// The row the kept value_text comes from; its unit and interpretation
+// travel with it
+const valueRowOf = (rows) => rows.find(row => row.value_text) || rows[0]
+
+// How each disease_feature attribute is combined when a disease is
+// linked to more than one of the merged features. Rows arrive with the
+// survivor's first.
+const MERGE_RULES = {
+  // Presence cannot be combined; the survivor's (or first) row wins
+  is_present: (rows) => rows[0].is_present ?? true,
+  value_text: (rows) => rows.find(row => row.value_text)?.value_text ?? null,
+  unit: (rows) => valueRowOf(rows).unit ?? null,
+  // The most typical and the heaviest description of the finding
+  typicality: (rows) => {
+    const options = BACKEND_CONFIG.TYPICALITY_OPTIONS
+    const ranked = rows
+      .map(row => row.typicality)
+      .filter(value => options.includes(value))
+      .sort((a, b) => options.indexOf(a) - options.indexOf(b))
+    return ranked[0] ?? rows[0].typicality ?? null
+  },
+  weight: (rows) => {
+    const weights = rows.map(row => Number(row.weight)).filter(Number.isFinite)
+    return weights.length > 0 ? Math.max(...weights) : null
+  },
+  is_pathognomonic: (rows) => rows.some(row => row.is_pathognomonic),
+  alternative_group: (rows) => rows.find(row => row.alternative_group)?.alternative_group ?? null
+}
+
+const valueOf = (row, field) => {
+  const value = row[field]
+  return value === undefined || value === '' ? null : value
+}
+
+// links: disease_feature rows of the survivor and the duplicates.
+// Returns { upserts, conflicts, movedLinks }: the survivor's rows to
+// write, the attributes that differed ({ disease_id, disease_name,
+// field, values, kept }), and how many duplicate links are folded in. Every duplicate
+// link is deleted afterwards. Links may carry disease_name for display.
+export const planFeatureMerge = (survivorId, duplicateIds, links) => {
+  const merged = new Set([survivorId, ...duplicateIds])
+  const byDisease = new Map()
+  links
+    .filter(link => merged.has(link.feature_id))
+    .forEach(link => {
+      if (!byDisease.has(link.disease_id)) byDisease.set(link.disease_id, [])
+      byDisease.get(link.disease_id).push(link)
+    })
+
+  const upserts = []
+  const conflicts = []
+  let movedLinks = 0
+
+  byDisease.forEach((rows, diseaseId) => {
+    const duplicates = rows.filter(row => row.feature_id !== survivorId)
+    if (duplicates.length === 0) return
+    movedLinks += duplicates.length
+
+    const ordered = [...rows.filter(row => row.feature_id === survivorId), ...duplicates]
+    const valueRow = valueRowOf(ordered)
+    const row = {
+      disease_id: diseaseId,
+      feature_id: survivorId,
+      interpretation: valueRow.interpretation ?? null
+    }
+
+    Object.entries(MERGE_RULES).forEach(([field, combine]) => {
+      row[field] = combine(ordered)
+
+      const values = [...new Set(ordered.map(link => valueOf(link, field)))]
+      if (values.length > 1) {
+        conflicts.push({ disease_id: diseaseId, disease_name: ordered[0].disease_name, field, values, kept: row[field] })
+      }
+    })
+
+    upserts.push(row)
+  })
+
+  return { upserts, conflicts, movedLinks }
+}
+
+// What happens to aliases: the duplicates' aliases move to the survivor
+// (or are dropped when the survivor already answers to that text), and
+// the duplicates' names become new aliases.
+// aliases: { id, alias, feature_id }; features: { id, name }.
+// Returns { repoint: [aliasId], remove: [aliasId], add: [text] }
+export const planAliasMerge = (survivor, duplicates, aliases) => {
+  const duplicateIds = new Set(duplicates.map(feature => feature.id))
+  const taken = new Set([
+    normalizeAlias(survivor.name),
+    ...aliases.filter(alias => alias.feature_id === survivor.id).map(alias => normalizeAlias(alias.alias))
+  ])
+
+  const repoint = []
+  const remove = []
+  aliases
+    .filter(alias => duplicateIds.has(alias.feature_id))
+    .forEach(alias => {
+      const key = normalizeAlias(alias.alias)
+      if (taken.has(key)) {
+        remove.push(alias.id)
+      } else {
+        taken.add(key)
+        repoint.push(alias.id)
+      }
+    })
+
+  const add = []
+  duplicates.forEach(feature => {
+    const key = normalizeAlias(feature.name)
+    if (!key || taken.has(key)) return
+    taken.add(key)
+    add.push(feature.name.trim())
+  })
+
+  return { repoint, remove, add }
+}
@@ -0,0 +1,43 @@
+// src/Backend/featureFilters.js
+import { BACKEND_CONFIG } from './backendConfig'
+
+/**
+ * Filters over a disease's feature rows, and how many rows each keeps.
+ *
+ * The disease header cards count with the same predicate the feature
+ * panel filters with, so a card's number is the number of rows it shows.
+ *
+ *   filter: { type: 'pathognomonic' } | { type: 'high_weight' } |
+ *           { type: 'feature_type', featureType }, each with a label
+ */
+
+// Only the heaviest weight option counts as high weight
+export const HIGH_WEIGHT = Math.max(...BACKEND_CONFIG.WEIGHT_OPTIONS)
+
+export const matchesFeatureFilter = (feature, filter) => {
+  switch (filter?.type) {
+    case 'pathognomonic':
+      return Boolean(feature.is_pathognomonic)
+    case 'high_weight':
+      return feature.weight === HIGH_WEIGHT
+    case 'feature_type':
+      return feature.feature_type === filter.featureType
+    default:
+      return true
+  }
+}
+
+// → { total, pathognomonic, highWeight, byType: { [feature_type]: count } }
+export const countFeatureFilters = (features) => {
+  const byType = {}
+  features.forEach(feature => {
+    if (feature.feature_type) byType[feature.feature_type] = (byType[feature.feature_type] || 0) + 1
+  })
+
+  return {
+    total: features.length,
+    pathognomonic: features.filter(feature => matchesFeatureFilter(feature, { type: 'pathognomonic' })).length,
+    highWeight: features.filter(feature => matchesFeatureFilter(feature, { type: 'high_weight' })).length,
+    byType
+  }
+}
@@ -0,0 +1,102 @@
+// src/Backend/featureTaxonomy.js
+
+/**
+ * Parent/child links between features ("Microcytic anemia" is a kind of
+ * "Anemia"), stored as features.parent_id.
+ *
+ * The tree is built from the user's feature rows. Links pointing at a
+ * feature that is not loaded are ignored, and walks stop at a repeated
+ * feature, so a bad row cannot hang the UI.
+ */
+
+// features: rows with id, name and parent_id
+export const buildFeatureTree = (features) => {
+  const byId = new Map(features.map(feature => [feature.id, feature]))
+  const children = new Map()
+
+  features.forEach(feature => {
+    if (!feature.parent_id || !byId.has(feature.parent_id)) return
+    if (!children.has(feature.parent_id)) children.set(feature.parent_id, [])
+    children.get(feature.parent_id).push(feature)
+  })
+  children.forEach(list => list.sort((a, b) => a.name.localeCompare(b.name)))
+
+  const childrenOf = (featureId) => children.get(featureId) || []
+
+  // Nearest first
+  const ancestorsOf = (featureId) => {
+    const ancestors = []
+    const seen = new Set([featureId])
+    let parent = byId.get(byId.get(featureId)?.parent_id)
+    while (parent && !seen.has(parent.id)) {
+      ancestors.push(parent)
+      seen.add(parent.id)
+      parent = byId.get(parent.parent_id)
+    }
+    return ancestors
+  }
+
+  // Breadth first, so direct children come before grandchildren
+  const descendantsOf = (featureId) => {
+    const descendants = []
+    const seen = new Set([featureId])
+    const queue = [...childrenOf(featureId)]
+    while (queue.length > 0) {
+      const feature = queue.shift()
+      if (seen.has(feature.id)) continue
+      seen.add(feature.id)
+      descendants.push(feature)
+      queue.push(...childrenOf(feature.id))
+    }
+    return descendants
+  }
+
+  // The top-most ancestor, or the feature itself
+  const rootOf = (featureId) => {
+    const ancestors = ancestorsOf(featureId)
+    return ancestors.length > 0 ? ancestors[ancestors.length - 1] : byId.get(featureId)
+  }
+
+  return { byId, childrenOf, ancestorsOf, descendantsOf, rootOf }
+}
+
+// Why `parentId` cannot be the parent of `featureId`, or null if it can.
+// A null parentId (detaching) is always allowed.
+export const checkFeatureParent = (tree, featureId, parentId) => {
+  if (!parentId) return null
+  if (parentId === featureId) return 'A feature cannot be its own parent'
+  if (!tree.byId.has(parentId)) return 'Parent feature not found'
+  if (tree.descendantsOf(featureId).some(feature => feature.id === parentId)) {
+    return `${tree.byId.get(parentId).name} is already below ${tree.byId.get(featureId)?.name}`
+  }
+  return null
+}
+
+// Children listed under each matching parent, and how much lower they rank
+const CHILD_MATCH_LIMIT = 5
+const CHILD_SIMILARITY_FACTOR = 0.9
+
+// Follows each search result (search_features_advanced shape) with the
+// features filed under it, so searching a parent concept ("anemia") also
+// finds "Iron deficiency". `include` can drop children, e.g. ones a
+// qualifier filtered out.
+export const withChildMatches = (results, tree, include = () => true) => {
+  const seen = new Set(results.map(result => result.id))
+  return results.flatMap(result => [
+    result,
+    ...tree.descendantsOf(result.id)
+      .filter(child => !seen.has(child.id) && include(child))
+      .slice(0, CHILD_MATCH_LIMIT)
+      .map(child => {
+        seen.add(child.id)
+        return {
+          id: child.id,
+          name: child.name,
+          type: child.type,
+          match_type: 'parent',
+          matched_text: result.name,
+          similarity: (result.similarity ?? 1) * CHILD_SIMILARITY_FACTOR
+        }
+      })
+  ])
+}
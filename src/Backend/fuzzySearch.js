@@ -0,0 +1,168 @@
+// src/Backend/fuzzySearch.js
+
+/**
+ * Client-side fuzzy index over the user's features and aliases, used
+ * when the search_features_advanced RPC is unavailable.
+ *
+ * Each feature name and alias is scored against the query by trigram
+ * overlap and by edit distance (so "ferittin" still finds Ferritin),
+ * with a boost when the query is a prefix of the text or of one of its
+ * words. Results come back in the RPC's shape: the feature's columns
+ * plus match_type ('name' | 'alias'), matched_text and similarity.
+ */
+
+// =====================================================
+// CONSTANTS
+// =====================================================
+
+// Results scoring below this are dropped
+const MIN_SIMILARITY = 0.3
+
+const PREFIX_BOOST = 0.3
+const WORD_PREFIX_BOOST = 0.15
+
+// Edit-distance matches count for a little less than trigram ones
+const EDIT_DISTANCE_FACTOR = 0.9
+
+// =====================================================
+// TEXT HELPERS
+// =====================================================
+
+export const normalizeText = (text) => {
+  return (text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()
+}
+
+// Padded trigrams, so short words and word starts still match
+const toTrigrams = (text) => {
+  const trigrams = new Set()
+  normalizeText(text).split(' ').filter(Boolean).forEach(word => {
+    const padded = `  ${word} `
+    for (let i = 0; i < padded.length - 2; i++) {
+      trigrams.add(padded.slice(i, i + 3))
+    }
+  })
+  return trigrams
+}
+
+// Dice coefficient between two trigram sets
+const trigramSimilarity = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0
+  let shared = 0
+  a.forEach(trigram => {
+    if (b.has(trigram)) shared++
+  })
+  return (2 * shared) / (a.size + b.size)
+}
+
+// Levenshtein distance with adjacent transpositions counted as one edit
+export const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i])
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + cost
+      )
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1)
+      }
+    }
+  }
+
+  return rows[a.length][b.length]
+}
+
+// Typo tolerance: compares the query with the whole text and with the
+// text's start, so a mistyped prefix ("ferit") still scores well
+const editSimilarity = (query, text) => {
+  const whole = 1 - editDistance(query, text) / Math.max(query.length, text.length)
+  const start = text.slice(0, query.length)
+  const prefix = query.length >= 3
+    ? 1 - editDistance(query, start) / query.length
+    : 0
+  return Math.max(whole, prefix * 0.8)
+}
+
+// =====================================================
+// INDEX
+// =====================================================
+
+// features: rows with at least id and name; aliases: { feature_id, alias }
+export const buildFeatureIndex = (features, aliases = []) => {
+  const byId = new Map(features.map(feature => [feature.id, feature]))
+
+  const entries = features.map(feature => ({
+    feature,
+    text: feature.name,
+    matchType: 'name'
+  }))
+
+  aliases.forEach(({ feature_id, alias }) => {
+    const feature = byId.get(feature_id)
+    if (feature && alias) {
+      entries.push({ feature, text: alias, matchType: 'alias' })
+    }
+  })
+
+  return entries.map(entry => ({
+    ...entry,
+    normalized: normalizeText(entry.text),
+    trigrams: toTrigrams(entry.text)
+  }))
+}
+
+const scoreEntry = (query, queryTrigrams, entry) => {
+  if (!entry.normalized) return 0
+  if (entry.normalized === query) return 1
+
+  let score = Math.max(
+    trigramSimilarity(queryTrigrams, entry.trigrams),
+    editSimilarity(query, entry.normalized) * EDIT_DISTANCE_FACTOR
+  )
+
+  if (entry.normalized.startsWith(query)) {
+    score += PREFIX_BOOST
+  } else if (entry.normalized.split(' ').some(word => word.startsWith(query))) {
+    score += WORD_PREFIX_BOOST
+  }
+
+  // Exact matches stay on top
+  return Math.min(score, 0.99)
+}
+
+// Best match per feature, highest similarity first; names win ties
+export const searchFeatureIndex = (index, searchTerm, limit = 10) => {
+  const query = normalizeText(searchTerm)
+  if (!query) return []
+
+  const queryTrigrams = toTrigrams(query)
+  const best = new Map()
+
+  index.forEach(entry => {
+    const similarity = scoreEntry(query, queryTrigrams, entry)
+    if (similarity < MIN_SIMILARITY) return
+
+    const current = best.get(entry.feature.id)
+    if (!current || similarity > current.similarity) {
+      best.set(entry.feature.id, { entry, similarity })
+    }
+  })
+
+  return [...best.values()]
+    .sort((a, b) =>
+      b.similarity - a.similarity ||
+      (a.entry.matchType === 'name' ? -1 : 0) - (b.entry.matchType === 'name' ? -1 : 0) ||
+      a.entry.text.length - b.entry.text.length
+    )
+    .slice(0, limit)
+    .map(({ entry, similarity }) => ({
+      ...entry.feature,
+      match_type: entry.matchType,
+      matched_text: entry.text,
+      similarity: Number(similarity.toFixed(3))
+    }))
+}
@@ -0,0 +1,199 @@
+// src/Backend/labUnits.js
+import { parseTokenGrammar, formatTokenValue, formatValueClause } from './tokenGrammar'
+import { COMPARATOR_MODIFIERS, RANGE_MODIFIER } from './tokenModifiers'
+
+/**
+ * Conventional (mg/dL) and SI (mmol/L) units for common lab analytes.
+ *
+ * Lab values are stored in the analyte's conventional unit, with the
+ * unit written out, so rows entered by colleagues using either system
+ * compare and export alike. A value typed without a unit is read in the
+ * user's preferred system; displays convert back to that system.
+ * Analytes missing from the table are stored as typed.
+ */
+
+export const UNIT_SYSTEMS = {
+  CONVENTIONAL: 'conventional',
+  SI: 'si'
+}
+
+export const DEFAULT_UNIT_SYSTEM = UNIT_SYSTEMS.CONVENTIONAL
+
+// The system lab values are stored in
+const STORAGE_SYSTEM = UNIT_SYSTEMS.CONVENTIONAL
+
+// SI value = conventional value × factor. Converted values are rounded
+// to the decimals each unit is reported in, so 5.5 mmol/L of glucose is
+// stored as 99 mg/dL, the same as typing 99.
+const analyte = (conventional, si, factor, conventionalDecimals, siDecimals) => ({
+  conventional,
+  si,
+  factor,
+  decimals: {
+    [UNIT_SYSTEMS.CONVENTIONAL]: conventionalDecimals,
+    [UNIT_SYSTEMS.SI]: siDecimals
+  }
+})
+
+const GLUCOSE = analyte('mg/dL', 'mmol/L', 0.0555, 0, 1)
+const CREATININE = analyte('mg/dL', 'µmol/L', 88.4, 2, 0)
+const HEMOGLOBIN = analyte('g/dL', 'g/L', 10, 1, 0)
+const UREA = analyte('mg/dL', 'mmol/L', 0.357, 0, 1)
+const CHOLESTEROL = analyte('mg/dL', 'mmol/L', 0.0259, 0, 2)
+const TRIGLYCERIDES = analyte('mg/dL', 'mmol/L', 0.0113, 0, 2)
+const CALCIUM = analyte('mg/dL', 'mmol/L', 0.25, 1, 2)
+const BILIRUBIN = analyte('mg/dL', 'µmol/L', 17.1, 1, 0)
+const IRON = analyte('µg/dL', 'µmol/L', 0.179, 0, 1)
+
+// Keyed by lower-case feature name or common abbreviation
+export const LAB_UNIT_CONVERSIONS = {
+  glucose: GLUCOSE,
+  'blood glucose': GLUCOSE,
+  'fasting glucose': GLUCOSE,
+  creatinine: CREATININE,
+  cr: CREATININE,
+  hemoglobin: HEMOGLOBIN,
+  haemoglobin: HEMOGLOBIN,
+  hb: HEMOGLOBIN,
+  hgb: HEMOGLOBIN,
+  urea: UREA,
+  bun: UREA,
+  cholesterol: CHOLESTEROL,
+  'total cholesterol': CHOLESTEROL,
+  ldl: CHOLESTEROL,
+  hdl: CHOLESTEROL,
+  triglycerides: TRIGLYCERIDES,
+  tg: TRIGLYCERIDES,
+  calcium: CALCIUM,
+  ca: CALCIUM,
+  bilirubin: BILIRUBIN,
+  'total bilirubin': BILIRUBIN,
+  iron: IRON,
+  'serum iron': IRON,
+  tibc: IRON,
+  albumin: analyte('g/dL', 'g/L', 10, 1, 0),
+  magnesium: analyte('mg/dL', 'mmol/L', 0.411, 1, 2),
+  phosphate: analyte('mg/dL', 'mmol/L', 0.323, 1, 2),
+  'uric acid': analyte('mg/dL', 'µmol/L', 59.5, 1, 0),
+  ferritin: analyte('ng/mL', 'µg/L', 1, 0, 0),
+  'vitamin b12': analyte('pg/mL', 'pmol/L', 0.738, 0, 0),
+  b12: analyte('pg/mL', 'pmol/L', 0.738, 0, 0)
+}
+
+const NUMERIC_MODIFIERS = [...COMPARATOR_MODIFIERS, RANGE_MODIFIER]
+
+// =====================================================
+// LOOKUP & CONVERSION
+// =====================================================
+
+// "umol/l" and "µmol/L" are the same unit
+export const normalizeUnit = (unit) => {
+  return unit ? unit.replace(/\s+/g, '').replace(/[μu]/g, 'µ').toLowerCase() : null
+}
+
+export const getLabUnits = (featureName) => {
+  return LAB_UNIT_CONVERSIONS[featureName?.trim().toLowerCase()] || null
+}
+
+// Which system `unit` belongs to for this analyte, or null if neither
+export const unitSystemOf = (units, unit) => {
+  const wanted = normalizeUnit(unit)
+  if (!units || !wanted) return null
+  if (normalizeUnit(units.conventional) === wanted) return UNIT_SYSTEMS.CONVENTIONAL
+  if (normalizeUnit(units.si) === wanted) return UNIT_SYSTEMS.SI
+  return null
+}
+
+// Rounded to the decimals of the unit it is converted into
+export const convertLabValue = (value, units, fromSystem, toSystem) => {
+  if (value === null || value === undefined || fromSystem === toSystem || value === 0) return value
+  const converted = fromSystem === UNIT_SYSTEMS.CONVENTIONAL ? value * units.factor : value / units.factor
+  return Number(converted.toFixed(units.decimals[toSystem]))
+}
+
+// A reference range moved into the system of `unit`, so stored ranges
+// in either system apply to normalized values. Ranges in other units
+// are returned as they are.
+export const convertReferenceRange = (range, featureName, unit) => {
+  const units = getLabUnits(featureName)
+  const toSystem = unitSystemOf(units, unit)
+  const fromSystem = unitSystemOf(units, range.unit)
+  if (!toSystem || !fromSystem || toSystem === fromSystem) return range
+
+  return {
+    ...range,
+    low: convertLabValue(range.low, units, fromSystem, toSystem),
+    high: convertLabValue(range.high, units, fromSystem, toSystem),
+    unit: units[toSystem]
+  }
+}
+
+// value_text → grammar token, or null when it is not a numeric value
+const parseValueText = (valueText) => {
+  if (!valueText) return null
+  const { tokens, errors } = parseTokenGrammar(`x${formatValueClause(valueText)}`)
+  const [token] = tokens
+  if (errors.length > 0 || tokens.length !== 1 || !NUMERIC_MODIFIERS.includes(token.valueModifier)) return null
+  return token
+}
+
+// Grammar value fields moved to `toSystem`, or null when the unit is
+// not one of the analyte's. A value without a unit is in `assumedSystem`.
+const convertValue = (value, units, toSystem, assumedSystem) => {
+  const fromSystem = value.unit ? unitSystemOf(units, value.unit) : assumedSystem
+  if (!fromSystem) return null
+
+  return {
+    ...value,
+    numericValue: convertLabValue(value.numericValue, units, fromSystem, toSystem),
+    numericMax: convertLabValue(value.numericMax, units, fromSystem, toSystem),
+    unit: units[toSystem]
+  }
+}
+
+// =====================================================
+// NORMALIZATION & DISPLAY
+// =====================================================
+
+// Shared-shape token → the same token with its lab value in storage
+// units. Unitless values are read in `unitSystem`; unknown analytes,
+// unknown units and non-numeric values are left as typed.
+export const normalizeLabToken = (token, unitSystem = DEFAULT_UNIT_SYSTEM) => {
+  const units = getLabUnits(token.canonical_name || token.feature_text)
+  if (!units || !NUMERIC_MODIFIERS.includes(token.value_modifier) || token.numeric_value === null) return token
+
+  const converted = convertValue({
+    valueModifier: token.value_modifier,
+    numericValue: token.numeric_value,
+    numericMax: token.numeric_max,
+    unit: token.unit
+  }, units, STORAGE_SYSTEM, unitSystem)
+  if (!converted) return token
+
+  return {
+    ...token,
+    numeric_value: converted.numericValue,
+    numeric_max: converted.numericMax,
+    unit: converted.unit,
+    value_text: formatTokenValue(converted)
+  }
+}
+
+// A stored value_text with its unit written out. Rows saved before
+// units were tracked have none, and were entered in conventional units.
+export const withStoredUnit = (valueText, featureName) => {
+  const units = getLabUnits(featureName)
+  const value = units && parseValueText(valueText)
+  if (!value || value.unit) return valueText
+  return formatTokenValue({ ...value, unit: units[STORAGE_SYSTEM] })
+}
+
+// A stored value_text as shown to a user preferring `unitSystem`
+export const displayLabValue = (valueText, featureName, unitSystem = DEFAULT_UNIT_SYSTEM) => {
+  const units = getLabUnits(featureName)
+  const value = units && parseValueText(valueText)
+  if (!value) return valueText
+
+  const converted = convertValue(value, units, unitSystem, STORAGE_SYSTEM)
+  return converted ? formatTokenValue(converted) : valueText
+}
@@ -0,0 +1,198 @@
+// src/Backend/noteExtraction.js
+import { parseTokenGrammar, formatFeatureName } from './tokenGrammar'
+import { toParsedToken } from './tokenSpec'
+
+/**
+ * Local extraction pass from clinical prose to proposed tokens.
+ *
+ *   "no murmur, ferritin low, MCV 72, complains of shortness of breath"
+ *     → -Murmur  Ferritin↓  MCV 72  "shortness of breath"
+ *
+ * The note is split into clauses on punctuation and conjunctions. A
+ * negation cue negates every finding after it in the same clause, a
+ * direction word becomes ↑/↓, and a number after a name becomes a value.
+ * Subjects ("patient", "he", "she") and lead-ins are dropped.
+ * Each proposal is written as a token and run through the token grammar,
+ * so it arrives in the shared parse shape with the note span it came from.
+ */
+
+// =====================================================
+// VOCABULARY
+// =====================================================
+
+// Longest phrases first so "no evidence of" wins over "no"
+const NEGATION_CUES = [
+  'no evidence of', 'no signs of', 'no history of', 'negative for', 'free of',
+  'absence of', 'denies', 'denied', 'without', 'absent', 'not', 'no'
+]
+
+// Cues that negate the words before them: "murmur absent"
+const TRAILING_NEGATION_CUES = ['absent', 'not present', 'negative', 'not seen']
+
+const DIRECTION_WORDS = {
+  '↑': ['elevated', 'raised', 'increased', 'high', 'enlarged'],
+  '↓': ['decreased', 'reduced', 'diminished', 'depressed', 'low']
+}
+
+// Lead-ins that carry no finding of their own; "negative for" is also
+// a negation cue, so only its wording is dropped here
+const FILLER_PHRASES = [
+  'positive for', 'negative for', 'complains of', 'c/o', 'presents with', 'presenting with', 'reports',
+  'history of', 'there is', 'there was', 'patient has', 'pt has', 'has', 'had',
+  'with', 'shows', 'noted', 'found', 'on exam', 'the', 'a', 'an'
+]
+
+// Who the note is about: "Patient denies chest pain"
+const SUBJECT_WORDS = ['the patient', 'patient', 'pt', 'he', 'she', 'they']
+
+// Linking verbs dropped from inside a phrase: "platelets were low"
+const COPULA_RE = /\b(?:is|are|was|were|appears?|seems?)\b/gi
+
+// Clause and list separators; "or"/"nor" keep the clause's negation.
+// A full stop inside a decimal ("8.5") does not end a clause.
+const CLAUSE_SPLIT_RE = /[,;\n]+|\.(?!\d)|\b(?:and|but|however|plus)\b/gi
+const LIST_SPLIT_RE = /\b(?:or|nor)\b/gi
+
+// "MCV 72", "Hb 8-10 g/dL", "Na<130": a comparator is kept, since it
+// changes what the finding means
+const NUMERIC_VALUE_RE = /^(.*?[A-Za-z].*?)\s*(?::|=|\bof\b|\bis\b|\bwas\b|\bat\b)?\s*(<=|>=|<|>|≤|≥)?\s*(\d+(?:\.\d+)?)(?:\s*-\s*(\d+(?:\.\d+)?))?\s*(%|[x×]?10\^\d+\/L|[A-Za-zµμ][A-Za-z0-9µμ/^]*)?$/
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')
+
+const phraseRe = (phrases, flags = 'i') => new RegExp(
+  `\\b(?:${phrases.map(escapeRegExp).join('|')})\\b`, flags
+)
+
+const NEGATION_CUE_RE = phraseRe(NEGATION_CUES)
+const TRAILING_NEGATION_RE = new RegExp(`\\s*\\b(?:${TRAILING_NEGATION_CUES.map(escapeRegExp).join('|')})$`, 'i')
+const INNER_NEGATION_RE = phraseRe(NEGATION_CUES, 'gi')
+const LEADING_FILLER_RE = new RegExp(`^(?:${[...SUBJECT_WORDS, ...FILLER_PHRASES].map(escapeRegExp).join('|')})\\b\\s*`, 'i')
+
+// =====================================================
+// HELPERS
+// =====================================================
+
+// Splits [start, end) of the note on `re`, keeping offsets into the note
+const splitSpans = (note, start, end, re) => {
+  const spans = []
+  const text = note.slice(start, end)
+  let cursor = 0
+
+  for (const match of text.matchAll(re)) {
+    spans.push({ start: start + cursor, end: start + match.index })
+    cursor = match.index + match[0].length
+  }
+  spans.push({ start: start + cursor, end })
+
+  return spans
+    .map(span => trimSpan(note, span))
+    .filter(span => span.end > span.start)
+}
+
+const trimSpan = (note, { start, end }) => {
+  while (start < end && /\s/.test(note[start])) start++
+  while (end > start && /\s/.test(note[end - 1])) end--
+  return { start, end }
+}
+
+const stripLeadingFiller = (text) => {
+  let previous
+  do {
+    previous = text
+    text = text.replace(LEADING_FILLER_RE, '')
+  } while (text !== previous)
+  return text
+}
+
+// A clause split at its first negation cue: findings before the cue
+// stand, every finding after it is negated ("cough without fever").
+// A trailing cue ("murmur absent") negates the whole clause.
+const negationSegments = (note, clause) => {
+  const text = note.slice(clause.start, clause.end)
+
+  const trailing = text.match(TRAILING_NEGATION_RE)
+  if (trailing) {
+    return [{ start: clause.start, end: clause.start + trailing.index, isPresent: false }]
+  }
+
+  const cue = text.match(NEGATION_CUE_RE)
+  if (!cue) return [{ ...clause, isPresent: true }]
+
+  return [
+    { start: clause.start, end: clause.start + cue.index, isPresent: true },
+    { start: clause.start + cue.index + cue[0].length, end: clause.end, isPresent: false }
+  ]
+}
+
+// Removes the first direction word and reports which direction it was
+const takeDirection = (text) => {
+  for (const [direction, words] of Object.entries(DIRECTION_WORDS)) {
+    const re = phraseRe(words)
+    if (re.test(text)) {
+      return { text: text.replace(re, ' ').replace(/\s+/g, ' ').trim(), direction }
+    }
+  }
+  return { text, direction: null }
+}
+
+// One finding phrase → token text, or null when nothing is left of it
+const toTokenText = (phrase, isPresent) => {
+  let text = phrase.trim()
+  let valueClause = ''
+
+  const numeric = text.match(NUMERIC_VALUE_RE)
+  if (numeric) {
+    const [, name, comparator, value, max, unit] = numeric
+    // "12 10^9/L": a unit starting with a digit keeps its space
+    const unitText = !unit ? '' : /^\d/.test(unit) ? ` ${unit}` : unit
+    text = name.trim()
+    valueClause = comparator && !max
+      ? `${comparator}${value}${unitText}`
+      : ` ${value}${max ? `-${max}` : ''}${unitText}`
+  } else {
+    const { text: remaining, direction } = takeDirection(text)
+    text = remaining
+    valueClause = direction || ''
+  }
+
+  text = stripLeadingFiller(text).replace(COPULA_RE, ' ').replace(/[^\w\s'-]/g, ' ').replace(/\s+/g, ' ').trim()
+  if (!text) return null
+
+  return (isPresent ? '' : '-') + formatFeatureName(text) + valueClause
+}
+
+// =====================================================
+// EXTRACTION
+// =====================================================
+
+// Prose → proposed tokens in the shared parse shape, each with the
+// note span it came from (source_start/source_end/source_text)
+export const extractTokensFromNote = (note) => {
+  if (!note?.trim()) return []
+
+  const proposals = []
+
+  const segments = splitSpans(note, 0, note.length, CLAUSE_SPLIT_RE)
+    .flatMap(clause => negationSegments(note, clause))
+
+  segments.forEach(({ start, end, isPresent }) => {
+    splitSpans(note, start, end, LIST_SPLIT_RE).forEach(span => {
+      const phrase = stripLeadingFiller(note.slice(span.start, span.end).replace(INNER_NEGATION_RE, ' ').trim())
+
+      const tokenText = toTokenText(phrase, isPresent)
+      if (!tokenText) return
+
+      const { tokens, errors } = parseTokenGrammar(tokenText)
+      if (errors.length > 0 || tokens.length !== 1) return
+
+      proposals.push({
+        ...toParsedToken(tokens[0]),
+        source_start: span.start,
+        source_end: span.end,
+        source_text: note.slice(span.start, span.end)
+      })
+    })
+  })
+
+  return proposals
+}
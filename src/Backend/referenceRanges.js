@@ -0,0 +1,148 @@
+// src/Backend/referenceRanges.js
+import { normalizeUnit, convertReferenceRange } from './labUnits'
+
+/**
+ * Reference ranges for lab features and the high/low reading of bare
+ * numeric lab tokens ("Ferritin 8", "Hb 8-10").
+ *
+ * A feature can carry several ranges: one per unit, and sex or age
+ * variants (sex 'male'/'female', age_min/age_max in years, both bounds
+ * inclusive). Ranges live in feature_reference_ranges; the defaults
+ * below cover common labs so the local parser can interpret values
+ * before a token is canonicalized.
+ */
+
+// =====================================================
+// CONSTANTS
+// =====================================================
+
+export const INTERPRETATIONS = {
+  HIGH: '↑',
+  LOW: '↓',
+  NORMAL: 'normal'
+}
+
+export const SEX_OPTIONS = ['male', 'female']
+
+const range = (low, high, unit, variant = {}) => ({
+  low,
+  high,
+  unit,
+  sex: variant.sex ?? null,
+  age_min: variant.age_min ?? null,
+  age_max: variant.age_max ?? null
+})
+
+// Adult ranges, keyed by lower-case feature name or common abbreviation
+const HEMOGLOBIN = [
+  range(13.5, 17.5, 'g/dL', { sex: 'male' }),
+  range(12.0, 15.5, 'g/dL', { sex: 'female' })
+]
+const FERRITIN = [
+  range(24, 336, 'ng/mL', { sex: 'male' }),
+  range(11, 307, 'ng/mL', { sex: 'female' })
+]
+const CREATININE = [
+  range(0.7, 1.3, 'mg/dL', { sex: 'male' }),
+  range(0.6, 1.1, 'mg/dL', { sex: 'female' })
+]
+const SODIUM = [range(135, 145, 'mmol/L')]
+const POTASSIUM = [range(3.5, 5.0, 'mmol/L')]
+const PLATELETS = [range(150, 400, '10^9/L')]
+
+export const DEFAULT_REFERENCE_RANGES = {
+  hemoglobin: HEMOGLOBIN,
+  hb: HEMOGLOBIN,
+  hgb: HEMOGLOBIN,
+  ferritin: FERRITIN,
+  mcv: [range(80, 100, 'fL')],
+  tibc: [range(250, 450, 'µg/dL')],
+  wbc: [range(4.0, 11.0, '10^9/L')],
+  platelets: PLATELETS,
+  plt: PLATELETS,
+  sodium: SODIUM,
+  na: SODIUM,
+  potassium: POTASSIUM,
+  k: POTASSIUM,
+  creatinine: CREATININE,
+  cr: CREATININE,
+  crp: [range(0, 10, 'mg/L')],
+  glucose: [range(70, 99, 'mg/dL')],
+  tsh: [range(0.4, 4.0, 'mIU/L')]
+}
+
+// Token value modifiers that state a measured value rather than a bound
+const MEASURED_MODIFIERS = ['=', 'range']
+
+// =====================================================
+// RANGE SELECTION
+// =====================================================
+
+export const getDefaultReferenceRanges = (featureName) => {
+  return DEFAULT_REFERENCE_RANGES[featureName?.trim().toLowerCase()] || []
+}
+
+// Ranges that apply to a value in `unit` for the given patient context.
+// A token without a unit is read in the ranges' own unit.
+export const selectReferenceRanges = (ranges, { unit = null, sex = null, age = null } = {}) => {
+  const wantedUnit = normalizeUnit(unit)
+
+  return ranges.filter(candidate => {
+    if (wantedUnit && normalizeUnit(candidate.unit) !== wantedUnit) return false
+    if (sex && candidate.sex && candidate.sex !== sex) return false
+    if (age !== null && candidate.age_min !== null && age < candidate.age_min) return false
+    if (age !== null && candidate.age_max !== null && age > candidate.age_max) return false
+    return true
+  })
+}
+
+// =====================================================
+// INTERPRETATION
+// =====================================================
+
+const interpretAgainst = (low, high, candidate) => {
+  if (candidate.high !== null && low > candidate.high) return INTERPRETATIONS.HIGH
+  if (candidate.low !== null && high < candidate.low) return INTERPRETATIONS.LOW
+  if ((candidate.low === null || low >= candidate.low) && (candidate.high === null || high <= candidate.high)) {
+    return INTERPRETATIONS.NORMAL
+  }
+  return null
+}
+
+// The widest range the variants span together; a bound missing from any
+// variant is missing from the span
+const spanOf = (ranges) => ({
+  low: ranges.some(candidate => candidate.low === null) ? null : Math.min(...ranges.map(candidate => candidate.low)),
+  high: ranges.some(candidate => candidate.high === null) ? null : Math.max(...ranges.map(candidate => candidate.high))
+})
+
+// ↑, ↓ or normal for a bare numeric token (shared parse shape), or null
+// when the token is not a measured value or no range applies. When the
+// applicable variants disagree (a haemoglobin low for men only, with no
+// sex given) the value is read against their combined span, so only
+// what is abnormal for every variant is flagged.
+export const interpretToken = (token, ranges, context = {}) => {
+  if (!MEASURED_MODIFIERS.includes(token.value_modifier) || token.numeric_value === null) return null
+
+  const applicable = selectReferenceRanges(ranges, { ...context, unit: token.unit })
+  if (applicable.length === 0) return null
+
+  const low = token.numeric_value
+  const high = token.numeric_max ?? token.numeric_value
+  const readings = new Set(applicable.map(candidate => interpretAgainst(low, high, candidate)))
+
+  return readings.size === 1 ? [...readings][0] : interpretAgainst(low, high, spanOf(applicable))
+}
+
+// Sets `interpretation` on each token. `rangesFor` maps a token to its
+// stored ranges; tokens without any fall back to the built-in table.
+// Ranges in the analyte's other unit system are converted (see labUnits).
+export const interpretTokens = (tokens, rangesFor = null, context = {}) => {
+  return tokens.map(token => {
+    const featureName = token.canonical_name || token.feature_text
+    const stored = rangesFor?.(token)
+    const ranges = (stored?.length ? stored : getDefaultReferenceRanges(featureName))
+      .map(range => (token.unit ? convertReferenceRange(range, featureName, token.unit) : range))
+    return { ...token, interpretation: interpretToken(token, ranges, context) }
+  })
+}
@@ -0,0 +1,161 @@
+// src/Backend/searchPipeline.js
+
+/**
+ * Search pipeline for autocomplete.
+ *
+ * Wraps a search function `(query, limit, { signal }) → { data, error }`:
+ * - identical queries already in flight share one request
+ * - results are cached; a narrower query ("ferr") is answered from the
+ *   cached results of its prefix ("fer") when those were not truncated
+ * - requests are aborted once nobody is waiting on them
+ *
+ * createDebounced() adds per-caller debouncing on top: each call
+ * supersedes the previous one, which settles as cancelled rather than
+ * being left pending, so only the latest response ever reaches the UI.
+ */
+
+// Result a superseded or aborted call settles with
+export const CANCELLED_SEARCH = Object.freeze({ data: null, error: null, cancelled: true })
+
+const normalizeQuery = (query) => query.trim().toLowerCase()
+
+// Whether a cached result for a shorter query also matches `query`
+const resultMatches = (result, query) => {
+  return [result.name, result.matched_text].some(text => text?.toLowerCase().includes(query))
+}
+
+export const createSearchPipeline = (searchFunction, { cacheTtlMs = 5 * 60 * 1000 } = {}) => {
+  const cache = new Map()
+  const inFlight = new Map()
+
+  const keyFor = (query, limit) => `${limit}:${query}`
+
+  const readFresh = (key) => {
+    const entry = cache.get(key)
+    if (!entry) return null
+    if (Date.now() - entry.storedAt > cacheTtlMs) {
+      cache.delete(key)
+      return null
+    }
+    return entry
+  }
+
+  // Exact hit, or the longest cached prefix whose result set was complete
+  const readCache = (rawQuery, limit) => {
+    const query = normalizeQuery(rawQuery)
+    const exact = readFresh(keyFor(query, limit))
+    if (exact) return exact.data
+
+    for (let length = query.length - 1; length > 0; length--) {
+      const entry = readFresh(keyFor(query.slice(0, length), limit))
+      if (!entry || entry.data.length >= limit) continue
+
+      // An empty subset may just mean the server matches differently
+      // (typos, aliases); ask it rather than show nothing
+      const narrowed = entry.data.filter(result => resultMatches(result, query))
+      return narrowed.length > 0 ? narrowed : null
+    }
+
+    return null
+  }
+
+  const startRequest = (query, limit, key) => {
+    const controller = new AbortController()
+    const request = {
+      controller,
+      waiting: 0,
+      promise: Promise.resolve()
+        .then(() => searchFunction(query, limit, { signal: controller.signal }))
+        .then(result => {
+          if (!result.error && result.data && !controller.signal.aborted) {
+            cache.set(key, { data: result.data, storedAt: Date.now() })
+          }
+          return result
+        })
+        .catch(error => ({ data: null, error }))
+        .finally(() => {
+          if (inFlight.get(key) === request) inFlight.delete(key)
+        })
+    }
+    inFlight.set(key, request)
+    return request
+  }
+
+  // One search; `signal` withdraws this caller, and the request is
+  // aborted when no other caller still waits on it
+  const search = (query, limit = 10, { signal } = {}) => {
+    if (signal?.aborted) return Promise.resolve(CANCELLED_SEARCH)
+
+    const cached = readCache(query, limit)
+    if (cached) return Promise.resolve({ data: cached, error: null })
+
+    const key = keyFor(normalizeQuery(query), limit)
+    const request = inFlight.get(key) || startRequest(query, limit, key)
+    request.waiting++
+
+    return new Promise(resolve => {
+      let settled = false
+      const settle = (result) => {
+        if (settled) return
+        settled = true
+        request.waiting--
+        signal?.removeEventListener('abort', onAbort)
+        resolve(result)
+      }
+
+      const onAbort = () => {
+        settle(CANCELLED_SEARCH)
+        if (request.waiting === 0) {
+          request.controller.abort()
+          if (inFlight.get(key) === request) inFlight.delete(key)
+        }
+      }
+
+      signal?.addEventListener('abort', onAbort, { once: true })
+      request.promise.then(settle)
+    })
+  }
+
+  // Debounced search for one caller (e.g. one autocomplete box)
+  const createDebounced = (delay = 300) => {
+    let timeoutId = null
+    let settlePending = null
+    let controller = null
+
+    const cancel = () => {
+      clearTimeout(timeoutId)
+      settlePending?.(CANCELLED_SEARCH)
+      settlePending = null
+      controller?.abort()
+      controller = null
+    }
+
+    const debounced = (query, limit = 10) => {
+      cancel()
+
+      // Cache hits skip the debounce entirely
+      const cached = readCache(query, limit)
+      if (cached) return Promise.resolve({ data: cached, error: null })
+
+      const own = new AbortController()
+      controller = own
+
+      return new Promise(resolve => {
+        settlePending = resolve
+        timeoutId = setTimeout(() => {
+          settlePending = null
+          search(query, limit, { signal: own.signal }).then(resolve)
+        }, delay)
+      })
+    }
+
+    debounced.cancel = cancel
+    return debounced
+  }
+
+  const clear = () => {
+    cache.clear()
+  }
+
+  return { search, createDebounced, clear }
+}
@@ -0,0 +1,226 @@
+// src/Backend/searchQuery.js
+import { BACKEND_CONFIG } from './backendConfig'
+import { buildFeatureIndex, searchFeatureIndex, normalizeText, editDistance } from './fuzzySearch'
+import { buildFeatureTree, withChildMatches } from './featureTaxonomy'
+
+/**
+ * Query syntax for feature lookup.
+ *
+ * Free text may be mixed with qualifiers:
+ *   type:lab                         feature type (BACKEND_CONFIG.FEATURE_TYPES)
+ *   system:heme                      used by a disease in that system or subsystem
+ *   is:pathognomonic | is:unused     pathognomonic somewhere / linked to no disease
+ *   used-by:"Iron deficiency anemia" linked to a disease with that name
+ *
+ * Repeating a qualifier widens it (type:lab type:imaging is either);
+ * different qualifiers narrow. Queries with qualifiers are answered from
+ * the feature catalog (features, their aliases and disease links) rather
+ * than the search RPC.
+ */
+
+export const SEARCH_QUALIFIERS = {
+  TYPE: 'type',
+  SYSTEM: 'system',
+  IS: 'is',
+  USED_BY: 'used-by'
+}
+
+export const IS_VALUES = ['pathognomonic', 'unused']
+
+const QUALIFIER_KEYS = Object.values(SEARCH_QUALIFIERS)
+
+// A quoted value may contain spaces; an unclosed quote runs to the end
+const TERM_RE = /[^\s"]*"[^"]*(?:"|$)|\S+/g
+const QUALIFIER_RE = /^([a-z-]+):(.*)$/i
+
+// =====================================================
+// PARSING
+// =====================================================
+
+// Terms with their offsets: { text, start, end, qualifier?, value? }
+export const tokenizeSearchQuery = (query) => {
+  return [...(query || '').matchAll(TERM_RE)].map(match => {
+    const term = { text: match[0], start: match.index, end: match.index + match[0].length }
+    const qualifier = match[0].match(QUALIFIER_RE)
+    if (qualifier && QUALIFIER_KEYS.includes(qualifier[1].toLowerCase())) {
+      term.qualifier = qualifier[1].toLowerCase()
+      term.value = qualifier[2].replace(/^"|"$/g, '').trim()
+    }
+    return term
+  })
+}
+
+// Validates one qualifier value; returns the value to filter by or an error
+const checkQualifier = (qualifier, value) => {
+  if (!value) return { error: `${qualifier}: needs a value` }
+
+  const lower = value.toLowerCase()
+  if (qualifier === SEARCH_QUALIFIERS.TYPE) {
+    const types = BACKEND_CONFIG.FEATURE_TYPES
+    if (types.includes(lower)) return { value: lower }
+    const close = types.filter(type => type.startsWith(lower))
+    return {
+      error: close.length > 0
+        ? `Unknown type "${value}" — did you mean ${close.join(' or ')}?`
+        : `Unknown type "${value}" — use one of ${types.join(', ')}`
+    }
+  }
+
+  if (qualifier === SEARCH_QUALIFIERS.IS) {
+    if (IS_VALUES.includes(lower)) return { value: lower }
+    return { error: `Unknown is:${value} — use ${IS_VALUES.map(v => `is:${v}`).join(' or ')}` }
+  }
+
+  return { value }
+}
+
+// → { text, filters: { type, system, is, 'used-by' } (arrays), errors: [{ term, message }] }
+export const parseSearchQuery = (query) => {
+  const filters = Object.fromEntries(QUALIFIER_KEYS.map(key => [key, []]))
+  const words = []
+  const errors = []
+
+  tokenizeSearchQuery(query).forEach(term => {
+    if (!term.qualifier) {
+      words.push(term.text.replace(/"/g, ''))
+      return
+    }
+
+    const { value, error } = checkQualifier(term.qualifier, term.value)
+    if (error) {
+      errors.push({ term: term.text, message: error })
+    } else if (!filters[term.qualifier].includes(value)) {
+      filters[term.qualifier].push(value)
+    }
+  })
+
+  return { text: words.join(' ').trim(), filters, errors }
+}
+
+export const hasSearchQualifiers = (query) => {
+  return tokenizeSearchQuery(query).some(term => term.qualifier)
+}
+
+// The search part at the end of token input text: the word being typed
+// plus any qualifiers right before it. `start` is where it begins, so a
+// picked suggestion can replace the whole of it.
+export const trailingSearchQuery = (text) => {
+  const terms = tokenizeSearchQuery(text)
+  const endsWithSpace = /\s$/.test(text)
+  // Index of the typed word, which may itself be a qualifier ("type:lab")
+  let first = endsWithSpace ? terms.length : terms.length - 1
+  while (first > 0 && terms[first - 1].qualifier) first--
+
+  const start = first < terms.length ? terms[first].start : text.length
+  return { query: text.slice(start), start }
+}
+
+// Rewrites a query with `qualifier:value` added, or removed if present
+export const toggleSearchQualifier = (query, qualifier, value) => {
+  const quoted = /\s/.test(value) ? `"${value}"` : value
+  const terms = tokenizeSearchQuery(query)
+  const existing = terms.filter(term =>
+    term.qualifier === qualifier && term.value.toLowerCase() === String(value).toLowerCase()
+  )
+
+  if (existing.length > 0) {
+    return terms
+      .filter(term => !existing.includes(term))
+      .map(term => term.text)
+      .join(' ')
+  }
+
+  return [`${qualifier}:${quoted}`, ...terms.map(term => term.text)].join(' ')
+}
+
+// =====================================================
+// MATCHING
+// =====================================================
+
+// "heme" still finds Hematology: a prefix match, allowing one typo
+const matchesSystemName = (value, name) => {
+  const needle = normalizeText(value)
+  const text = normalizeText(name)
+  if (!needle || !text) return false
+  if (text.startsWith(needle) || text.split(' ').some(word => word.startsWith(needle))) return true
+  return needle.length >= 4 && editDistance(needle, text.slice(0, needle.length)) <= 1
+}
+
+const FILTER_TESTS = {
+  [SEARCH_QUALIFIERS.TYPE]: (feature, value) => feature.type === value,
+  [SEARCH_QUALIFIERS.SYSTEM]: (feature, value) => feature.links.some(link =>
+    matchesSystemName(value, link.system) || matchesSystemName(value, link.subsystem)
+  ),
+  [SEARCH_QUALIFIERS.IS]: (feature, value) => (
+    value === 'unused'
+      ? feature.links.length === 0
+      : feature.links.some(link => link.is_pathognomonic)
+  ),
+  [SEARCH_QUALIFIERS.USED_BY]: (feature, value) => feature.links.some(link =>
+    link.disease_name?.toLowerCase().includes(value.toLowerCase())
+  )
+}
+
+// Every qualifier must match, through any of its values
+const matchesFilters = (feature, filters) => {
+  return Object.entries(filters).every(([qualifier, values]) =>
+    values.length === 0 || values.some(value => FILTER_TESTS[qualifier](feature, value))
+  )
+}
+
+// Counts per facet over a result set:
+// { type: { lab: 3, ... }, system: { Hematology: 2, ... }, is: { pathognomonic, unused } }
+export const computeFeatureFacets = (features) => {
+  const facets = { type: {}, system: {}, is: { pathognomonic: 0, unused: 0 } }
+
+  features.forEach(feature => {
+    facets.type[feature.type] = (facets.type[feature.type] || 0) + 1
+
+    new Set(feature.links.map(link => link.system).filter(Boolean)).forEach(system => {
+      facets.system[system] = (facets.system[system] || 0) + 1
+    })
+
+    if (feature.links.length === 0) facets.is.unused++
+    if (feature.links.some(link => link.is_pathognomonic)) facets.is.pathognomonic++
+  })
+
+  return facets
+}
+
+// catalog: { features: [{ id, name, type, parent_id, links }], aliases: [{ feature_id, alias }] }.
+// Returns { results, total, facets, errors }; results are in the search
+// RPC's shape plus disease_count, best match first (most used first when
+// there is no free text). Free text also finds the children of matching
+// features, as long as they pass the qualifiers.
+export const searchFeatureCatalog = (catalog, query, limit = 10) => {
+  const { text, filters, errors } = parseSearchQuery(query)
+  const filtered = catalog.features.filter(feature => matchesFilters(feature, filters))
+
+  let matches
+  if (text) {
+    const index = buildFeatureIndex(filtered, catalog.aliases)
+    const passes = new Set(filtered.map(feature => feature.id))
+    matches = withChildMatches(
+      searchFeatureIndex(index, text, filtered.length),
+      buildFeatureTree(catalog.features),
+      child => passes.has(child.id)
+    )
+  } else {
+    matches = [...filtered].sort((a, b) =>
+      b.links.length - a.links.length || a.name.localeCompare(b.name)
+    )
+  }
+
+  const byId = new Map(filtered.map(feature => [feature.id, feature]))
+  const matched = matches.map(match => byId.get(match.id))
+
+  return {
+    results: matches.slice(0, limit).map(({ links, ...match }) => ({
+      ...match,
+      disease_count: (links || byId.get(match.id).links).length
+    })),
+    total: matches.length,
+    facets: computeFeatureFacets(matched),
+    errors
+  }
+}
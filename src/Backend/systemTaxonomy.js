@@ -0,0 +1,253 @@
+// src/Backend/systemTaxonomy.js
+
+/**
+ * Organ systems and subsystems that diseases are tagged with.
+ *
+ * The taxonomy is the built-in list below plus whatever values the
+ * user's diseases already carry. Values are compared case- and
+ * whitespace-insensitively, and common short forms ("Heme",
+ * "hematologic") resolve to the system they name, so the disease forms
+ * can save one spelling. Variants already in the data are merged by
+ * renaming them to a single value (renameDiseaseSystem in api).
+ */
+
+export const ORGAN_SYSTEMS = {
+  Cardiovascular: ['Arrhythmia', 'Heart Failure', 'Ischemic Heart Disease', 'Valvular', 'Vascular'],
+  Dermatology: ['Bullous', 'Inflammatory', 'Pigmentary'],
+  Endocrinology: ['Adrenal', 'Diabetes', 'Pituitary', 'Thyroid'],
+  Gastroenterology: ['Biliary', 'Colon', 'Esophagus', 'Liver', 'Pancreas', 'Stomach'],
+  Hematology: ['Anemia', 'Hemostasis', 'Leukemia', 'Lymphoma', 'Myeloproliferative', 'Thrombosis'],
+  'Infectious Disease': ['Bacterial', 'Fungal', 'Parasitic', 'Viral'],
+  Nephrology: ['Acid-Base', 'Acute Kidney Injury', 'Chronic Kidney Disease', 'Electrolytes', 'Glomerular'],
+  Neurology: ['Demyelinating', 'Dementia', 'Movement Disorders', 'Neuromuscular', 'Seizure', 'Stroke'],
+  Oncology: ['Solid Tumor', 'Paraneoplastic'],
+  Psychiatry: ['Mood', 'Psychotic', 'Anxiety'],
+  Respiratory: ['Airway', 'Interstitial Lung Disease', 'Pleural', 'Pulmonary Vascular'],
+  Rheumatology: ['Connective Tissue Disease', 'Crystal Arthropathy', 'Inflammatory Arthritis', 'Vasculitis']
+}
+
+// Other ways of writing a built-in system, keyed by normalized text
+const SYSTEM_ALIASES = {
+  cardiac: 'Cardiovascular',
+  cardio: 'Cardiovascular',
+  cardiology: 'Cardiovascular',
+  cv: 'Cardiovascular',
+  derm: 'Dermatology',
+  skin: 'Dermatology',
+  endo: 'Endocrinology',
+  endocrine: 'Endocrinology',
+  gi: 'Gastroenterology',
+  gastro: 'Gastroenterology',
+  gastrointestinal: 'Gastroenterology',
+  heme: 'Hematology',
+  haematology: 'Hematology',
+  hematologic: 'Hematology',
+  hematological: 'Hematology',
+  id: 'Infectious Disease',
+  infectious: 'Infectious Disease',
+  'infectious diseases': 'Infectious Disease',
+  renal: 'Nephrology',
+  nephro: 'Nephrology',
+  kidney: 'Nephrology',
+  neuro: 'Neurology',
+  neurologic: 'Neurology',
+  neurological: 'Neurology',
+  onc: 'Oncology',
+  psych: 'Psychiatry',
+  pulm: 'Respiratory',
+  pulmonary: 'Respiratory',
+  pulmonology: 'Respiratory',
+  resp: 'Respiratory',
+  rheum: 'Rheumatology',
+  rheumatologic: 'Rheumatology'
+}
+
+export const normalizeSystemName = (text) => (text || '').trim().replace(/\s+/g, ' ').toLowerCase()
+
+const BUILT_IN_SYSTEMS = new Map(Object.keys(ORGAN_SYSTEMS).map(name => [normalizeSystemName(name), name]))
+
+// The built-in system `text` names, or null
+const builtInSystem = (text) => {
+  const key = normalizeSystemName(text)
+  return BUILT_IN_SYSTEMS.get(key) || SYSTEM_ALIASES[key] || null
+}
+
+const byName = (a, b) => a.localeCompare(b)
+
+// =====================================================
+// OPTIONS & RESOLUTION
+// =====================================================
+
+// Distinct values of `field` in use, first spelling wins
+const usedValues = (diseases, field, filter = () => true) => {
+  const values = new Map()
+  diseases.filter(filter).forEach(disease => {
+    const key = normalizeSystemName(disease[field])
+    if (key && !values.has(key)) values.set(key, disease[field].trim())
+  })
+  return values
+}
+
+// diseases: { system, subsystem }. Built-in systems, then any other
+// system in use, for autocomplete.
+export const systemOptions = (diseases) => {
+  const used = [...usedValues(diseases, 'system').values()].filter(value => !builtInSystem(value))
+  return [...Object.keys(ORGAN_SYSTEMS), ...used.sort(byName)]
+}
+
+// Built-in subsystems of `system` plus the ones its diseases use
+export const subsystemOptions = (diseases, system) => {
+  const builtIn = ORGAN_SYSTEMS[resolveSystemName(system, diseases)] || []
+  const key = normalizeSystemName(system)
+  const used = usedValues(diseases, 'subsystem', disease => builtInOrSame(disease.system, key))
+  const builtInKeys = new Set(builtIn.map(normalizeSystemName))
+  return [...builtIn, ...[...used].filter(([usedKey]) => !builtInKeys.has(usedKey)).map(([, value]) => value).sort(byName)]
+}
+
+// Whether a stored system is `key` or a short form of the same system
+const builtInOrSame = (system, key) => {
+  if (normalizeSystemName(system) === key) return true
+  const builtIn = builtInSystem(system)
+  return builtIn !== null && builtIn === builtInSystem(key)
+}
+
+// The spelling to save for a typed system: the built-in name it means,
+// else a matching value already in use, else the text as typed
+export const resolveSystemName = (text, diseases = []) => {
+  const trimmed = (text || '').trim().replace(/\s+/g, ' ')
+  if (!trimmed) return null
+  return builtInSystem(trimmed) || usedValues(diseases, 'system').get(normalizeSystemName(trimmed)) || trimmed
+}
+
+// Same for a subsystem within `system`
+export const resolveSubsystemName = (text, system, diseases = []) => {
+  const trimmed = (text || '').trim().replace(/\s+/g, ' ')
+  if (!trimmed) return null
+  const key = normalizeSystemName(trimmed)
+  return subsystemOptions(diseases, system).find(option => normalizeSystemName(option) === key) || trimmed
+}
+
+// =====================================================
+// TREE & VARIANTS
+// =====================================================
+
+const addStoredValue = (values, value) => {
+  if (!values.includes(value)) values.push(value)
+}
+
+// What a stored system is grouped under: the built-in system it means,
+// else its own spelling, ignoring case and spacing; null when blank
+const systemKey = (value) => {
+  if (!value?.trim()) return null
+  return normalizeSystemName(builtInSystem(value) || value)
+}
+
+const subsystemKey = (value) => normalizeSystemName(value) || null
+
+// The most used of some stored spellings, trimmed
+const mostUsed = (values) => {
+  const counts = new Map()
+  values.forEach(value => {
+    const trimmed = value.trim().replace(/\s+/g, ' ')
+    counts.set(trimmed, (counts.get(trimmed) || 0) + 1)
+  })
+  return [...counts].sort((a, b) => b[1] - a[1] || byName(a[0], b[0]))[0][0]
+}
+
+// The built-in subsystem of `system` that `key` names, or null
+const builtInSubsystem = (system, key) => {
+  return (ORGAN_SYSTEMS[system] || []).find(name => normalizeSystemName(name) === key) || null
+}
+
+// diseases → [{ system, storedValues, count, diseases, subsystems:
+// [{ subsystem, storedValues, count, diseases }] }] sorted by name.
+// Spellings that differ only in case or spacing, or that name the same
+// built-in system ("Heme", "hematology"), share a node shown under the
+// built-in name or else the most used spelling. storedValues are the
+// exact values saved on the diseases, for queries that match them.
+// Diseases without a system are grouped under system null, those
+// without a subsystem under subsystem null; null groups sort last.
+export const buildSystemTree = (diseases) => {
+  const systems = new Map()
+
+  diseases.forEach(disease => {
+    const key = systemKey(disease.system)
+    if (!systems.has(key)) systems.set(key, { storedValues: [], count: 0, diseases: [], subsystems: new Map() })
+    const node = systems.get(key)
+    addStoredValue(node.storedValues, disease.system)
+    node.count++
+    node.diseases.push(disease)
+
+    const childKey = subsystemKey(disease.subsystem)
+    if (!node.subsystems.has(childKey)) node.subsystems.set(childKey, { storedValues: [], count: 0, diseases: [] })
+    const child = node.subsystems.get(childKey)
+    addStoredValue(child.storedValues, disease.subsystem)
+    child.count++
+    child.diseases.push(disease)
+  })
+
+  const nullsLast = (key) => (a, b) => {
+    if (a[key] === null) return 1
+    if (b[key] === null) return -1
+    return a[key].localeCompare(b[key])
+  }
+
+  return [...systems]
+    .map(([key, node]) => {
+      const system = key === null
+        ? null
+        : builtInSystem(key) || mostUsed(node.diseases.map(disease => disease.system))
+      const subsystems = [...node.subsystems].map(([childKey, child]) => ({
+        subsystem: childKey === null
+          ? null
+          : builtInSubsystem(system, childKey) || mostUsed(child.diseases.map(disease => disease.subsystem)),
+        ...child
+      }))
+      return { system, ...node, subsystems: subsystems.sort(nullsLast('subsystem')) }
+    })
+    .sort(nullsLast('system'))
+}
+
+// Groups of stored values spelled differently that mean the same thing,
+// each with the value to merge them into. A lone spelling is a variant
+// too when it is not the target ("Renal" → "Nephrology").
+const variantGroups = (diseases, field, keyOf, targetOf) => {
+  const groups = new Map()
+
+  diseases.forEach(disease => {
+    const value = disease[field]
+    const key = keyOf(value)
+    if (key === null) return
+    if (!groups.has(key)) groups.set(key, new Map())
+    const counts = groups.get(key)
+    counts.set(value, (counts.get(value) || 0) + 1)
+  })
+
+  return [...groups]
+    .map(([key, counts]) => {
+      const values = [...counts].map(([value, count]) => ({ value, count })).sort((a, b) => b.count - a.count)
+      return { target: targetOf(key) || values[0].value.trim(), values }
+    })
+    .filter(({ target, values }) => values.length > 1 || values[0].value !== target)
+    .sort((a, b) => a.target.localeCompare(b.target))
+}
+
+// Systems in use that are spelled differently but mean the same thing
+// ("Heme", "hematology", "Hematology", "Hematology "), then the same
+// for subsystems within each system, as merge suggestions:
+// [{ field: 'system', target, values: [{ value, count }] }] and
+// [{ field: 'subsystem', system, systemValues, target, values }].
+// Values are the exact stored spellings (systemValues those of the
+// subsystem's system). The target is the built-in name, or the most
+// used spelling, trimmed.
+export const findSystemVariants = (diseases) => {
+  const systems = variantGroups(diseases, 'system', systemKey, builtInSystem)
+    .map(variant => ({ field: 'system', ...variant }))
+
+  const subsystems = buildSystemTree(diseases)
+    .filter(node => node.system !== null)
+    .flatMap(node => variantGroups(node.diseases, 'subsystem', subsystemKey, key => builtInSubsystem(node.system, key))
+      .map(variant => ({ field: 'subsystem', system: node.system, systemValues: node.storedValues, ...variant })))
+
+  return [...systems, ...subsystems]
+}
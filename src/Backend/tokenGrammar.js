@@ -0,0 +1,573 @@
+// src/Backend/tokenGrammar.js
+import { BACKEND_CONFIG } from './backendConfig'
+import { DIRECTION_MODIFIERS, COMPARATOR_MODIFIERS, RANGE_MODIFIER, TEXT_MODIFIER, BARE_VALUE_UNITS } from './tokenModifiers'
+
+/**
+ * Tokenizer and grammar for the feature token language
+ *
+ *   input      := item*
+ *   item       := group | token ('|' token)*       Fever|Chills
+ *   group      := prefix? '(' item* ')'            -(Murmur Rub Gallop)
+ *   token      := prefix? name direction? value? qualifier*
+ *   prefix     := '+' | '-'
+ *   name       := word | '"' phrase '"'
+ *   direction  := '↑' | '↓'
+ *   value      := comparator number unit?          MCV<80.5  Na<135mmol/L
+ *               | '=' '"' phrase '"'               Ferritin="very low"
+ *               | (whitespace) number range? unit?  Hb 8-10   Ferritin 8
+ *                 (bare values take only known units, see tokenModifiers;
+ *                 a known unit may follow after a space: Hb 8-10 g/dL)
+ *   comparator := '<' | '<=' | '>' | '>=' | '=' | '≈' | '≤' | '≥'
+ *   range      := '-' number
+ *   qualifier  := '~' typicality                   Fever~rare  Rash~occ
+ *               | '!' weight                       Splenomegaly!3
+ *               | '*'                              Auer-rods*  (pathognomonic)
+ *
+ * A name is never a bare number or a known unit on its own ("Hb -5",
+ * "Fever g/dL"); those are reported rather than saved as features.
+ *
+ * A group's prefix applies to every token inside it that has no prefix
+ * of its own. Tokens joined by '|' share an alternativeGroup number,
+ * meaning any one of them counts as the finding.
+ *
+ * Parsing never throws. Problems are collected as errors carrying
+ * character offsets into the input (start inclusive, end exclusive)
+ * so the UI can point at the exact span that needs fixing.
+ */
+
+// =====================================================
+// GRAMMAR CONSTANTS
+// =====================================================
+
+export const TOKEN_ERROR_CODES = {
+  UNTERMINATED_QUOTE: 'unterminated_quote',
+  EMPTY_PHRASE: 'empty_phrase',
+  MISSING_NAME: 'missing_name',
+  MISSING_NUMBER: 'missing_number',
+  INVALID_RANGE: 'invalid_range',
+  ORPHAN_VALUE: 'orphan_value',
+  VALUE_AS_NAME: 'value_as_name',
+  UNEXPECTED_CHARACTER: 'unexpected_character',
+  UNKNOWN_TYPICALITY: 'unknown_typicality',
+  INVALID_WEIGHT: 'invalid_weight',
+  DUPLICATE_QUALIFIER: 'duplicate_qualifier',
+  UNCLOSED_GROUP: 'unclosed_group',
+  UNMATCHED_PAREN: 'unmatched_paren',
+  EMPTY_GROUP: 'empty_group',
+  DANGLING_ALTERNATION: 'dangling_alternation'
+}
+
+export { DIRECTION_MODIFIERS, COMPARATOR_MODIFIERS, RANGE_MODIFIER, TEXT_MODIFIER }
+
+// Longest operators first so '<=' wins over '<'
+const COMPARATOR_SYMBOLS = ['<=', '>=', '<', '>', '=', '≈', '≤', '≥']
+const COMPARATOR_ALIASES = { '≤': '<=', '≥': '>=' }
+
+const QUOTE_PAIRS = { '"': '"', '“': '”' }
+const RANGE_SEPARATORS = ['-', '–']
+const QUALIFIER_CHARS = ['~', '!', '*']
+const STRUCTURE_CHARS = ['(', ')', '|']
+const RESERVED_CHARS = new Set([
+  '"', '“', '”', '<', '>', '=', '≈', '≤', '≥', '↑', '↓',
+  ...QUALIFIER_CHARS,
+  ...STRUCTURE_CHARS
+])
+
+const WHITESPACE_RE = /\s/
+const NUMBER_RE = /^-?(?:\d+(?:\.\d+)?|\.\d+)/
+// Cell counts ("10^9/L", "x10^9/L") are the only units starting with a digit
+const UNIT_SOURCE = '%|[x×]?10\\^\\d+/L|[A-Za-zµμ/][A-Za-z0-9µμ/^.]*'
+const UNIT_RE = new RegExp(`^(?:${UNIT_SOURCE})`)
+const BARE_VALUE_RE = new RegExp(`^(?:\\d+(?:\\.\\d+)?|\\.\\d+)(?:[-–](?:\\d+(?:\\.\\d+)?|\\.\\d+))?(${UNIT_SOURCE})?(?:[~!*]\\S*)?$`)
+const UNIT_CHUNK_RE = new RegExp(`^(${UNIT_SOURCE})(?:[~!*]\\S*)?$`)
+
+const unitKey = (unit) => unit.replace(/[μu]/g, 'µ').replace(/^×/, 'x').toLowerCase()
+const BARE_UNIT_KEYS = new Set(BARE_VALUE_UNITS.map(unitKey))
+const isKnownUnit = (unit) => BARE_UNIT_KEYS.has(unitKey(unit))
+
+// "8", "8-10g/dL", "90%~rare": a number, optional range and a known unit
+const isBareValue = (chunk) => {
+  const match = chunk.match(BARE_VALUE_RE)
+  return Boolean(match) && (!match[1] || isKnownUnit(match[1]))
+}
+
+// "g/dL", "10^9/L~rare": a known unit on its own
+const isUnitChunk = (chunk) => {
+  const match = chunk.match(UNIT_CHUNK_RE)
+  return Boolean(match) && isKnownUnit(match[1])
+}
+
+// =====================================================
+// PARSER
+// =====================================================
+
+export const parseTokenGrammar = (input = '') => {
+  const tokens = []
+  const errors = []
+  let pos = 0
+  let alternationCount = 0
+
+  const peek = (offset = 0) => input[pos + offset]
+  const isBoundary = (ch) => ch === undefined || WHITESPACE_RE.test(ch) || STRUCTURE_CHARS.includes(ch)
+
+  const addError = (code, message, start, end = start + 1) => {
+    errors.push({ code, message, start, end: Math.max(end, start + 1) })
+  }
+
+  const skipToBoundary = () => {
+    while (!isBoundary(peek())) pos++
+  }
+
+  const readChunk = () => {
+    let end = pos
+    while (!isBoundary(input[end])) end++
+    return input.slice(pos, end)
+  }
+
+  const readNumber = () => {
+    const match = input.slice(pos).match(NUMBER_RE)
+    if (!match) return null
+    pos += match[0].length
+    return Number(match[0])
+  }
+
+  const readUnit = () => {
+    const match = input.slice(pos).match(UNIT_RE)
+    if (!match) return null
+    pos += match[0].length
+    return match[0]
+  }
+
+  // Reads an optional "-max" after a number; returns null when absent
+  const readRangeMax = (token, minStart) => {
+    if (!RANGE_SEPARATORS.includes(peek()) || !/[\d.]/.test(peek(1) || '')) return null
+
+    pos++
+    const max = readNumber()
+    if (max !== null && max < token.numericValue) {
+      addError(
+        TOKEN_ERROR_CODES.INVALID_RANGE,
+        `Range ${token.numericValue}-${max} has its lower bound above its upper bound`,
+        minStart,
+        pos
+      )
+    }
+    return max
+  }
+
+  // Reads a quoted phrase with its whitespace collapsed; null on error
+  const readQuoted = (label) => {
+    const start = pos
+    const closeAt = input.indexOf(QUOTE_PAIRS[peek()], pos + 1)
+    if (closeAt === -1) {
+      addError(TOKEN_ERROR_CODES.UNTERMINATED_QUOTE, `Quoted ${label} is missing its closing quote`, start, input.length)
+      pos = input.length
+      return null
+    }
+
+    pos = closeAt + 1
+    const phrase = input.slice(start + 1, closeAt).trim().replace(/\s+/g, ' ')
+    if (!phrase) {
+      addError(TOKEN_ERROR_CODES.EMPTY_PHRASE, `Quoted ${label} is empty`, start, pos)
+      return null
+    }
+    return phrase
+  }
+
+  const parseName = () => {
+    if (QUOTE_PAIRS[peek()]) return readQuoted('feature')
+
+    const start = pos
+    while (!isBoundary(peek()) && !RESERVED_CHARS.has(peek())) pos++
+
+    if (pos === start) {
+      addError(TOKEN_ERROR_CODES.MISSING_NAME, `Expected a feature name before "${peek()}"`, start)
+      return null
+    }
+    return input.slice(start, pos)
+  }
+
+  const parseComparatorValue = (token) => {
+    const opStart = pos
+    const symbol = COMPARATOR_SYMBOLS.find(op => input.startsWith(op, pos))
+    pos += symbol.length
+
+    if (symbol === '=' && QUOTE_PAIRS[peek()]) {
+      const text = readQuoted('value')
+      if (text === null) return false
+
+      token.valueModifier = TEXT_MODIFIER
+      token.valueText = text
+      return true
+    }
+
+    const numberStart = pos
+    const value = readNumber()
+    if (value === null) {
+      addError(TOKEN_ERROR_CODES.MISSING_NUMBER, `Expected a number after "${symbol}"`, opStart, pos + 1)
+      return false
+    }
+
+    token.valueModifier = COMPARATOR_ALIASES[symbol] || symbol
+    token.numericValue = value
+
+    if (token.valueModifier === '=') {
+      const max = readRangeMax(token, numberStart)
+      if (max !== null) {
+        token.valueModifier = RANGE_MODIFIER
+        token.numericMax = max
+      }
+    }
+
+    token.unit = readUnit()
+    return true
+  }
+
+  // Typicality matches any unambiguous prefix: ~r, ~occ, ~common
+  const parseTypicality = (token, qualifierStart) => {
+    const wordStart = pos
+    while (/[A-Za-z]/.test(peek() || '')) pos++
+
+    const word = input.slice(wordStart, pos).toLowerCase()
+    const matches = word
+      ? BACKEND_CONFIG.TYPICALITY_OPTIONS.filter(option => option.startsWith(word))
+      : []
+
+    if (matches.length !== 1) {
+      addError(
+        TOKEN_ERROR_CODES.UNKNOWN_TYPICALITY,
+        `Typicality must be one of ${BACKEND_CONFIG.TYPICALITY_OPTIONS.join(', ')}`,
+        qualifierStart,
+        pos
+      )
+      return
+    }
+    token.typicality = matches[0]
+  }
+
+  const parseWeight = (token, qualifierStart) => {
+    const digitsStart = pos
+    while (/\d/.test(peek() || '')) pos++
+
+    const weight = Number(input.slice(digitsStart, pos))
+    if (pos === digitsStart || !BACKEND_CONFIG.WEIGHT_OPTIONS.includes(weight)) {
+      addError(
+        TOKEN_ERROR_CODES.INVALID_WEIGHT,
+        `Weight must be one of ${BACKEND_CONFIG.WEIGHT_OPTIONS.join(', ')}`,
+        qualifierStart,
+        pos
+      )
+      return
+    }
+    token.weight = weight
+  }
+
+  const parseQualifiers = (token) => {
+    const seen = new Set()
+
+    while (QUALIFIER_CHARS.includes(peek())) {
+      const qualifierStart = pos
+      const symbol = peek()
+      pos++
+
+      if (seen.has(symbol)) {
+        addError(TOKEN_ERROR_CODES.DUPLICATE_QUALIFIER, `"${symbol}" is given more than once`, qualifierStart)
+      }
+      seen.add(symbol)
+
+      if (symbol === '~') parseTypicality(token, qualifierStart)
+      else if (symbol === '!') parseWeight(token, qualifierStart)
+      else token.isPathognomonic = true
+    }
+  }
+
+  // "Hb 8-10": a bare value chunk belongs to the feature right before it.
+  // Returns false when the value could not be attached.
+  const attachBareValue = (previous) => {
+    const start = pos
+    const errorCount = errors.length
+
+    if (!previous || previous.valueModifier !== null) {
+      skipToBoundary()
+      addError(TOKEN_ERROR_CODES.ORPHAN_VALUE, `Value "${input.slice(start, pos)}" has no feature before it`, start, pos)
+      return false
+    }
+
+    previous.numericValue = readNumber()
+    previous.valueModifier = '='
+
+    const max = readRangeMax(previous, start)
+    if (max !== null) {
+      previous.valueModifier = RANGE_MODIFIER
+      previous.numericMax = max
+    }
+
+    previous.unit = readUnit()
+    return finishAttached(previous, start, errorCount)
+  }
+
+  // Only a number without a unit of its own can take one after a space
+  const takesUnit = (previous) => {
+    return Boolean(previous) && previous.numericValue !== null && previous.unit === null
+  }
+
+  // "Hb 8-10 g/dL": a known unit chunk completes the value before it
+  const attachUnit = (previous) => {
+    const start = pos
+    const errorCount = errors.length
+
+    previous.unit = readUnit()
+    return finishAttached(previous, start, errorCount)
+  }
+
+  // Shared tail of attachBareValue/attachUnit: qualifiers, then the
+  // token grows to cover the chunk or is dropped if it had errors
+  const finishAttached = (previous, start, errorCount) => {
+    parseQualifiers(previous)
+
+    if (!isBoundary(peek())) {
+      addError(TOKEN_ERROR_CODES.UNEXPECTED_CHARACTER, `Unexpected "${peek()}" after "${input.slice(start, pos)}"`, pos)
+      skipToBoundary()
+    }
+
+    previous.end = pos
+    previous.original = input.slice(previous.start, pos)
+
+    if (errors.length > errorCount) {
+      tokens.splice(tokens.indexOf(previous), 1)
+      return false
+    }
+    return true
+  }
+
+  // Returns the parsed token, or null when it had errors
+  const parseToken = (inheritedPresence) => {
+    const start = pos
+    const errorCount = errors.length
+    let isPresent = inheritedPresence
+
+    if (peek() === '+' || peek() === '-') {
+      isPresent = peek() === '+'
+      pos++
+
+      if (isBoundary(peek())) {
+        addError(TOKEN_ERROR_CODES.MISSING_NAME, `Expected a feature name after "${input[start]}"`, start)
+        return null
+      }
+    }
+
+    const nameStart = pos
+    const name = parseName()
+    if (name === null) {
+      skipToBoundary()
+      return null
+    }
+
+    // Quoted names are taken as written; "Hb -5" is not an absent "5"
+    if (!QUOTE_PAIRS[input[nameStart]] && (isBareValue(name) || isUnitChunk(name))) {
+      skipToBoundary()
+      addError(
+        TOKEN_ERROR_CODES.VALUE_AS_NAME,
+        isBareValue(name)
+          ? `"${input.slice(start, pos)}" is a value, not a feature; write a negative value with "=", as in BE=-5`
+          : `Unit "${input.slice(start, pos)}" has no value before it`,
+        start,
+        pos
+      )
+      return null
+    }
+
+    const token = {
+      original: '',
+      cleanToken: name,
+      isPresent,
+      valueModifier: null,
+      numericValue: null,
+      numericMax: null,
+      unit: null,
+      typicality: null,
+      weight: null,
+      isPathognomonic: false,
+      alternativeGroup: null,
+      valueText: null,
+      start,
+      end: start
+    }
+
+    if (DIRECTION_MODIFIERS.includes(peek())) {
+      token.valueModifier = peek()
+      pos++
+    } else if (COMPARATOR_SYMBOLS.some(op => input.startsWith(op, pos))) {
+      if (!parseComparatorValue(token)) {
+        skipToBoundary()
+        return null
+      }
+    }
+
+    parseQualifiers(token)
+
+    if (!isBoundary(peek())) {
+      addError(TOKEN_ERROR_CODES.UNEXPECTED_CHARACTER, `Unexpected "${peek()}" after "${input.slice(start, pos)}"`, pos)
+      skipToBoundary()
+    }
+
+    // Tokens with errors are reported, never half-parsed into the result
+    if (errors.length > errorCount) return null
+
+    token.end = pos
+    token.original = input.slice(start, pos)
+    tokens.push(token)
+    return token
+  }
+
+  const startsGroup = () => {
+    return peek() === '(' || ((peek() === '+' || peek() === '-') && peek(1) === '(')
+  }
+
+  const parseGroup = (inheritedPresence, depth) => {
+    const start = pos
+    const tokenCount = tokens.length
+    const errorCount = errors.length
+    let isPresent = inheritedPresence
+
+    if (peek() !== '(') {
+      isPresent = peek() === '+'
+      pos++
+    }
+    pos++
+
+    parseSequence(isPresent, depth + 1)
+
+    if (peek() !== ')') {
+      addError(TOKEN_ERROR_CODES.UNCLOSED_GROUP, 'Group is missing its closing ")"', start, pos)
+      return
+    }
+
+    pos++
+    if (tokens.length === tokenCount && errors.length === errorCount) {
+      addError(TOKEN_ERROR_CODES.EMPTY_GROUP, 'Group has no features', start, pos)
+    }
+  }
+
+  const parseSequence = (inheritedPresence, depth) => {
+    // Token a following bare value or '|' belongs to
+    let previous = null
+
+    while (pos < input.length) {
+      if (WHITESPACE_RE.test(peek())) {
+        pos++
+        continue
+      }
+
+      if (peek() === ')') {
+        if (depth > 0) return
+        addError(TOKEN_ERROR_CODES.UNMATCHED_PAREN, 'Unmatched ")"', pos)
+        pos++
+        continue
+      }
+
+      if (peek() === '|') {
+        const barAt = pos
+        pos++
+        while (WHITESPACE_RE.test(peek() || '')) pos++
+
+        if (!previous || pos >= input.length || STRUCTURE_CHARS.includes(peek()) || startsGroup()) {
+          addError(TOKEN_ERROR_CODES.DANGLING_ALTERNATION, '"|" must join two features', barAt)
+          previous = null
+          continue
+        }
+
+        const token = parseToken(inheritedPresence)
+        if (token) {
+          if (previous.alternativeGroup === null) previous.alternativeGroup = ++alternationCount
+          token.alternativeGroup = previous.alternativeGroup
+        }
+        previous = token
+      } else if (startsGroup()) {
+        parseGroup(inheritedPresence, depth)
+        previous = null
+      } else if (isBareValue(readChunk())) {
+        if (!attachBareValue(previous)) previous = null
+      } else if (isUnitChunk(readChunk()) && takesUnit(previous)) {
+        if (!attachUnit(previous)) previous = null
+      } else {
+        previous = parseToken(inheritedPresence)
+      }
+    }
+  }
+
+  parseSequence(true, 0)
+
+  return { tokens, errors }
+}
+
+// =====================================================
+// FORMATTING
+// =====================================================
+
+// Renders a parsed token's value the way it is stored in value_text
+export const formatTokenValue = (token) => {
+  const { valueModifier, numericValue, numericMax, unit } = token
+  if (!valueModifier) return null
+  if (DIRECTION_MODIFIERS.includes(valueModifier)) return valueModifier
+  if (valueModifier === TEXT_MODIFIER) return token.valueText
+
+  // "=12 10^9/L": a unit starting with a digit must not run into the number
+  const suffix = !unit ? '' : /^\d/.test(unit) ? ` ${unit}` : unit
+  if (valueModifier === RANGE_MODIFIER) return `${numericValue}-${numericMax}${suffix}`
+  return `${valueModifier}${numericValue}${suffix}`
+}
+
+const quotePhrase = (text) => {
+  return text.includes('"') ? `“${text}”` : `"${text}"`
+}
+
+// Feature names that would not survive parsing as a bare word get quoted
+export const formatFeatureName = (name) => {
+  const needsQuotes =
+    !name ||
+    /^[+-]/.test(name) ||
+    isBareValue(name) ||
+    isUnitChunk(name) ||
+    [...name].some(ch => WHITESPACE_RE.test(ch) || RESERVED_CHARS.has(ch))
+
+  return needsQuotes ? quotePhrase(name) : name
+}
+
+// Inverse of formatTokenValue: the source text that parses back into
+// exactly this value_text, falling back to a quoted text value
+export const formatValueClause = (valueText) => {
+  if (!valueText) return ''
+
+  const candidate = /^[\d.]/.test(valueText) ? `=${valueText}` : valueText
+  const { tokens, errors } = parseTokenGrammar(`x${candidate}`)
+  if (errors.length === 0 && tokens.length === 1 && formatTokenValue(tokens[0]) === valueText) {
+    return candidate
+  }
+  return `=${quotePhrase(valueText)}`
+}
+
+// A value as a user types it into a form ("7", "7 mmol/L", "<5") → value
+// clause source. Numbers may be written without '=' or with a space
+// before the unit; anything else is read as formatValueClause reads it.
+export const formatTypedValue = (text) => {
+  const trimmed = text?.trim()
+  if (!trimmed) return ''
+
+  if (/^[\d.<>=≈]/.test(trimmed)) {
+    const compact = trimmed.replace(/\s+/g, '')
+    const candidate = /^[\d.]/.test(compact) ? `=${compact}` : compact
+    const { tokens, errors } = parseTokenGrammar(`x${candidate}`)
+    if (errors.length === 0 && tokens.length === 1) return candidate
+  }
+  return formatValueClause(trimmed)
+}
+
+// Qualifiers are only written when they differ from the defaults
+export const formatQualifiers = ({ typicality, weight, isPathognomonic }) => {
+  let qualifiers = ''
+  if (typicality && typicality !== BACKEND_CONFIG.TYPICALITY_OPTIONS[0]) qualifiers += `~${typicality}`
+  if (weight && weight !== BACKEND_CONFIG.WEIGHT_OPTIONS[0]) qualifiers += `!${weight}`
+  if (isPathognomonic) qualifiers += '*'
+  return qualifiers
+}
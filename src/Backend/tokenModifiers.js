@@ -0,0 +1,26 @@
+// src/Backend/tokenModifiers.js
+
+/**
+ * Value modifiers and units of the token language. Kept in a module that
+ * imports nothing, so modules the grammar depends on (labUnits via
+ * backendConfig and api) can use them while they load.
+ */
+
+export const DIRECTION_MODIFIERS = ['↑', '↓']
+
+export const COMPARATOR_MODIFIERS = ['<', '<=', '>', '>=', '=', '≈']
+
+export const RANGE_MODIFIER = 'range'
+
+export const TEXT_MODIFIER = 'text'
+
+// Units a bare value ("Hb 8g/dL") may carry. Without an operator a
+// number is only read as a value when followed by one of these, so
+// "Fever 3rd" stays a word. Covers the lab units in labUnits and
+// referenceRanges plus common vitals; compared case-insensitively.
+export const BARE_VALUE_UNITS = [
+  '%', 'mg/dL', 'g/dL', 'g/L', 'mg/L', 'µg/dL', 'µg/L', 'ng/mL', 'ng/dL', 'pg/mL',
+  'mmol/L', 'µmol/L', 'pmol/L', 'nmol/L', 'mEq/L', 'U/L', 'IU/L', 'mIU/L', 'mU/L',
+  'fL', 'pg', '10^9/L', '10^12/L', 'x10^9/L', 'x10^12/L', 'mm/h', 'mmHg', 'bpm', '/min',
+  'kg', 'cm', 'C', 'F', 's'
+]
@@ -0,0 +1,269 @@
+// src/Backend/tokenSpec.js
+import conformanceCases from './tokenConformance.json'
+import {
+  formatTokenValue,
+  formatFeatureName,
+  formatValueClause,
+  formatQualifiers
+} from './tokenGrammar'
+import { BACKEND_CONFIG } from './backendConfig'
+
+/**
+ * Shared parse-result shape for the token language.
+ *
+ * Both the client parser and the parse_medical_tokens RPC are
+ * normalized into this shape, so chip previews, the submit workflow
+ * and the saved disease_feature rows all read the same fields.
+ * tokenConformance.json holds the token strings and the output both
+ * parsers are expected to produce for them.
+ *
+ * The serializer goes the other way, from disease_feature rows back to
+ * a token string that parses into the same rows.
+ */
+
+// =====================================================
+// PARSE RESULT SHAPE
+// =====================================================
+
+// Fields the conformance corpus pins down (canonicalization is not compared).
+// Corpus entries may omit a field when it holds its default.
+export const PARSED_TOKEN_DEFAULTS = {
+  original_token: null,
+  feature_text: null,
+  is_present: true,
+  value_modifier: null,
+  numeric_value: null,
+  numeric_max: null,
+  unit: null,
+  value_text: null,
+  typicality: null,
+  weight: null,
+  is_pathognomonic: false,
+  alternative_group: null
+}
+
+export const PARSED_TOKEN_FIELDS = Object.keys(PARSED_TOKEN_DEFAULTS)
+
+export const TOKEN_CONFORMANCE_CASES = conformanceCases
+
+const toNumberOrNull = (value) => {
+  if (value === null || value === undefined || value === '') return null
+  const number = Number(value)
+  return Number.isNaN(number) ? null : number
+}
+
+// Client grammar token → shared shape
+export const toParsedToken = (token) => ({
+  original_token: token.original,
+  feature_text: token.cleanToken,
+  is_present: token.isPresent,
+  value_modifier: token.valueModifier,
+  numeric_value: token.numericValue,
+  numeric_max: token.numericMax,
+  unit: token.unit,
+  value_text: formatTokenValue(token),
+  typicality: token.typicality,
+  weight: token.weight,
+  is_pathognomonic: token.isPathognomonic,
+  alternative_group: token.alternativeGroup,
+  canonical_feature_id: null,
+  canonical_name: null
+})
+
+// RPC row → shared shape; older RPC versions omit some fields
+export const normalizeParsedToken = (row) => {
+  const token = {
+    original_token: row.original_token ?? null,
+    feature_text: row.feature_text ?? row.clean_token ?? row.original_token ?? null,
+    is_present: row.is_present ?? true,
+    value_modifier: row.value_modifier ?? null,
+    numeric_value: toNumberOrNull(row.numeric_value),
+    numeric_max: toNumberOrNull(row.numeric_max),
+    unit: row.unit ?? null,
+    value_text: row.value_text ?? null,
+    typicality: row.typicality ?? null,
+    weight: toNumberOrNull(row.weight),
+    is_pathognomonic: row.is_pathognomonic ?? false,
+    alternative_group: row.alternative_group ?? null,
+    canonical_feature_id: row.canonical_feature_id ?? null,
+    canonical_name: row.canonical_name ?? null
+  }
+
+  if (token.value_text === null) {
+    token.value_text = formatTokenValue({
+      valueModifier: token.value_modifier,
+      numericValue: token.numeric_value,
+      numericMax: token.numeric_max,
+      unit: token.unit
+    })
+  }
+
+  return token
+}
+
+// =====================================================
+// CONFORMANCE
+// =====================================================
+
+const pickSpecFields = (token) => {
+  return Object.fromEntries(
+    PARSED_TOKEN_FIELDS.map(field => [field, token[field] ?? PARSED_TOKEN_DEFAULTS[field]])
+  )
+}
+
+// Runs every corpus case through `parse` (sync or async, string → tokens)
+export const runTokenConformance = async (parse, cases = TOKEN_CONFORMANCE_CASES) => {
+  const failures = []
+
+  for (const { input, expected } of cases) {
+    let actual
+    try {
+      actual = (await parse(input)).map(pickSpecFields)
+    } catch (error) {
+      failures.push({ input, expected, actual: null, error })
+      continue
+    }
+
+    if (JSON.stringify(actual) !== JSON.stringify(expected.map(pickSpecFields))) {
+      failures.push({ input, expected, actual, error: null })
+    }
+  }
+
+  return {
+    passed: cases.length - failures.length,
+    total: cases.length,
+    failures
+  }
+}
+
+// =====================================================
+// SERIALIZATION
+// =====================================================
+
+// disease_feature columns a token string controls; interpretation is
+// derived from the value and the feature's reference ranges, and unit
+// is the lab unit the value was normalized to (see labUnits)
+export const DISEASE_FEATURE_FIELDS = [
+  'is_present',
+  'value_text',
+  'typicality',
+  'weight',
+  'is_pathognomonic',
+  'alternative_group',
+  'interpretation',
+  'unit'
+]
+
+// One disease_feature row (joined with feature_name) → its token
+export const formatFeatureRow = (row) => {
+  return (row.is_present === false ? '-' : '') +
+    formatFeatureName(row.feature_name) +
+    formatValueClause(row.value_text) +
+    formatQualifiers({
+      typicality: row.typicality,
+      weight: row.weight,
+      isPathognomonic: row.is_pathognomonic
+    })
+}
+
+// Inverse of parseTokensClient for a disease's disease_feature rows.
+// Alternation members are written next to each other, joined by '|'.
+export const serializeFeatureRows = (rows) => {
+  const items = []
+  const alternations = new Map()
+
+  rows.forEach(row => {
+    if (!row.alternative_group) {
+      items.push([row])
+      return
+    }
+    if (!alternations.has(row.alternative_group)) {
+      alternations.set(row.alternative_group, [])
+      items.push(alternations.get(row.alternative_group))
+    }
+    alternations.get(row.alternative_group).push(row)
+  })
+
+  return items.map(members => members.map(formatFeatureRow).join('|')).join(' ')
+}
+
+// Shared-shape tokens → token string, e.g. after editing chips. Group
+// prefixes are written out on each member; alternations stay joined.
+export const serializeParsedTokens = (tokens) => {
+  return serializeFeatureRows(tokens.map(token => ({ ...token, feature_name: token.feature_text })))
+}
+
+const groupMemberKey = (featureIds) => [...featureIds].sort().join('|')
+
+// Collects member feature ids per group; single-member groups are dropped
+const collectGroups = (rows, getGroup) => {
+  const groups = new Map()
+  rows.forEach(row => {
+    const group = getGroup(row)
+    if (group === null || group === undefined) return
+    if (!groups.has(group)) groups.set(group, [])
+    groups.get(group).push(row.feature_id)
+  })
+  return new Map([...groups].filter(([, members]) => members.length > 1))
+}
+
+const toComparableRow = (row, alternativeGroup) => ({
+  feature_id: row.feature_id,
+  is_present: row.is_present ?? true,
+  value_text: row.value_text || null,
+  typicality: row.typicality || BACKEND_CONFIG.TYPICALITY_OPTIONS[0],
+  weight: row.weight || BACKEND_CONFIG.WEIGHT_OPTIONS[0],
+  is_pathognomonic: row.is_pathognomonic || false,
+  alternative_group: alternativeGroup ?? null,
+  interpretation: row.interpretation ?? null,
+  unit: row.unit ?? null
+})
+
+// Compares a disease's current rows with resolved tokens (feature_id set
+// from canonical_feature_id). Alternations with unchanged membership keep
+// their stored id; new ones get a fresh one.
+export const diffFeatureRows = (existingRows, resolvedTokens, createGroupId = () => crypto.randomUUID()) => {
+  const existingGroups = collectGroups(existingRows, row => row.alternative_group)
+  const existingGroupIds = new Map(
+    [...existingGroups].map(([groupId, members]) => [groupMemberKey(members), groupId])
+  )
+
+  const desiredTokens = resolvedTokens.map(token => ({ ...token, feature_id: token.canonical_feature_id }))
+  const desiredGroups = collectGroups(desiredTokens, token => token.alternative_group)
+  const desiredGroupIds = new Map(
+    [...desiredGroups].map(([group, members]) => [
+      group,
+      existingGroupIds.get(groupMemberKey(members)) ?? createGroupId()
+    ])
+  )
+
+  const existing = new Map(existingRows.map(row => [
+    row.feature_id,
+    toComparableRow(row, existingGroups.has(row.alternative_group) ? row.alternative_group : null)
+  ]))
+
+  // A feature written twice keeps its last occurrence
+  const desired = new Map(desiredTokens.map(token => [
+    token.feature_id,
+    toComparableRow(token, desiredGroupIds.get(token.alternative_group))
+  ]))
+
+  const adds = []
+  const updates = []
+  let unchanged = 0
+
+  desired.forEach((row, featureId) => {
+    const current = existing.get(featureId)
+    if (!current) {
+      adds.push(row)
+    } else if (DISEASE_FEATURE_FIELDS.some(field => current[field] !== row[field])) {
+      updates.push(row)
+    } else {
+      unchanged++
+    }
+  })
+
+  const removals = [...existing.keys()].filter(featureId => !desired.has(featureId))
+
+  return { adds, updates, removals, unchanged }
+}
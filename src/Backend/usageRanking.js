@@ -0,0 +1,92 @@
+// src/Backend/usageRanking.js
+
+/**
+ * Personalised autocomplete ranking.
+ *
+ * Every suggestion picked in the token input is recorded per user in
+ * feature_usage: how often the feature was picked, when it was last
+ * picked, and how often per disease system. Search results are then
+ * re-ranked by blending the server's relevance with that history, so
+ * features used often, recently, or for the same system rise.
+ */
+
+// =====================================================
+// CONSTANTS
+// =====================================================
+
+// Share of the blended score that comes from usage history
+const USAGE_WEIGHT = 0.5
+
+// How usage history itself is made up
+const FREQUENCY_WEIGHT = 0.5
+const RECENCY_WEIGHT = 0.3
+const SYSTEM_WEIGHT = 0.2
+
+// Picks at which frequency counts as fully established
+const FREQUENCY_SATURATION = 20
+
+const RECENCY_HALF_LIFE_DAYS = 14
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const systemKey = (system) => system?.trim().toLowerCase() || null
+
+// =====================================================
+// HISTORY
+// =====================================================
+
+// feature_usage row after one more pick of the feature
+export const applyUsagePick = (entry, featureId, system = null, now = new Date()) => {
+  const key = systemKey(system)
+  const systemCounts = { ...(entry?.system_counts || {}) }
+  if (key) systemCounts[key] = (systemCounts[key] || 0) + 1
+
+  return {
+    feature_id: featureId,
+    pick_count: (entry?.pick_count || 0) + 1,
+    last_used_at: now.toISOString(),
+    system_counts: systemCounts
+  }
+}
+
+// 0..1 from frequency, recency and use within `system`
+export const usageScore = (entry, { system = null, now = Date.now() } = {}) => {
+  if (!entry?.pick_count) return 0
+
+  const frequency = Math.min(1, Math.log1p(entry.pick_count) / Math.log1p(FREQUENCY_SATURATION))
+
+  const ageDays = Math.max(0, now - new Date(entry.last_used_at).getTime()) / DAY_MS
+  const recency = Number.isFinite(ageDays) ? 0.5 ** (ageDays / RECENCY_HALF_LIFE_DAYS) : 0
+
+  const key = systemKey(system)
+  const systemShare = key ? (entry.system_counts?.[key] || 0) / entry.pick_count : 0
+
+  return FREQUENCY_WEIGHT * frequency + RECENCY_WEIGHT * recency + SYSTEM_WEIGHT * systemShare
+}
+
+// =====================================================
+// RANKING
+// =====================================================
+
+// Server relevance as 0..1: its similarity score when it sends one,
+// otherwise the result's position in the server's order
+const serverScore = (result, index, total) => {
+  const score = Number(result.similarity ?? result.score)
+  if (Number.isFinite(score)) return Math.min(1, Math.max(0, score))
+  return 1 - index / total
+}
+
+// Re-orders search results by blended score; `usage` maps feature id →
+// feature_usage row. Ties keep the server's order.
+export const rankByUsage = (results, usage, { system = null, now = Date.now() } = {}) => {
+  if (!usage?.size || results.length < 2) return results
+
+  return results
+    .map((result, index) => ({
+      result,
+      index,
+      score: (1 - USAGE_WEIGHT) * serverScore(result, index, results.length) +
+        USAGE_WEIGHT * usageScore(usage.get(result.id), { system, now })
+    }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ result }) => result)
+}
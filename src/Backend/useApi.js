@@ -1,57 +1,146 @@
 // src/hooks/useApi.js
-import { useState, useEffect, useCallback, useRef } from 'react'
+import { useState, useEffect, useCallback, useMemo } from 'react'
 import {
-  searchFeatures,
+  featureSearchPipeline,
   canonicalizeFeature,
+  canonicalizeParsedTokens,
   parseMedicalTokens,
+  parseTokensClient,
   compareDiseases,
   getUserDiseases,
-  getDiseaseStats,
+  updateDisease as updateDiseaseRow,
+  deleteDisease as deleteDiseaseRow,
+  renameDiseaseSystem,
+  renameDiseaseSubsystem,
+  duplicateDisease as duplicateDiseaseRow,
+  getUserDiseaseTemplates,
+  setUserDiseaseTemplates,
   exportToSheets,
   createFeature,
+  createFeatureAlias,
+  getFeatureAliases,
+  getUserFeatures,
+  updateFeatureAlias,
+  deleteFeatureAlias,
+  bulkCreateFeatureAliases,
+  getFeatureCatalog,
+  setFeatureParent,
+  getLabUnitSystem,
+  setLabUnitSystem,
+  subscribeToLabUnitSystem,
+  findDuplicateFeatureGroups,
+  previewFeatureMerge,
+  mergeFeatures,
   addFeatureToDisease,
-  createDebouncedSearch,
+  removeFeatureFromDisease,
+  removeFeaturesFromDisease,
+  batchAddFeaturesToDisease,
+  getDiseaseFeatures,
+  getReferenceRanges,
+  saveReferenceRange,
+  deleteReferenceRange,
+  getFeatureUsage,
+  recordFeatureUsage,
   getCachedDiseaseStats
 } from '../Backend/api'
+import { serializeFeatureRows, diffFeatureRows, formatFeatureRow } from '../Backend/tokenSpec'
+import { formatFeatureName, formatTypedValue } from '../Backend/tokenGrammar'
+import { extractTokensFromNote } from '../Backend/noteExtraction'
+import { interpretTokens } from '../Backend/referenceRanges'
+import { rankByUsage } from '../Backend/usageRanking'
+import { isAmbiguous, isSearchOnly, MATCH_REASONS } from '../Backend/canonicalCandidates'
+import { searchFeatureCatalog } from '../Backend/searchQuery'
+import { buildFeatureTree } from '../Backend/featureTaxonomy'
+import { DEFAULT_UNIT_SYSTEM, normalizeLabToken, withStoredUnit } from '../Backend/labUnits'
+import { BUILT_IN_TEMPLATES, USER_TEMPLATE_PREFIX, templateFeatureType } from '../Backend/diseaseTemplates'
+import {
+  buildPaletteIndex,
+  parsePaletteCommand,
+  searchPaletteLocal,
+  featureItem
+} from '../Backend/commandPalette'
+import {
+  ALIAS_CONFLICT_TYPES,
+  normalizeAlias,
+  findAliasConflicts,
+  findNewAliasConflicts,
+  parseAliasList
+} from '../Backend/aliasRules'
 
 // =====================================================
 // FEATURE SEARCH HOOK
 // =====================================================
 
-export const useFeatureSearch = (initialQuery = '') => {
+// `system` is the system of the disease being edited; suggestions the
+// user has picked before, especially for that system, rank higher
+export const useFeatureSearch = (initialQuery = '', { system = null } = {}) => {
   const [query, setQuery] = useState(initialQuery)
   const [results, setResults] = useState([])
+  const [usage, setUsage] = useState(null)
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
 
-  // Create debounced search function
-  const debouncedSearch = useRef(
-    createDebouncedSearch(searchFeatures, 300)
-  ).current
+  // Ranking works without history, so a failed load is not an error here
+  useEffect(() => {
+    let active = true
+    getFeatureUsage().then(({ data }) => {
+      if (active && data) setUsage(new Map(data))
+    })
+    return () => {
+      active = false
+    }
+  }, [])
+
+  const rankedResults = useMemo(
+    () => rankByUsage(results, usage, { system }),
+    [results, usage, system]
+  )
+
+  const recordPick = useCallback(async (feature) => {
+    const { data: entry } = await recordFeatureUsage(feature.id, system)
+    if (entry) {
+      setUsage(prev => new Map(prev || []).set(feature.id, entry))
+    }
+  }, [system])
+
+  // Callers that drive the query through the argument stay in sync
+  useEffect(() => {
+    setQuery(initialQuery)
+  }, [initialQuery])
+
+  // Debounced search through the shared pipeline; superseded queries
+  // settle as cancelled, so only the latest response is shown
+  const debouncedSearch = useMemo(() => featureSearchPipeline.createDebounced(300), [])
+
+  useEffect(() => debouncedSearch.cancel, [debouncedSearch])
 
   useEffect(() => {
     if (!query.trim()) {
+      debouncedSearch.cancel()
       setResults([])
+      setLoading(false)
       return
     }
 
+    let active = true
+
     const performSearch = async () => {
       setLoading(true)
       setError(null)
 
-      try {
-        const { data, error } = await debouncedSearch(query, 10)
-        if (error) throw error
-        setResults(data || [])
-      } catch (err) {
-        setError(err)
-        setResults([])
-      } finally {
-        setLoading(false)
-      }
+      const { data, error, cancelled } = await debouncedSearch(query, 10)
+      if (cancelled || !active) return
+
+      setError(error)
+      setResults(error ? [] : data || [])
+      setLoading(false)
     }
 
     performSearch()
+
+    return () => {
+      active = false
+    }
   }, [query, debouncedSearch])
 
   const clearSearch = useCallback(() => {
@@ -63,10 +152,169 @@ export const useFeatureSearch = (initialQuery = '') => {
   return {
     query,
     setQuery,
-    results,
+    results: rankedResults,
     loading,
     error,
-    clearSearch
+    clearSearch,
+    recordPick
+  }
+}
+
+// =====================================================
+// FEATURE BROWSER HOOK
+// =====================================================
+
+const BROWSER_RESULT_LIMIT = 200
+
+// Searches the whole feature catalog with the query syntax (type:lab,
+// system:heme, ...). The catalog loads once; each query runs locally.
+export const useFeatureBrowser = (query) => {
+  const [catalog, setCatalog] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const fetchCatalog = useCallback(async () => {
+    setLoading(true)
+    setError(null)
+
+    try {
+      const { data, error } = await getFeatureCatalog()
+      if (error) throw error
+      setCatalog(data)
+    } catch (err) {
+      setError(err)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchCatalog()
+  }, [fetchCatalog])
+
+  const search = useMemo(
+    () => (catalog ? searchFeatureCatalog(catalog, query, BROWSER_RESULT_LIMIT) : null),
+    [catalog, query]
+  )
+
+  const tree = useMemo(() => buildFeatureTree(catalog?.features || []), [catalog])
+
+  // parentId null detaches the feature
+  const setParent = useCallback(async (featureId, parentId) => {
+    const { data, error } = await setFeatureParent(featureId, parentId)
+    if (error) return { data: null, error }
+    await fetchCatalog()
+    return { data, error: null }
+  }, [fetchCatalog])
+
+  return {
+    results: search?.results || [],
+    total: search?.total || 0,
+    facets: search?.facets || null,
+    queryErrors: search?.errors || [],
+    features: catalog?.features || [],
+    tree,
+    loading,
+    error,
+    refetch: fetchCatalog,
+    setParent
+  }
+}
+
+// =====================================================
+// LAB UNIT PREFERENCE HOOK
+// =====================================================
+
+// The user's preferred lab unit system. Every component using this hook
+// follows a change made in any of them.
+export const useLabUnitSystem = () => {
+  const [unitSystem, setUnitSystemState] = useState(DEFAULT_UNIT_SYSTEM)
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    let active = true
+    getLabUnitSystem().then(system => {
+      if (active) setUnitSystemState(system)
+    })
+    const subscription = subscribeToLabUnitSystem(setUnitSystemState)
+
+    return () => {
+      active = false
+      subscription.unsubscribe()
+    }
+  }, [])
+
+  const setUnitSystem = useCallback(async (next) => {
+    const previous = unitSystem
+    setUnitSystemState(next)
+    setSaving(true)
+
+    const { error } = await setLabUnitSystem(next)
+    if (error) setUnitSystemState(previous)
+    setSaving(false)
+    return { error }
+  }, [unitSystem])
+
+  return {
+    unitSystem,
+    setUnitSystem,
+    saving
+  }
+}
+
+// =====================================================
+// REFERENCE RANGES HOOK
+// =====================================================
+
+// A lab feature's stored reference ranges. Without any, the built-in
+// defaults for its name apply (see referenceRanges).
+export const useReferenceRanges = (featureId) => {
+  const [ranges, setRanges] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const fetchRanges = useCallback(async () => {
+    if (!featureId) return
+
+    setLoading(true)
+    setError(null)
+
+    try {
+      const { data, error } = await getReferenceRanges([featureId])
+      if (error) throw error
+      setRanges(data.get(featureId) || [])
+    } catch (err) {
+      setError(err)
+    } finally {
+      setLoading(false)
+    }
+  }, [featureId])
+
+  useEffect(() => {
+    fetchRanges()
+  }, [fetchRanges])
+
+  const saveRange = useCallback(async (range) => {
+    const { data, error } = await saveReferenceRange(featureId, range)
+    if (error) return { data: null, error }
+    setRanges(prev => [...prev.filter(existing => existing.id !== data.id), data])
+    return { data, error: null }
+  }, [featureId])
+
+  const deleteRange = useCallback(async (rangeId) => {
+    const { error } = await deleteReferenceRange(rangeId)
+    if (error) return { error }
+    setRanges(prev => prev.filter(existing => existing.id !== rangeId))
+    return { error: null }
+  }, [])
+
+  return {
+    ranges,
+    loading,
+    error,
+    refetch: fetchRanges,
+    saveRange,
+    deleteRange
   }
 }
 
@@ -74,12 +322,15 @@ export const useFeatureSearch = (initialQuery = '') => {
 // TOKEN PARSING HOOK
 // =====================================================
 
-export const useTokenParser = () => {
+// mode 'server' parses and canonicalizes through the RPC; mode 'client'
+// parses locally into the same shape with canonical fields left null
+export const useTokenParser = ({ mode = 'server' } = {}) => {
   const [parsing, setParsing] = useState(false)
   const [error, setError] = useState(null)
 
   const parseTokens = useCallback(async (tokenString) => {
     if (!tokenString.trim()) return []
+    if (mode === 'client') return parseTokensClient(tokenString)
 
     setParsing(true)
     setError(null)
@@ -94,7 +345,7 @@ export const useTokenParser = () => {
     } finally {
       setParsing(false)
     }
-  }, [])
+  }, [mode])
 
   return {
     parseTokens,
@@ -112,7 +363,8 @@ export const useDiseaseComparison = () => {
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
 
-  const compareSelectedDiseases = useCallback(async (diseaseIds) => {
+  // options: { rollUp } (see compareDiseases)
+  const compareSelectedDiseases = useCallback(async (diseaseIds, options) => {
     if (!diseaseIds || diseaseIds.length === 0) {
       setComparisonData(null)
       return
@@ -122,7 +374,7 @@ export const useDiseaseComparison = () => {
     setError(null)
 
     try {
-      const { data, error } = await compareDiseases(diseaseIds)
+      const { data, error } = await compareDiseases(diseaseIds, options)
       if (error) throw error
       setComparisonData(data)
     } catch (err) {
@@ -176,11 +428,82 @@ export const useDiseases = () => {
     fetchDiseases()
   }, [fetchDiseases])
 
+  // Shown at once; put back if the save fails
+  const updateDisease = useCallback(async (diseaseId, changes) => {
+    const previous = diseases.find(disease => disease.id === diseaseId)
+    setDiseases(prev => prev.map(disease => (
+      disease.id === diseaseId ? { ...disease, ...changes } : disease
+    )))
+
+    const { data, error } = await updateDiseaseRow(diseaseId, changes)
+    setDiseases(prev => prev.map(disease => {
+      if (disease.id !== diseaseId) return disease
+      return error ? previous || disease : { ...disease, ...data }
+    }))
+    return { data, error }
+  }, [diseases])
+
+  // Removed at once; put back in its old place if the delete fails
+  const deleteDisease = useCallback(async (diseaseId) => {
+    const index = diseases.findIndex(disease => disease.id === diseaseId)
+    const removed = diseases[index]
+    setDiseases(prev => prev.filter(disease => disease.id !== diseaseId))
+
+    const { data, error } = await deleteDiseaseRow(diseaseId)
+    if (error && removed) {
+      setDiseases(prev => [...prev.slice(0, index), removed, ...prev.slice(index)])
+    }
+    return { data, error }
+  }, [diseases])
+
+  // Sets `field` to `toValue` at once on the diseases `matches` picks.
+  // If the save fails only those rows get their old value back, so list
+  // changes made while it ran are kept.
+  const renameField = useCallback(async (field, matches, toValue, save) => {
+    const previous = new Map(diseases.filter(matches).map(disease => [disease.id, disease[field]]))
+    const setField = (valueOf) => setDiseases(prev => prev.map(disease => (
+      previous.has(disease.id) ? { ...disease, [field]: valueOf(disease) } : disease
+    )))
+
+    setField(() => toValue)
+    const result = await save()
+    if (result.error) setField(disease => previous.get(disease.id))
+    return result
+  }, [diseases])
+
+  // Renames (or merges) system values on every disease carrying them;
+  // fromValues are stored spellings (see buildSystemTree)
+  const renameSystem = useCallback((fromValues, toValue) => renameField(
+    'system',
+    disease => fromValues.includes(disease.system),
+    toValue,
+    () => renameDiseaseSystem(fromValues, toValue)
+  ), [renameField])
+
+  const renameSubsystem = useCallback((systemValues, fromValues, toValue) => renameField(
+    'subsystem',
+    disease => systemValues.includes(disease.system) && fromValues.includes(disease.subsystem),
+    toValue,
+    () => renameDiseaseSubsystem(systemValues, fromValues, toValue)
+  ), [renameField])
+
+  // The copy gets a new id from the server, so the list is reloaded
+  const duplicateDisease = useCallback(async (diseaseId, name) => {
+    const result = await duplicateDiseaseRow(diseaseId, name)
+    if (!result.error) await fetchDiseases()
+    return result
+  }, [fetchDiseases])
+
   return {
     diseases,
     loading,
     error,
-    refetch: fetchDiseases
+    refetch: fetchDiseases,
+    updateDisease,
+    deleteDisease,
+    renameSystem,
+    renameSubsystem,
+    duplicateDisease
   }
 }
 
@@ -354,15 +677,363 @@ export const useFeatureCanonicalization = () => {
   }
 }
 
+// =====================================================
+// FEATURE ALIAS HOOK
+// =====================================================
+
+export const useFeatureAliases = () => {
+  const [aliases, setAliases] = useState([])
+  const [features, setFeatures] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  const fetchAliases = useCallback(async () => {
+    setLoading(true)
+    setError(null)
+
+    try {
+      const [aliasResult, featureResult] = await Promise.all([getFeatureAliases(), getUserFeatures()])
+      if (aliasResult.error) throw aliasResult.error
+      if (featureResult.error) throw featureResult.error
+      setAliases(aliasResult.data)
+      setFeatures(featureResult.data)
+    } catch (err) {
+      setError(err)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchAliases()
+  }, [fetchAliases])
+
+  const conflicts = useMemo(() => findAliasConflicts(aliases, features), [aliases, features])
+
+  // Runs one API call and reloads; throws so the caller can report it
+  const mutate = useCallback(async (operation) => {
+    setSaving(true)
+    try {
+      const { data, error } = await operation()
+      if (error) throw error
+      await fetchAliases()
+      return data
+    } finally {
+      setSaving(false)
+    }
+  }, [fetchAliases])
+
+  const addAlias = useCallback((featureId, aliasText) => {
+    return mutate(() => createFeatureAlias(featureId, aliasText))
+  }, [mutate])
+
+  const updateAlias = useCallback((aliasId, changes) => {
+    return mutate(() => updateFeatureAlias(aliasId, changes))
+  }, [mutate])
+
+  const removeAlias = useCallback((aliasId) => {
+    return mutate(() => deleteFeatureAlias(aliasId))
+  }, [mutate])
+
+  // Conflicts a new or edited alias would introduce
+  const checkAlias = useCallback((candidate) => {
+    return findNewAliasConflicts(candidate, aliases, features)
+  }, [aliases, features])
+
+  // Parses an alias list and resolves each line's feature, by name first
+  // and then through canonicalization. Rows come back with a status:
+  // 'ready', 'duplicate', 'conflict' or 'unknown_feature'.
+  const previewImport = useCallback(async (text) => {
+    const { entries, errors } = parseAliasList(text)
+    const byName = new Map(features.map(feature => [normalizeAlias(feature.name), feature]))
+    const byId = new Map(features.map(feature => [feature.id, feature]))
+    const accepted = []
+    const rows = []
+
+    for (const entry of entries) {
+      let feature = byName.get(normalizeAlias(entry.featureName))
+      if (!feature) {
+        const { data } = await canonicalizeFeature(entry.featureName)
+        feature = data?.feature_id ? byId.get(data.feature_id) : null
+      }
+
+      if (!feature) {
+        rows.push({ ...entry, feature: null, conflicts: [], status: 'unknown_feature' })
+        continue
+      }
+
+      // Earlier lines of the same list count as existing aliases
+      const candidate = { alias: entry.alias, feature_id: feature.id }
+      const entryConflicts = findNewAliasConflicts(candidate, [...aliases, ...accepted], features)
+      let status = 'ready'
+      if (entryConflicts.some(conflict => conflict.type === ALIAS_CONFLICT_TYPES.DUPLICATE)) {
+        status = 'duplicate'
+      } else if (entryConflicts.length > 0) {
+        status = 'conflict'
+      } else {
+        accepted.push(candidate)
+      }
+
+      rows.push({ ...entry, feature, conflicts: entryConflicts, status })
+    }
+
+    return { rows, errors }
+  }, [aliases, features])
+
+  // Imports the 'ready' rows of a preview in one insert
+  const importAliases = useCallback((rows) => {
+    const ready = rows
+      .filter(row => row.status === 'ready')
+      .map(row => ({ alias: row.alias, feature_id: row.feature.id }))
+    return mutate(() => bulkCreateFeatureAliases(ready))
+  }, [mutate])
+
+  return {
+    aliases,
+    features,
+    conflicts,
+    loading,
+    saving,
+    error,
+    refetch: fetchAliases,
+    addAlias,
+    updateAlias,
+    removeAlias,
+    checkAlias,
+    previewImport,
+    importAliases
+  }
+}
+
+// =====================================================
+// DUPLICATE FEATURES HOOK
+// =====================================================
+
+// Scans for likely duplicate features and merges them. The scan runs
+// on mount and again after every merge.
+export const useDuplicateFeatures = () => {
+  const [groups, setGroups] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [merging, setMerging] = useState(false)
+  const [error, setError] = useState(null)
+
+  const scan = useCallback(async () => {
+    setLoading(true)
+    setError(null)
+
+    try {
+      const { data, error } = await findDuplicateFeatureGroups()
+      if (error) throw error
+      setGroups(data)
+    } catch (err) {
+      setError(err)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    scan()
+  }, [scan])
+
+  const previewMerge = useCallback(async (survivorId, duplicateIds) => {
+    const { data, error } = await previewFeatureMerge(survivorId, duplicateIds)
+    if (error) throw error
+    return data
+  }, [])
+
+  // Throws so the caller can report it
+  const merge = useCallback(async (survivorId, duplicateIds) => {
+    setMerging(true)
+    try {
+      const { data, error } = await mergeFeatures(survivorId, duplicateIds)
+      if (error) throw error
+      await scan()
+      return data
+    } finally {
+      setMerging(false)
+    }
+  }, [scan])
+
+  return {
+    groups,
+    loading,
+    merging,
+    error,
+    scan,
+    previewMerge,
+    merge
+  }
+}
+
+// =====================================================
+// COMMAND PALETTE HOOK
+// =====================================================
+
+// Feature results shown after the local ones
+const PALETTE_FEATURE_LIMIT = 5
+
+// Items for the command palette; `views` are App's navigation items.
+// Mount it with the palette so each opening sees fresh diseases.
+export const useCommandPalette = (query, views) => {
+  const { diseases, loading: diseasesLoading } = useDiseases()
+  const index = useMemo(() => buildPaletteIndex(diseases), [diseases])
+
+  // Typed commands only name diseases, so they skip the feature search
+  const isCommand = parsePaletteCommand(query, index) !== null
+  const { results: features, loading: featuresLoading } = useFeatureSearch(isCommand ? '' : query)
+
+  const items = useMemo(() => [
+    ...searchPaletteLocal(query, index, views),
+    ...(isCommand || !query.trim() ? [] : features.slice(0, PALETTE_FEATURE_LIMIT).map(featureItem))
+  ], [query, index, views, isCommand, features])
+
+  return {
+    items,
+    loading: diseasesLoading || featuresLoading
+  }
+}
+
+// =====================================================
+// NOTE EXTRACTION HOOK
+// =====================================================
+
+// Proposes tokens from a free-text note. Nothing is saved: accepted
+// proposals come back as a token string for the token input.
+export const useNoteExtraction = () => {
+  const [proposals, setProposals] = useState([])
+  const [extracting, setExtracting] = useState(false)
+  const [error, setError] = useState(null)
+
+  const extract = useCallback(async (note) => {
+    setExtracting(true)
+    setError(null)
+
+    try {
+      const extracted = extractTokensFromNote(note)
+
+      const canonicalized = await Promise.all(extracted.map(async (token) => {
+        const { data } = await canonicalizeFeature(token.feature_text)
+        return {
+          ...token,
+          canonical_feature_id: data?.feature_id ?? null,
+          canonical_name: data?.feature_name ?? data?.name ?? null,
+          accepted: true
+        }
+      }))
+
+      setProposals(canonicalized)
+      return canonicalized
+    } catch (err) {
+      setError(err)
+      return null
+    } finally {
+      setExtracting(false)
+    }
+  }, [])
+
+  const toggleProposal = useCallback((index) => {
+    setProposals(prev => prev.map((token, i) =>
+      i === index ? { ...token, accepted: !token.accepted } : token
+    ))
+  }, [])
+
+  const removeProposal = useCallback((index) => {
+    setProposals(prev => prev.filter((_, i) => i !== index))
+  }, [])
+
+  const clearProposals = useCallback(() => {
+    setProposals([])
+    setError(null)
+  }, [])
+
+  // Accepted proposals as tokens, written with the canonical name when known
+  const acceptedTokenString = useMemo(() => {
+    return proposals
+      .filter(token => token.accepted)
+      .map(token => formatFeatureRow({
+        ...token,
+        feature_name: token.canonical_name || token.feature_text
+      }))
+      .join(' ')
+  }, [proposals])
+
+  return {
+    extract,
+    proposals,
+    toggleProposal,
+    removeProposal,
+    clearProposals,
+    acceptedTokenString,
+    extracting,
+    error
+  }
+}
+
 // =====================================================
 // COMPLEX WORKFLOW HOOKS
 // =====================================================
 
+// disease_feature columns for a parsed token; missing qualifiers get defaults
+const toFeatureDetails = (token, alternativeGroupId) => ({
+  value_text: token.value_text,
+  is_present: token.is_present,
+  typicality: token.typicality || 'common',
+  weight: token.weight || 1,
+  is_pathognomonic: token.is_pathognomonic,
+  alternative_group: alternativeGroupId,
+  interpretation: token.interpretation ?? null,
+  unit: token.unit ?? null
+})
+
+// Moves lab values into their stored units (unitless ones are read in
+// the user's preferred system), then reads bare numeric values against
+// the features' stored reference ranges; if those cannot be loaded the
+// built-in defaults still apply
+const interpretParsedTokens = async (tokens) => {
+  const unitSystem = await getLabUnitSystem()
+  const normalized = tokens.map(token => normalizeLabToken(token, unitSystem))
+  const featureIds = [...new Set(normalized.map(token => token.canonical_feature_id).filter(Boolean))]
+  const { data: ranges } = await getReferenceRanges(featureIds)
+  return interpretTokens(normalized, token => ranges?.get(token.canonical_feature_id))
+}
+
+// Matches that outrank whatever the server picked
+const DECISIVE_REASONS = [MATCH_REASONS.USER_ALIAS, MATCH_REASONS.EXACT_NAME]
+
+// Settles a token against its ranked candidates (see
+// canonicalizeParsedTokens). Text that could mean several features
+// ("MS") is held back until the user picks one. A remembered choice or
+// exact name overrides the server's pick, and text the server did not
+// recognise takes the best candidate.
+const resolveTokenCandidates = (token) => {
+  const candidates = token.candidates || []
+  if (candidates.length === 0) return token
+
+  if (isAmbiguous(candidates)) {
+    return {
+      ...token,
+      canonical_feature_id: null,
+      canonical_name: null,
+      ambiguous: true
+    }
+  }
+
+  const [best] = candidates
+  const decisive = best.reasons.some(r => DECISIVE_REASONS.includes(r.type))
+  if (decisive || (!token.canonical_feature_id && !isSearchOnly(best))) {
+    return { ...token, canonical_feature_id: best.feature_id, canonical_name: best.feature_name }
+  }
+  return token
+}
+
 // Hook for the token input workflow (parse → canonicalize → add to disease)
 export const useTokenInputWorkflow = (diseaseId) => {
   const [processing, setProcessing] = useState(false)
   const [results, setResults] = useState([])
   const [error, setError] = useState(null)
+  const [lastSubmission, setLastSubmission] = useState(null)
 
   const processTokenInput = useCallback(async (tokenString) => {
     if (!tokenString.trim() || !diseaseId) return
@@ -371,56 +1042,187 @@ export const useTokenInputWorkflow = (diseaseId) => {
     setError(null)
 
     try {
-      // Parse tokens
-      const { data: parsedTokens, error: parseError } = await parseMedicalTokens(tokenString)
+      // Parsed here so what is saved matches the chip preview; the server
+      // only canonicalizes the feature names
+      const { data: parsedTokens, error: parseError } = await canonicalizeParsedTokens(parseTokensClient(tokenString))
       if (parseError) throw parseError
 
-      // Process each token
-      const processedTokens = []
-      for (const token of parsedTokens || []) {
-        if (token.canonical_feature_id) {
-          // Feature exists, add to disease
-          const featureDetails = {
-            value_text: token.value_modifier || null,
-            is_present: token.is_present,
-            typicality: 'common', // Default, can be adjusted later
-            weight: 1 // Default, can be adjusted later
-          }
+      // Alternation numbers are local to one input; stored groups need ids
+      // that stay unique across submissions
+      const alternativeGroupIds = new Map()
+      const getAlternativeGroupId = (group) => {
+        if (group === null) return null
+        if (!alternativeGroupIds.has(group)) {
+          alternativeGroupIds.set(group, crypto.randomUUID())
+        }
+        return alternativeGroupIds.get(group)
+      }
 
-          const { data: addResult, error: addError } = await addFeatureToDisease(
-            diseaseId,
-            token.canonical_feature_id,
-            featureDetails
-          )
+      // Alternation ids are kept on the token so a later manual
+      // resolution joins the same group
+      const interpretedTokens = await interpretParsedTokens((parsedTokens || []).map(resolveTokenCandidates))
+      const tokens = interpretedTokens.map(token => ({
+        ...token,
+        alternative_group_id: getAlternativeGroupId(token.alternative_group)
+      }))
+      const recognised = tokens.filter(token => token.canonical_feature_id)
+
+      // Checked before anything is sent: one bad token rejects the batch
+      const validationErrors = new Map()
+      const seenFeatureIds = new Set()
+      recognised.forEach(token => {
+        if (seenFeatureIds.has(token.canonical_feature_id)) {
+          validationErrors.set(token, `${token.canonical_name} appears more than once`)
+        }
+        seenFeatureIds.add(token.canonical_feature_id)
+      })
 
-          if (addError) {
-            console.error('Error adding feature to disease:', addError)
-          }
+      let batchError = validationErrors.size > 0
+        ? new Error('Not saved: another token in this submission failed')
+        : null
+      let snapshot = []
+
+      if (!batchError && recognised.length > 0) {
+        // Remember what each link looked like before, for undo
+        const { data: currentRows, error: snapshotError } = await getDiseaseFeatures(diseaseId)
+        if (snapshotError) throw snapshotError
+
+        const current = new Map(currentRows.map(row => [row.feature_id, row]))
+        snapshot = recognised.map(token => ({
+          feature_id: token.canonical_feature_id,
+          previous: current.get(token.canonical_feature_id) || null
+        }))
+
+        // All recognised tokens go in one batch, saved all-or-nothing
+        const { error: saveError } = await batchAddFeaturesToDisease(
+          diseaseId,
+          recognised.map(token => ({
+            feature_id: token.canonical_feature_id,
+            ...toFeatureDetails(token, token.alternative_group_id)
+          }))
+        )
+        batchError = saveError
+      }
 
-          processedTokens.push({
-            ...token,
-            added: !addError,
-            addError: addError?.message
-          })
-        } else {
+      const processedTokens = tokens.map(token => {
+        if (token.ambiguous) {
+          return { ...token, status: 'ambiguous', added: false, needsManualCreation: false }
+        }
+        if (!token.canonical_feature_id) {
           // Feature not found, mark for manual handling
-          processedTokens.push({
+          return { ...token, status: 'unrecognised', added: false, needsManualCreation: true }
+        }
+        if (batchError) {
+          return {
             ...token,
+            status: 'failed',
             added: false,
-            needsManualCreation: true
-          })
+            addError: validationErrors.get(token) || batchError.message
+          }
         }
-      }
+        return { ...token, status: 'added', added: true }
+      })
 
+      setLastSubmission(batchError || recognised.length === 0 ? null : { diseaseId, snapshot })
       setResults(processedTokens)
+      return processedTokens
     } catch (err) {
       setError(err)
       setResults([])
+      return null
     } finally {
       setProcessing(false)
     }
   }, [diseaseId])
 
+  // Restores every link the last submission touched: new links are
+  // removed, overwritten ones get their previous values back
+  const undoLastSubmission = useCallback(async () => {
+    if (!lastSubmission) return false
+
+    setProcessing(true)
+    setError(null)
+
+    try {
+      const { diseaseId: submittedTo, snapshot } = lastSubmission
+      const createdIds = snapshot.filter(entry => !entry.previous).map(entry => entry.feature_id)
+      const previousRows = snapshot.filter(entry => entry.previous).map(entry => entry.previous)
+
+      if (createdIds.length > 0) {
+        const { error: removeError } = await removeFeaturesFromDisease(submittedTo, createdIds)
+        if (removeError) throw removeError
+      }
+      if (previousRows.length > 0) {
+        const { error: restoreError } = await batchAddFeaturesToDisease(submittedTo, previousRows)
+        if (restoreError) throw restoreError
+      }
+
+      setLastSubmission(null)
+      setResults(prev => prev.map(token => (
+        token.status === 'added' ? { ...token, status: 'undone', added: false } : token
+      )))
+      return true
+    } catch (err) {
+      setError(err)
+      throw err
+    } finally {
+      setProcessing(false)
+    }
+  }, [lastSubmission])
+
+  // Links an unrecognised token to a feature and adds it to the disease.
+  // resolution: { type: 'existing' | 'alias', feature } or
+  //             { type: 'create', name, featureType }
+  const resolveToken = useCallback(async (index, resolution) => {
+    const token = results[index]
+    if (!token || !diseaseId) return null
+
+    let feature = resolution.feature
+
+    if (resolution.type === 'create') {
+      const { data, error: createError } = await createFeature({
+        name: resolution.name,
+        type: resolution.featureType
+      })
+      if (createError) throw createError
+      feature = data
+    }
+
+    const { error: addError } = await addFeatureToDisease(
+      diseaseId,
+      feature.id,
+      toFeatureDetails(token, token.alternative_group_id)
+    )
+    if (addError) throw addError
+
+    // Saved only once the link is, so a failed add leaves no stray alias.
+    // An alias that already exists (unique violation) is what was wanted;
+    // any other failure is reported without undoing the link.
+    let aliasError
+    if (resolution.type === 'alias') {
+      const { error } = await createFeatureAlias(feature.id, token.feature_text)
+      if (error && error.code !== '23505') aliasError = error.message
+    }
+
+    const resolved = {
+      ...token,
+      canonical_feature_id: feature.id,
+      canonical_name: feature.name,
+      status: 'added',
+      added: true,
+      addError: undefined,
+      aliasError,
+      needsManualCreation: false,
+      ambiguous: false
+    }
+    setResults(prev => prev.map((t, i) => (i === index ? resolved : t)))
+    return resolved
+  }, [results, diseaseId])
+
+  const removeResult = useCallback((index) => {
+    setResults(prev => prev.filter((_, i) => i !== index))
+  }, [])
+
   const clearResults = useCallback(() => {
     setResults([])
     setError(null)
@@ -428,9 +1230,316 @@ export const useTokenInputWorkflow = (diseaseId) => {
 
   return {
     processTokenInput,
+    resolveToken,
+    removeResult,
+    undoLastSubmission,
+    canUndo: lastSubmission !== null,
     processing,
     results,
     error,
     clearResults
   }
-}
\ No newline at end of file
+}
+
+// Units written out, so older unitless lab values keep their meaning
+// whatever the user's unit preference
+const serializeStoredRows = (rows) => serializeFeatureRows(rows.map(row => ({
+  ...row,
+  value_text: withStoredUnit(row.value_text, row.feature_name)
+})))
+
+// A disease's linked features for the management panel, sorted by
+// name. Edits show at once and are saved one link at a time through
+// addFeatureToDisease; a failed save puts the row back.
+export const useDiseaseFeatures = (diseaseId) => {
+  const [features, setFeatures] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const fetchFeatures = useCallback(async () => {
+    if (!diseaseId) {
+      setFeatures([])
+      return
+    }
+
+    setLoading(true)
+    setError(null)
+
+    try {
+      const { data, error } = await getDiseaseFeatures(diseaseId)
+      if (error) throw error
+      setFeatures((data || []).sort((a, b) => (a.feature_name || '').localeCompare(b.feature_name || '')))
+    } catch (err) {
+      setError(err)
+      setFeatures([])
+    } finally {
+      setLoading(false)
+    }
+  }, [diseaseId])
+
+  // Another disease's rows must not show while this one's load
+  useEffect(() => {
+    setFeatures([])
+  }, [diseaseId])
+
+  useEffect(() => {
+    fetchFeatures()
+  }, [fetchFeatures])
+
+  const replaceRow = (featureId, row) => {
+    setFeatures(prev => prev.map(feature => (feature.feature_id === featureId ? row : feature)))
+  }
+
+  // changes: any of is_present, value_text, typicality, weight,
+  // is_pathognomonic. A new value_text is normalized to stored lab units
+  // and re-interpreted, as if it had been typed as a token.
+  const updateFeature = useCallback(async (featureId, changes) => {
+    const current = features.find(feature => feature.feature_id === featureId)
+    if (!current) return { data: null, error: new Error('Feature is not linked to this disease') }
+
+    let details = changes
+    if (changes.value_text !== undefined) {
+      const [token] = parseTokensClient(formatFeatureName(current.feature_name) + formatTypedValue(changes.value_text))
+      if (!token) return { data: null, error: new Error(`Could not read "${changes.value_text}"`) }
+      const [interpreted] = await interpretParsedTokens([{
+        ...token,
+        canonical_feature_id: featureId,
+        canonical_name: current.feature_name
+      }])
+      details = {
+        ...changes,
+        value_text: interpreted?.value_text ?? null,
+        unit: interpreted?.unit ?? null,
+        interpretation: interpreted?.interpretation ?? null
+      }
+    }
+
+    replaceRow(featureId, { ...current, ...details })
+    const { data, error } = await addFeatureToDisease(diseaseId, featureId, details)
+    replaceRow(featureId, error ? current : { ...current, ...data })
+    return { data, error }
+  }, [diseaseId, features])
+
+  const removeFeature = useCallback(async (featureId) => {
+    const index = features.findIndex(feature => feature.feature_id === featureId)
+    const removed = features[index]
+    setFeatures(prev => prev.filter(feature => feature.feature_id !== featureId))
+
+    const { data, error } = await removeFeatureFromDisease(diseaseId, featureId)
+    if (error && removed) {
+      setFeatures(prev => [...prev.slice(0, index), removed, ...prev.slice(index)])
+    }
+    return { data, error }
+  }, [diseaseId, features])
+
+  return {
+    features,
+    loading,
+    error,
+    refetch: fetchFeatures,
+    updateFeature,
+    removeFeature
+  }
+}
+
+// Links a template's features to a disease. Tokens resolve like typed
+// ones, in one lookup; features the user does not have yet are created
+// first, and the links are saved in one batch.
+// Returns { added, created, failed }.
+const applyTemplateTokens = async (diseaseId, template) => {
+  const parsed = parseTokensClient(template.tokens)
+  const created = []
+  const failed = []
+
+  // A lookup that did not answer says nothing about which features
+  // exist, so nothing is created from it
+  const { data: tokens, error: lookupError } = await canonicalizeParsedTokens(parsed)
+  if (lookupError) {
+    return { added: 0, created, failed: parsed.map(token => ({ feature_text: token.feature_text, error: lookupError })) }
+  }
+
+  const resolved = []
+  for (const token of tokens.map(resolveTokenCandidates)) {
+    if (token.canonical_feature_id) {
+      resolved.push(token)
+      continue
+    }
+    if (token.ambiguous) {
+      failed.push({ feature_text: token.feature_text, error: new Error(`${token.feature_text} matches several features`) })
+      continue
+    }
+
+    const { data, error } = await createFeature({
+      name: token.feature_text,
+      type: templateFeatureType(template, token.feature_text)
+    })
+    if (error) {
+      failed.push({ feature_text: token.feature_text, error })
+      continue
+    }
+    created.push(data)
+    resolved.push({ ...token, canonical_feature_id: data.id, canonical_name: data.name })
+  }
+
+  const { adds } = diffFeatureRows([], await interpretParsedTokens(resolved))
+  if (adds.length === 0) return { added: 0, created, failed }
+
+  const { error } = await batchAddFeaturesToDisease(diseaseId, adds)
+  if (error) {
+    adds.forEach(({ feature_id }) => failed.push({ feature_id, error }))
+    return { added: 0, created, failed }
+  }
+  return { added: adds.length, created, failed }
+}
+
+// Built-in and user templates for new diseases (see diseaseTemplates)
+export const useDiseaseTemplates = () => {
+  const [userTemplates, setUserTemplates] = useState([])
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    getUserDiseaseTemplates().then(setUserTemplates)
+  }, [])
+
+  const templates = useMemo(() => [...BUILT_IN_TEMPLATES, ...userTemplates], [userTemplates])
+
+  const saveTemplates = useCallback(async (next) => {
+    setSaving(true)
+    try {
+      const result = await setUserDiseaseTemplates(next)
+      if (!result.error) setUserTemplates(result.data)
+      return result
+    } finally {
+      setSaving(false)
+    }
+  }, [])
+
+  // Saves a disease's current features, in stored units, as a template
+  const saveTemplateFromDisease = useCallback(async (disease, name) => {
+    const { data: rows, error } = await getDiseaseFeatures(disease.id)
+    if (error) return { data: null, error }
+
+    return saveTemplates([...userTemplates, {
+      id: `${USER_TEMPLATE_PREFIX}${crypto.randomUUID()}`,
+      name,
+      description: `From ${disease.name} (${rows.length} features)`,
+      system: disease.system,
+      subsystem: disease.subsystem,
+      tokens: serializeStoredRows(rows),
+      feature_types: Object.fromEntries(rows.map(row => [row.feature_name, row.feature_type]))
+    }])
+  }, [userTemplates, saveTemplates])
+
+  const deleteTemplate = useCallback(async (templateId) => {
+    return saveTemplates(userTemplates.filter(template => template.id !== templateId))
+  }, [userTemplates, saveTemplates])
+
+  return {
+    templates,
+    saving,
+    saveTemplateFromDisease,
+    deleteTemplate,
+    applyTemplate: applyTemplateTokens
+  }
+}
+
+// Hook for editing a disease's features as one token string
+// (serialize → edit → diff → adds/updates/removals)
+export const useDiseaseFeatureEditor = (diseaseId) => {
+  const [rows, setRows] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  const loadFeatures = useCallback(async () => {
+    if (!diseaseId) return []
+
+    setLoading(true)
+    setError(null)
+
+    try {
+      const { data, error } = await getDiseaseFeatures(diseaseId)
+      if (error) throw error
+      setRows(data || [])
+      return data || []
+    } catch (err) {
+      setError(err)
+      setRows([])
+      return []
+    } finally {
+      setLoading(false)
+    }
+  }, [diseaseId])
+
+  const tokenString = useMemo(() => serializeStoredRows(rows), [rows])
+
+  const saveTokenString = useCallback(async (text) => {
+    if (!diseaseId) return null
+
+    setSaving(true)
+    setError(null)
+
+    try {
+      // Features already on the disease resolve by name; the rest go
+      // through the same batched canonicalization as token input, so
+      // ambiguous text ("MS") is held back rather than guessed
+      const knownIds = new Map(rows.map(row => [row.feature_name?.toLowerCase(), row.feature_id]))
+      const tokens = parseTokensClient(text)
+      const unknown = tokens.filter(token => !knownIds.has(token.feature_text.toLowerCase()))
+
+      const { data: canonicalized, error: canonicalError } = await canonicalizeParsedTokens(unknown)
+      if (canonicalError) throw canonicalError
+
+      const settled = new Map(unknown.map((token, index) => [token, resolveTokenCandidates(canonicalized[index])]))
+      const resolved = []
+      const unresolved = []
+
+      tokens.forEach(token => {
+        const knownId = knownIds.get(token.feature_text.toLowerCase())
+        const match = knownId ? { ...token, canonical_feature_id: knownId } : settled.get(token)
+        if (match.canonical_feature_id) resolved.push(match)
+        else unresolved.push(match)
+      })
+
+      // Saving without them would delete their rows, so stop here
+      if (unresolved.length > 0) {
+        return { adds: [], updates: [], removals: [], unchanged: 0, unresolved, failed: [] }
+      }
+
+      // One batch for adds and updates, one statement for removals; the
+      // removals are skipped if the batch fails so nothing is half-saved
+      const diff = diffFeatureRows(rows, await interpretParsedTokens(resolved))
+      const changes = [...diff.adds, ...diff.updates]
+      const failed = []
+
+      if (changes.length > 0) {
+        const { error } = await batchAddFeaturesToDisease(diseaseId, changes)
+        if (error) changes.forEach(({ feature_id }) => failed.push({ feature_id, error }))
+      }
+
+      if (failed.length === 0 && diff.removals.length > 0) {
+        const { error } = await removeFeaturesFromDisease(diseaseId, diff.removals)
+        if (error) diff.removals.forEach(featureId => failed.push({ feature_id: featureId, error }))
+      }
+
+      await loadFeatures()
+      return { ...diff, unresolved, failed }
+    } catch (err) {
+      setError(err)
+      throw err
+    } finally {
+      setSaving(false)
+    }
+  }, [diseaseId, rows, loadFeatures])
+
+  return {
+    rows,
+    tokenString,
+    serializeRows: serializeStoredRows,
+    loading,
+    saving,
+    error,
+    loadFeatures,
+    saveTokenString
+  }
+}
@@ -0,0 +1,421 @@
+// src/components/AliasManager.jsx
+import { useState } from 'react'
+import { Plus, Search, Trash2, Edit3, Save, X, AlertTriangle, Upload, Tag } from 'lucide-react'
+import { useFeatureAliases } from '../Backend/useApi'
+import { ALIAS_CONFLICT_TYPES } from '../Backend/aliasRules'
+import toast from 'react-hot-toast'
+
+// Conflicts that would make an alias resolve wrongly; shadowing is a warning
+const BLOCKING_CONFLICTS = [ALIAS_CONFLICT_TYPES.DUPLICATE, ALIAS_CONFLICT_TYPES.AMBIGUOUS]
+
+const IMPORT_STATUS_STYLES = {
+  ready: 'bg-green-100 text-green-800',
+  duplicate: 'bg-gray-100 text-gray-600',
+  conflict: 'bg-amber-100 text-amber-800',
+  unknown_feature: 'bg-red-100 text-red-800'
+}
+
+const IMPORT_STATUS_LABELS = {
+  ready: 'Ready',
+  duplicate: 'Already exists',
+  conflict: 'Conflict',
+  unknown_feature: 'Unknown feature'
+}
+
+function FeatureSelect({ features, value, onChange, disabled }) {
+  return (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      disabled={disabled}
+      className="px-3 py-2 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+    >
+      <option value="">Select feature...</option>
+      {features.map(feature => (
+        <option key={feature.id} value={feature.id}>
+          {feature.name} ({feature.type})
+        </option>
+      ))}
+    </select>
+  )
+}
+
+export default function AliasManager() {
+  const [searchTerm, setSearchTerm] = useState('')
+  const [newAlias, setNewAlias] = useState('')
+  const [newFeatureId, setNewFeatureId] = useState('')
+  const [editing, setEditing] = useState(null)
+  const [showImport, setShowImport] = useState(false)
+
+  const {
+    aliases,
+    features,
+    conflicts,
+    loading,
+    saving,
+    addAlias,
+    updateAlias,
+    removeAlias,
+    checkAlias,
+    previewImport,
+    importAliases
+  } = useFeatureAliases()
+
+  const conflictingIds = new Set(conflicts.flatMap(conflict => conflict.aliasIds))
+
+  const filteredAliases = aliases.filter(alias =>
+    alias.alias.toLowerCase().includes(searchTerm.toLowerCase()) ||
+    alias.feature_name?.toLowerCase().includes(searchTerm.toLowerCase())
+  )
+
+  const newConflicts = newAlias.trim() && newFeatureId
+    ? checkAlias({ alias: newAlias, feature_id: newFeatureId })
+    : []
+  const newBlocked = newConflicts.some(conflict => BLOCKING_CONFLICTS.includes(conflict.type))
+
+  const handleAdd = async (e) => {
+    e.preventDefault()
+    if (!newAlias.trim() || !newFeatureId || newBlocked) return
+
+    try {
+      await addAlias(newFeatureId, newAlias)
+      toast.success(`Added alias "${newAlias.trim()}"`)
+      setNewAlias('')
+    } catch (error) {
+      toast.error('Error adding alias: ' + error.message)
+    }
+  }
+
+  const handleSaveEdit = async () => {
+    const conflictsAfterEdit = checkAlias({ id: editing.id, alias: editing.alias, feature_id: editing.feature_id })
+    if (conflictsAfterEdit.some(conflict => BLOCKING_CONFLICTS.includes(conflict.type))) {
+      toast.error(conflictsAfterEdit[0].message)
+      return
+    }
+
+    try {
+      await updateAlias(editing.id, { alias: editing.alias, feature_id: editing.feature_id })
+      toast.success('Alias updated')
+      setEditing(null)
+    } catch (error) {
+      toast.error('Error updating alias: ' + error.message)
+    }
+  }
+
+  const handleDelete = async (alias) => {
+    try {
+      await removeAlias(alias.id)
+      toast.success(`Deleted alias "${alias.alias}"`)
+    } catch (error) {
+      toast.error('Error deleting alias: ' + error.message)
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Aliases & Abbreviations</h2>
+          <p className="text-gray-600">
+            Your own names for features, used when parsing tokens and in autocomplete
+          </p>
+        </div>
+        <button
+          onClick={() => setShowImport(true)}
+          className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded hover:bg-gray-50 transition-colors"
+        >
+          <Upload className="w-4 h-4" />
+          Bulk Import
+        </button>
+      </div>
+
+      {/* Add Alias */}
+      <form onSubmit={handleAdd} className="bg-white rounded-lg shadow p-4 space-y-2">
+        <div className="flex flex-wrap items-center gap-2">
+          <input
+            type="text"
+            value={newAlias}
+            onChange={(e) => setNewAlias(e.target.value)}
+            placeholder="Alias, e.g. SOB"
+            className="flex-1 min-w-40 px-3 py-2 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            disabled={saving}
+          />
+          <span className="text-gray-400">→</span>
+          <FeatureSelect features={features} value={newFeatureId} onChange={setNewFeatureId} disabled={saving} />
+          <button
+            type="submit"
+            disabled={!newAlias.trim() || !newFeatureId || newBlocked || saving}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
+          >
+            <Plus className="w-4 h-4" />
+            Add
+          </button>
+        </div>
+        {newConflicts.map((conflict, index) => (
+          <div
+            key={index}
+            className={`flex items-center gap-2 text-sm ${
+              BLOCKING_CONFLICTS.includes(conflict.type) ? 'text-red-600' : 'text-amber-600'
+            }`}
+          >
+            <AlertTriangle className="w-4 h-4" />
+            {conflict.message}
+          </div>
+        ))}
+      </form>
+
+      {/* Conflicts */}
+      {conflicts.length > 0 && (
+        <div className="bg-amber-50 border border-amber-200 rounded-lg p-4">
+          <h3 className="flex items-center gap-2 font-semibold text-amber-800 mb-2">
+            <AlertTriangle className="w-4 h-4" />
+            {conflicts.length} conflicting alias{conflicts.length === 1 ? '' : 'es'}
+          </h3>
+          <ul className="space-y-1 text-sm text-amber-800">
+            {conflicts.map((conflict, index) => (
+              <li key={index}>{conflict.message}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Alias List */}
+      <div className="bg-white rounded-lg shadow">
+        <div className="p-4 border-b border-gray-200 flex items-center justify-between gap-4">
+          <h3 className="font-semibold text-gray-900">Aliases ({filteredAliases.length})</h3>
+          <div className="relative flex-1 max-w-xs">
+            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
+            <input
+              type="text"
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              placeholder="Filter aliases..."
+              className="w-full pl-10 pr-4 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+        </div>
+
+        {loading ? (
+          <div className="p-4 space-y-3">
+            {[1, 2, 3].map(i => (
+              <div key={i} className="animate-pulse">
+                <div className="h-10 bg-gray-200 rounded"></div>
+              </div>
+            ))}
+          </div>
+        ) : filteredAliases.length === 0 ? (
+          <div className="p-8 text-center text-gray-500">
+            <Tag className="w-8 h-8 mx-auto mb-2 text-gray-300" />
+            {searchTerm ? 'No aliases match your filter' : 'No aliases yet'}
+          </div>
+        ) : (
+          <div className="divide-y divide-gray-100">
+            {filteredAliases.map(alias => (
+              <div
+                key={alias.id}
+                className={`flex items-center gap-3 px-4 py-3 ${conflictingIds.has(alias.id) ? 'bg-amber-50' : ''}`}
+              >
+                {editing?.id === alias.id ? (
+                  <>
+                    <input
+                      type="text"
+                      value={editing.alias}
+                      onChange={(e) => setEditing(prev => ({ ...prev, alias: e.target.value }))}
+                      className="flex-1 px-3 py-2 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      disabled={saving}
+                    />
+                    <FeatureSelect
+                      features={features}
+                      value={editing.feature_id}
+                      onChange={(featureId) => setEditing(prev => ({ ...prev, feature_id: featureId }))}
+                      disabled={saving}
+                    />
+                    <button
+                      onClick={handleSaveEdit}
+                      disabled={!editing.alias.trim() || !editing.feature_id || saving}
+                      className="p-2 text-blue-500 hover:bg-blue-50 rounded disabled:opacity-50"
+                      title="Save"
+                    >
+                      <Save className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => setEditing(null)}
+                      className="p-2 text-gray-500 hover:bg-gray-100 rounded"
+                      title="Cancel"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    <div className="flex-1 min-w-0">
+                      <span className="font-medium text-gray-900">{alias.alias}</span>
+                      <span className="text-gray-400 mx-2">→</span>
+                      <span className="text-gray-700">{alias.feature_name || 'Unknown feature'}</span>
+                      {alias.feature_type && (
+                        <span className="text-xs text-gray-500 ml-2">({alias.feature_type})</span>
+                      )}
+                    </div>
+                    {conflictingIds.has(alias.id) && (
+                      <AlertTriangle className="w-4 h-4 text-amber-500" title="Conflicting alias" />
+                    )}
+                    <button
+                      onClick={() => setEditing({ id: alias.id, alias: alias.alias, feature_id: alias.feature_id })}
+                      className="p-2 text-gray-500 hover:bg-gray-100 rounded"
+                      title="Edit"
+                    >
+                      <Edit3 className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(alias)}
+                      disabled={saving}
+                      className="p-2 text-red-500 hover:bg-red-50 rounded disabled:opacity-50"
+                      title="Delete"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Bulk Import Modal */}
+      {showImport && (
+        <AliasImportModal
+          previewImport={previewImport}
+          importAliases={importAliases}
+          saving={saving}
+          onClose={() => setShowImport(false)}
+        />
+      )}
+    </div>
+  )
+}
+
+// Paste an alias list, preview how each line resolves, import the ready ones
+function AliasImportModal({ previewImport, importAliases, saving, onClose }) {
+  const [text, setText] = useState('')
+  const [preview, setPreview] = useState(null)
+  const [previewing, setPreviewing] = useState(false)
+
+  const readyCount = preview?.rows.filter(row => row.status === 'ready').length || 0
+
+  const handlePreview = async () => {
+    setPreviewing(true)
+    try {
+      setPreview(await previewImport(text))
+    } catch (error) {
+      toast.error('Error reading alias list: ' + error.message)
+    } finally {
+      setPreviewing(false)
+    }
+  }
+
+  const handleImport = async () => {
+    try {
+      await importAliases(preview.rows)
+      toast.success(`Imported ${readyCount} aliases`)
+      onClose()
+    } catch (error) {
+      toast.error('Error importing aliases: ' + error.message)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6 border-b border-gray-200">
+          <div className="flex items-center justify-between">
+            <h2 className="text-xl font-bold">Bulk Import Aliases</h2>
+            <button
+              onClick={onClose}
+              className="p-2 hover:bg-gray-100 rounded-full transition-colors"
+            >
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              One alias per line
+            </label>
+            <textarea
+              value={text}
+              onChange={(e) => {
+                setText(e.target.value)
+                setPreview(null)
+              }}
+              rows={8}
+              placeholder={'SOB → Dyspnea\nHb = Hemoglobin\nCP, Chest pain'}
+              className="w-full px-3 py-2 font-mono text-sm border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Separate alias and feature with →, -&gt;, =, a comma, a colon or a tab. Lines starting with # are skipped.
+            </p>
+          </div>
+
+          {preview && (
+            <div className="space-y-2">
+              {preview.errors.map(error => (
+                <div key={`error-${error.line}`} className="flex items-center gap-2 text-sm text-red-600">
+                  <AlertTriangle className="w-4 h-4" />
+                  Line {error.line}: {error.message}
+                </div>
+              ))}
+              <div className="divide-y divide-gray-100 border border-gray-200 rounded">
+                {preview.rows.map(row => (
+                  <div key={row.line} className="flex items-center gap-3 px-3 py-2 text-sm">
+                    <span className="text-gray-400 w-8">{row.line}</span>
+                    <span className="flex-1">
+                      <span className="font-medium">{row.alias}</span>
+                      <span className="text-gray-400 mx-2">→</span>
+                      {row.feature?.name || row.featureName}
+                    </span>
+                    <span
+                      className={`text-xs px-2 py-0.5 rounded ${IMPORT_STATUS_STYLES[row.status]}`}
+                      title={row.conflicts.map(conflict => conflict.message).join('\n')}
+                    >
+                      {IMPORT_STATUS_LABELS[row.status]}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="flex justify-end gap-3 pt-4 border-t">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            {preview ? (
+              <button
+                onClick={handleImport}
+                disabled={readyCount === 0 || saving}
+                className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
+              >
+                {saving ? 'Importing...' : `Import ${readyCount} aliases`}
+              </button>
+            ) : (
+              <button
+                onClick={handlePreview}
+                disabled={!text.trim() || previewing}
+                className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
+              >
+                {previewing ? 'Checking...' : 'Preview'}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
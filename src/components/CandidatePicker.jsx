@@ -0,0 +1,105 @@
+// src/components/CandidatePicker.jsx
+import { useState } from 'react'
+import { X, Check, HelpCircle } from 'lucide-react'
+import toast from 'react-hot-toast'
+
+// Lets the user choose between the features ambiguous text could mean.
+// The choice is remembered as an alias unless the user opts out.
+export default function CandidatePicker({ token, onResolve, onNoneMatch, onCancel }) {
+  const [remember, setRemember] = useState(true)
+  const [resolving, setResolving] = useState(false)
+
+  const pick = async (candidate) => {
+    setResolving(true)
+    try {
+      await onResolve({
+        type: remember ? 'alias' : 'existing',
+        feature: {
+          id: candidate.feature_id,
+          name: candidate.feature_name,
+          type: candidate.feature_type
+        }
+      })
+    } catch (error) {
+      console.error('Error resolving token:', error)
+      toast.error('Error resolving token: ' + error.message)
+    } finally {
+      setResolving(false)
+    }
+  }
+
+  return (
+    <div className="border border-yellow-200 rounded-lg bg-white shadow-sm">
+      <div className="flex items-center justify-between px-4 py-2 border-b border-yellow-100 bg-yellow-50 rounded-t-lg">
+        <span className="text-sm text-yellow-800">
+          Which feature is <strong>{token.feature_text}</strong>?
+        </span>
+        <button
+          onClick={onCancel}
+          className="p-1 hover:bg-yellow-100 rounded-full transition-colors"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="p-4 space-y-3">
+        <div className="divide-y divide-gray-100">
+          {(token.candidates || []).map(candidate => (
+            <div key={candidate.feature_id} className="flex items-center justify-between gap-4 py-2">
+              <div className="min-w-0 flex-1">
+                <div>
+                  <span className="font-medium text-sm">{candidate.feature_name}</span>
+                  {candidate.feature_type && (
+                    <span className="text-xs text-gray-500 ml-2">({candidate.feature_type})</span>
+                  )}
+                </div>
+                <div className="text-xs text-gray-500 truncate">
+                  {candidate.reasons.map(r => r.label).join(', ')}
+                </div>
+              </div>
+              <div className="flex items-center gap-2 w-28" title="Confidence">
+                <div className="flex-1 h-1.5 bg-gray-100 rounded-full overflow-hidden">
+                  <div
+                    className="h-full bg-yellow-500"
+                    style={{ width: `${Math.round(candidate.confidence * 100)}%` }}
+                  />
+                </div>
+                <span className="text-xs text-gray-600 w-8 text-right">
+                  {Math.round(candidate.confidence * 100)}%
+                </span>
+              </div>
+              <button
+                onClick={() => pick(candidate)}
+                disabled={resolving}
+                className="flex items-center gap-1 px-2 py-1 text-xs border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50"
+              >
+                <Check className="w-3 h-3" />
+                Use
+              </button>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex items-center justify-between text-sm">
+          <label className="flex items-center gap-2 text-gray-700">
+            <input
+              type="checkbox"
+              checked={remember}
+              onChange={(e) => setRemember(e.target.checked)}
+              className="rounded border-gray-300"
+            />
+            Remember my choice for "{token.feature_text}"
+          </label>
+          <button
+            onClick={onNoneMatch}
+            disabled={resolving}
+            className="flex items-center gap-1 text-gray-600 hover:text-gray-800 disabled:opacity-50"
+          >
+            <HelpCircle className="w-4 h-4" />
+            None of these
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,137 @@
+// src/components/CommandPalette.jsx
+import { useState, useEffect, useRef } from 'react'
+import { Search, Zap, ArrowRight, FileText, Layers, Tag } from 'lucide-react'
+import { useCommandPalette } from '../Backend/useApi'
+import { PALETTE_ITEM_KINDS } from '../Backend/commandPalette'
+
+const KIND_ICONS = {
+  [PALETTE_ITEM_KINDS.ACTION]: <Zap className="w-4 h-4 text-amber-500" />,
+  [PALETTE_ITEM_KINDS.VIEW]: <ArrowRight className="w-4 h-4 text-gray-500" />,
+  [PALETTE_ITEM_KINDS.DISEASE]: <FileText className="w-4 h-4 text-blue-500" />,
+  [PALETTE_ITEM_KINDS.SYSTEM]: <Layers className="w-4 h-4 text-purple-500" />,
+  [PALETTE_ITEM_KINDS.FEATURE]: <Tag className="w-4 h-4 text-green-500" />
+}
+
+const KIND_LABELS = {
+  [PALETTE_ITEM_KINDS.ACTION]: 'Action',
+  [PALETTE_ITEM_KINDS.VIEW]: 'View',
+  [PALETTE_ITEM_KINDS.DISEASE]: 'Disease',
+  [PALETTE_ITEM_KINDS.SYSTEM]: 'System',
+  [PALETTE_ITEM_KINDS.FEATURE]: 'Feature'
+}
+
+// Ctrl/Cmd+K palette: search diseases, systems and features, or type a
+// command such as "compare anemia with thalassemia"
+export default function CommandPalette({ views, onNavigate, onClose }) {
+  const [query, setQuery] = useState('')
+  const [activeIndex, setActiveIndex] = useState(0)
+  const inputRef = useRef(null)
+  const listRef = useRef(null)
+
+  const { items, loading } = useCommandPalette(query, views)
+
+  useEffect(() => {
+    inputRef.current?.focus()
+  }, [])
+
+  useEffect(() => {
+    setActiveIndex(0)
+  }, [query])
+
+  // Keep the highlighted item in view
+  useEffect(() => {
+    listRef.current?.children[activeIndex]?.scrollIntoView({ block: 'nearest' })
+  }, [activeIndex])
+
+  const pick = (item) => {
+    onNavigate(item.target)
+    onClose()
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      setActiveIndex(prev => Math.min(prev + 1, items.length - 1))
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      setActiveIndex(prev => Math.max(prev - 1, 0))
+    } else if (e.key === 'Enter') {
+      e.preventDefault()
+      if (items[activeIndex]) pick(items[activeIndex])
+    } else if (e.key === 'Escape') {
+      e.preventDefault()
+      onClose()
+    }
+  }
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-start justify-center pt-24 p-4 z-50"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-lg shadow-xl w-full max-w-xl overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-label="Command palette"
+      >
+        <div className="relative border-b border-gray-200">
+          <Search className="absolute left-4 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
+          <input
+            ref={inputRef}
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder="Search diseases, systems, features... or type a command"
+            className="w-full pl-11 pr-4 py-3 outline-none"
+            role="combobox"
+            aria-expanded={items.length > 0}
+            aria-controls="command-palette-results"
+            aria-activedescendant={items[activeIndex] ? `palette-${items[activeIndex].id}` : undefined}
+          />
+          {loading && (
+            <div className="absolute right-4 top-1/2 transform -translate-y-1/2">
+              <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-500"></div>
+            </div>
+          )}
+        </div>
+
+        {items.length === 0 ? (
+          <div className="p-6 text-center text-sm text-gray-500">
+            {loading ? 'Searching...' : 'No matches'}
+          </div>
+        ) : (
+          <ul id="command-palette-results" ref={listRef} role="listbox" className="max-h-80 overflow-y-auto py-1">
+            {items.map((item, index) => (
+              <li
+                key={item.id}
+                id={`palette-${item.id}`}
+                role="option"
+                aria-selected={index === activeIndex}
+                onMouseEnter={() => setActiveIndex(index)}
+                onClick={() => pick(item)}
+                className={`flex items-center gap-3 px-4 py-2 cursor-pointer ${
+                  index === activeIndex ? 'bg-blue-50' : ''
+                }`}
+              >
+                {KIND_ICONS[item.kind]}
+                <div className="flex-1 min-w-0">
+                  <div className="text-sm font-medium text-gray-900 truncate">{item.label}</div>
+                  {item.detail && (
+                    <div className="text-xs text-gray-500 truncate">{item.detail}</div>
+                  )}
+                </div>
+                <span className="text-xs text-gray-400">{KIND_LABELS[item.kind]}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="px-4 py-2 border-t border-gray-200 bg-gray-50 text-xs text-gray-500">
+          Try "compare anemia with thalassemia" or "add features to CKD" • ↑↓ to move • Enter to open • Esc to close
+        </div>
+      </div>
+    </div>
+  )
+}
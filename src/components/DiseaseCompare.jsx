@@ -1,27 +1,50 @@
 // src/components/DiseaseCompare.jsx
 import { useState, useEffect, useMemo } from 'react'
-import { ChevronDown, Filter, Download, Eye, EyeOff, AlertTriangle, Check } from 'lucide-react'
-import { useDiseases, useDiseaseComparison, useExport } from '../Backend/useApi'
+import { ChevronDown, ChevronRight, Filter, Download, Eye, EyeOff, AlertTriangle, Check } from 'lucide-react'
+import { useDiseases, useDiseaseComparison, useExport, useLabUnitSystem } from '../Backend/useApi'
+import { displayLabValue } from '../Backend/labUnits'
 import QuickPeek from './QuickPeek'
 import toast from 'react-hot-toast'
 
-export default function DiseaseCompare() {
-  const [selectedDiseases, setSelectedDiseases] = useState([])
+// initialDiseaseIds: diseases to start with, e.g. from the command palette
+export default function DiseaseCompare({ initialDiseaseIds = [] }) {
+  const [selectedDiseases, setSelectedDiseases] = useState(() => initialDiseaseIds.slice(0, 3))
   const [showDifferencesOnly, setShowDifferencesOnly] = useState(false)
   const [showHighYieldOnly, setShowHighYieldOnly] = useState(false)
+  const [rollUpChildren, setRollUpChildren] = useState(false)
+  const [expandedRollups, setExpandedRollups] = useState(() => new Set())
   const [quickPeekTarget, setQuickPeekTarget] = useState(null)
   const [quickPeekPosition, setQuickPeekPosition] = useState({ x: 0, y: 0 })
 
   const { diseases, loading: diseasesLoading } = useDiseases()
   const { comparisonData, loading: comparing, compareSelectedDiseases } = useDiseaseComparison()
   const { exportData, exporting } = useExport()
+  const { unitSystem } = useLabUnitSystem()
 
   // Trigger comparison when diseases are selected
   useEffect(() => {
     if (selectedDiseases.length >= 2) {
-      compareSelectedDiseases(selectedDiseases)
+      compareSelectedDiseases(selectedDiseases, { rollUp: rollUpChildren })
     }
-  }, [selectedDiseases, compareSelectedDiseases])
+  }, [selectedDiseases, rollUpChildren, compareSelectedDiseases])
+
+  const toggleRollup = (featureId) => {
+    setExpandedRollups(prev => {
+      const next = new Set(prev)
+      if (next.has(featureId)) next.delete(featureId)
+      else next.add(featureId)
+      return next
+    })
+  }
+
+  // A rolled-up row followed, when expanded, by the rows folded into it
+  const rowsToShow = (feature) => {
+    if (!feature.is_rollup || !expandedRollups.has(feature.feature_id)) return [{ feature, depth: 0 }]
+    return [
+      { feature, depth: 0 },
+      ...[feature.own_row, ...feature.children].filter(Boolean).map(child => ({ feature: child, depth: 1, parentId: feature.feature_id }))
+    ]
+  }
 
   // Filter comparison data based on toggles
   const filteredData = useMemo(() => {
@@ -161,7 +184,7 @@ const handleExport = async () => {
           <div className="flex-1">
             {diseaseData.value_text && (
               <span className="font-medium text-gray-900">
-                {diseaseData.value_text}
+                {displayLabValue(diseaseData.value_text, featureName, unitSystem)}
               </span>
             )}
             <div className="flex items-center gap-1 mt-1">
@@ -217,17 +240,41 @@ const handleExport = async () => {
               </tr>
             </thead>
             <tbody className="divide-y divide-gray-200">
-              {data.map((feature, index) => {
+              {data.flatMap(rowsToShow).map(({ feature, depth, parentId }) => {
                 const diseaseMap = new Map()
                 feature.disease_data.forEach(dd => {
                   diseaseMap.set(dd.disease_id, dd)
                 })
 
                 return (
-                  <tr key={feature.feature_id} className="hover:bg-gray-50">
-                    <td className="px-4 py-3">
+                  <tr
+                    key={parentId ? `${parentId}:${feature.feature_id}` : feature.feature_id}
+                    className={depth > 0 ? 'bg-gray-50/50 hover:bg-gray-50' : 'hover:bg-gray-50'}
+                  >
+                    <td className={`py-3 ${depth > 0 ? 'pl-10 pr-4' : 'px-4'}`}>
                       <div className="flex items-center gap-2">
-                        <span className="font-medium">{feature.feature_name}</span>
+                        {feature.is_rollup && (
+                          <button
+                            onClick={() => toggleRollup(feature.feature_id)}
+                            className="p-0.5 hover:bg-gray-200 rounded"
+                            title={expandedRollups.has(feature.feature_id) ? 'Collapse' : 'Show child features'}
+                          >
+                            {expandedRollups.has(feature.feature_id)
+                              ? <ChevronDown className="w-4 h-4 text-gray-500" />
+                              : <ChevronRight className="w-4 h-4 text-gray-500" />}
+                          </button>
+                        )}
+                        <span className={depth > 0 ? 'text-gray-700' : 'font-medium'}>{feature.feature_name}</span>
+                        {feature.is_rollup && (
+                          <span className="text-xs bg-teal-100 text-teal-800 px-1.5 py-0.5 rounded" title="Includes its child features">
+                            +{feature.children.length}
+                          </span>
+                        )}
+                        {feature.is_alternation && (
+                          <span className="text-xs bg-indigo-100 text-indigo-800 px-1.5 py-0.5 rounded" title="Any one of these findings">
+                            either
+                          </span>
+                        )}
                         {feature.has_conflicts && (
                           <AlertTriangle className="w-4 h-4 text-amber-500" title="Conflicting values" />
                         )}
@@ -337,6 +384,16 @@ const handleExport = async () => {
               <span className="text-sm">High-yield only (weight ≥2)</span>
             </label>
 
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={rollUpChildren}
+                onChange={(e) => setRollUpChildren(e.target.checked)}
+                className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              <span className="text-sm">Roll up child features</span>
+            </label>
+
             <div className="ml-auto text-sm text-gray-600">
               {filteredData.length} features shown
             </div>
@@ -0,0 +1,213 @@
+// src/components/DiseaseFeaturesPanel.jsx
+import { useState } from 'react'
+import { Trash2, Check, EyeOff, Loader2, Filter, X } from 'lucide-react'
+import { useLabUnitSystem } from '../Backend/useApi'
+import { BACKEND_CONFIG } from '../Backend/backendConfig'
+import { displayLabValue } from '../Backend/labUnits'
+import { matchesFeatureFilter } from '../Backend/featureFilters'
+import TokenInput from './TokenInput'
+import toast from 'react-hot-toast'
+
+// Value cell; commits on blur or Enter, Escape puts the shown value back.
+// Lab values are shown and typed in the user's unit system.
+function ValueInput({ shown, onCommit }) {
+  const [draft, setDraft] = useState(shown)
+
+  const commit = () => {
+    if (draft.trim() !== shown) onCommit(draft.trim())
+  }
+
+  return (
+    <input
+      type="text"
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') e.currentTarget.blur()
+        if (e.key === 'Escape') setDraft(shown)
+      }}
+      placeholder="—"
+      className="w-28 px-2 py-1 text-sm border border-transparent rounded hover:border-gray-300 focus:border-blue-500 focus:outline-none"
+    />
+  )
+}
+
+// The features linked to a disease, editable in place, with TokenInput
+// underneath for adding more. `diseaseFeatures` is useDiseaseFeatures
+// for the disease, owned by the parent so its header counts the same
+// rows; `filter` narrows the table (see featureFilters).
+export default function DiseaseFeaturesPanel({ disease, diseaseFeatures, autoFocus = false, filter = null, onClearFilter, onFeaturesChanged }) {
+  const { features, loading, error, refetch, updateFeature, removeFeature } = diseaseFeatures
+  const { unitSystem } = useLabUnitSystem()
+  const shownFeatures = features.filter(feature => matchesFeatureFilter(feature, filter))
+
+  const handleChange = async (feature, changes) => {
+    const { error } = await updateFeature(feature.feature_id, changes)
+    if (error) {
+      toast.error(`Could not update ${feature.feature_name}: ${error.message}`)
+      return
+    }
+    onFeaturesChanged?.()
+  }
+
+  const handleRemove = async (feature) => {
+    const { error } = await removeFeature(feature.feature_id)
+    if (error) {
+      toast.error(`Could not remove ${feature.feature_name}: ${error.message}`)
+      return
+    }
+    toast.success(`Removed ${feature.feature_name}`)
+    onFeaturesChanged?.()
+  }
+
+  const handleTokensChanged = () => {
+    refetch()
+    onFeaturesChanged?.()
+  }
+
+  return (
+    <div className="space-y-4">
+      {loading && features.length === 0 ? (
+        <div className="flex items-center justify-center py-8 text-gray-500">
+          <Loader2 className="w-5 h-5 mr-2 animate-spin" />
+          Loading features...
+        </div>
+      ) : error ? (
+        <div className="text-center py-8 text-red-600">
+          <p>Error loading features</p>
+          <button onClick={refetch} className="text-sm mt-2 text-blue-600 hover:text-blue-800">
+            Try again
+          </button>
+        </div>
+      ) : features.length === 0 ? (
+        <div className="text-center py-8 text-gray-500">
+          <p>No features yet</p>
+          <p className="text-sm mt-2">Add some below, e.g. +Fever -Rash Ferritin↓</p>
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          {filter && (
+            <div className="flex items-center gap-2 mb-3 text-sm">
+              <span className="inline-flex items-center gap-2 px-3 py-1 bg-blue-50 text-blue-800 border border-blue-200 rounded-full">
+                <Filter className="w-3 h-3" />
+                {filter.label}: {shownFeatures.length} of {features.length}
+                <button
+                  onClick={onClearFilter}
+                  className="hover:bg-blue-100 rounded-full p-0.5"
+                  title="Clear filter"
+                >
+                  <X className="w-3 h-3" />
+                </button>
+              </span>
+            </div>
+          )}
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-200 text-left text-xs font-medium text-gray-500 uppercase">
+                <th className="px-3 py-2">Feature</th>
+                <th className="px-3 py-2">Present</th>
+                <th className="px-3 py-2">Value</th>
+                <th className="px-3 py-2">Typicality</th>
+                <th className="px-3 py-2">Weight</th>
+                <th className="px-3 py-2" title="Pathognomonic">Path.</th>
+                <th className="px-3 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {shownFeatures.map(feature => {
+                const shownValue = displayLabValue(feature.value_text, feature.feature_name, unitSystem) || ''
+
+                return (
+                  <tr key={feature.feature_id} className="hover:bg-gray-50">
+                    <td className="px-3 py-2">
+                      <div className="flex items-center gap-2">
+                        <span className="font-medium text-gray-900">{feature.feature_name}</span>
+                        {feature.feature_type && (
+                          <span className="text-xs text-gray-500">({feature.feature_type})</span>
+                        )}
+                        {feature.alternative_group && (
+                          <span
+                            className="text-xs px-1.5 py-0.5 rounded bg-yellow-100 text-yellow-800"
+                            title="One of several alternative features"
+                          >
+                            either
+                          </span>
+                        )}
+                      </div>
+                    </td>
+                    <td className="px-3 py-2">
+                      <button
+                        onClick={() => handleChange(feature, { is_present: !feature.is_present })}
+                        className="p-1 rounded hover:bg-gray-100"
+                        title={feature.is_present ? 'Present – click to mark absent' : 'Absent – click to mark present'}
+                      >
+                        {feature.is_present
+                          ? <Check className="w-4 h-4 text-green-500" />
+                          : <EyeOff className="w-4 h-4 text-red-500" />}
+                      </button>
+                    </td>
+                    <td className="px-3 py-2">
+                      <ValueInput
+                        key={shownValue}
+                        shown={shownValue}
+                        onCommit={(value) => handleChange(feature, { value_text: value || null })}
+                      />
+                    </td>
+                    <td className="px-3 py-2">
+                      <select
+                        value={feature.typicality || BACKEND_CONFIG.TYPICALITY_OPTIONS[0]}
+                        onChange={(e) => handleChange(feature, { typicality: e.target.value })}
+                        className="px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        {BACKEND_CONFIG.TYPICALITY_OPTIONS.map(option => (
+                          <option key={option} value={option}>{option}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="px-3 py-2">
+                      <select
+                        value={feature.weight || BACKEND_CONFIG.WEIGHT_OPTIONS[0]}
+                        onChange={(e) => handleChange(feature, { weight: Number(e.target.value) })}
+                        className="px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        {BACKEND_CONFIG.WEIGHT_OPTIONS.map(option => (
+                          <option key={option} value={option}>{option}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="px-3 py-2">
+                      <input
+                        type="checkbox"
+                        checked={feature.is_pathognomonic || false}
+                        onChange={(e) => handleChange(feature, { is_pathognomonic: e.target.checked })}
+                        className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                      />
+                    </td>
+                    <td className="px-3 py-2 text-right">
+                      <button
+                        onClick={() => handleRemove(feature)}
+                        className="p-1 text-gray-400 hover:text-red-600 rounded"
+                        title={`Remove ${feature.feature_name}`}
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <TokenInput
+        diseaseId={disease.id}
+        system={disease.system}
+        autoFocus={autoFocus}
+        onTokensAdded={handleTokensChanged}
+        onFeaturesChanged={handleTokensChanged}
+      />
+    </div>
+  )
+}
@@ -1,24 +1,201 @@
 // src/components/DiseaseManagement.jsx
-import { useState } from 'react'
-import { Plus, Edit3, Search, X, Save } from 'lucide-react'
-import { useDiseases } from '../Backend/useApi'
-import { createDisease } from '../Backend/api'
+import { useState, useEffect, useRef, useMemo, useId } from 'react'
+import { Plus, Edit3, Search, X, Save, Filter, Trash2, AlertTriangle, ChevronRight, ChevronDown, FolderTree, Copy, LayoutTemplate } from 'lucide-react'
+import { useDiseases, useDiseaseFeatures, useDiseaseTemplates } from '../Backend/useApi'
+import { countFeatureFilters } from '../Backend/featureFilters'
+import { createDisease, getFeatureDiseaseIds, getDiseaseLinkCount } from '../Backend/api'
+import { isUserTemplate } from '../Backend/diseaseTemplates'
+import { buildSystemTree, systemOptions, subsystemOptions, resolveSystemName, resolveSubsystemName } from '../Backend/systemTaxonomy'
+import DiseaseFeaturesPanel from './DiseaseFeaturesPanel'
+import SystemTaxonomyManager from './SystemTaxonomyManager'
 import toast from 'react-hot-toast'
 
-export default function DiseaseManagement() {
-  const [selectedDisease, setSelectedDisease] = useState(null)
+// Props come from command palette jumps: the disease to open, a list
+// filter ({ type: 'system', system, subsystem } or { type: 'feature',
+// featureId }, each with a label), and whether to go to its features
+export default function DiseaseManagement({ initialDiseaseId = null, initialFilter = null, focusFeatures = false }) {
+  const [selectedDiseaseId, setSelectedDiseaseId] = useState(initialDiseaseId)
   const [showAddDisease, setShowAddDisease] = useState(false)
+  const [showEditDisease, setShowEditDisease] = useState(false)
+  const [showTaxonomy, setShowTaxonomy] = useState(false)
+  const [showDuplicate, setShowDuplicate] = useState(false)
+  const [showSaveTemplate, setShowSaveTemplate] = useState(false)
+  // Tree branches the user folded away (see branchKey)
+  const [collapsedBranches, setCollapsedBranches] = useState(() => new Set())
+  // { disease, linkCount, countError } while the delete confirmation is open
+  const [deleteTarget, setDeleteTarget] = useState(null)
   const [searchTerm, setSearchTerm] = useState('')
+  const [listFilter, setListFilter] = useState(initialFilter)
+  const [featureDiseaseIds, setFeatureDiseaseIds] = useState(null)
+  // Narrows the feature panel; set by clicking a stats card
+  const [featureFilter, setFeatureFilter] = useState(null)
+  const featuresPanelRef = useRef(null)
   
-  const { diseases, loading: diseasesLoading, refetch: refetchDiseases } = useDiseases()
+  const {
+    diseases,
+    loading: diseasesLoading,
+    refetch: refetchDiseases,
+    updateDisease,
+    deleteDisease,
+    renameSystem,
+    renameSubsystem,
+    duplicateDisease
+  } = useDiseases()
+  const { templates, saveTemplateFromDisease, deleteTemplate, applyTemplate } = useDiseaseTemplates()
+
+  // Read from the list, so edits show up here as soon as they are made
+  const selectedDisease = diseases.find(disease => disease.id === selectedDiseaseId) || null
+  const hasSelection = selectedDisease !== null
+
+  const diseaseFeatures = useDiseaseFeatures(selectedDiseaseId)
+
+  // Counted from the rows the panel filters, so each card matches what
+  // clicking it shows and follows every change to the panel
+  const featureCounts = countFeatureFilters(diseaseFeatures.features)
+
+  // A filter from one disease makes no sense on the next
+  useEffect(() => {
+    setFeatureFilter(null)
+  }, [selectedDiseaseId])
+
+  // Clicking the active card again clears it
+  const toggleFeatureFilter = (filter) => {
+    setFeatureFilter(current => (
+      current?.type === filter?.type && current?.featureType === filter?.featureType ? null : filter
+    ))
+  }
+
+  useEffect(() => {
+    if (focusFeatures && hasSelection) {
+      featuresPanelRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' })
+    }
+  }, [focusFeatures, hasSelection])
+
+  // A feature filter needs the diseases linked to that feature
+  useEffect(() => {
+    if (listFilter?.type !== 'feature') {
+      setFeatureDiseaseIds(null)
+      return
+    }
+
+    let active = true
+    getFeatureDiseaseIds(listFilter.featureId).then(({ data, error }) => {
+      if (!active) return
+      if (error) toast.error('Error loading diseases for ' + listFilter.label)
+      setFeatureDiseaseIds(new Set(data || []))
+    })
+    return () => {
+      active = false
+    }
+  }, [listFilter])
+
+  const matchesListFilter = (disease) => {
+    if (listFilter?.type === 'system') {
+      return disease.system === listFilter.system &&
+        (!listFilter.subsystem || disease.subsystem === listFilter.subsystem)
+    }
+    if (listFilter?.type === 'feature') {
+      return featureDiseaseIds?.has(disease.id) ?? false
+    }
+    return true
+  }
+
+  // With a template, its features are linked before the new disease is
+  // opened, so its panel and stats load complete
+  const handleCreateDisease = async (values, template = null) => {
+    const { data, error } = await createDisease(values)
+    if (error) return { error }
+
+    if (template) {
+      const { added, created, failed } = await applyTemplate(data.id, template)
+      if (failed.length > 0) {
+        toast.error(`${failed.length} template feature${failed.length === 1 ? '' : 's'} could not be added`)
+      }
+      toast.success(`Created ${data.name} with ${added} features` + (created.length ? ` (${created.length} new)` : ''))
+    } else {
+      toast.success('Disease created successfully!')
+    }
+
+    setShowAddDisease(false)
+    setSelectedDiseaseId(data.id)
+    refetchDiseases()
+    return { error: null }
+  }
+
+  const handleDuplicate = async (name) => {
+    const { data, error } = await duplicateDisease(selectedDisease.id, name)
+    if (error) return { error }
+
+    setShowDuplicate(false)
+    setSelectedDiseaseId(data.disease.id)
+    toast.success(`Created ${name} with ${data.copiedLinks} features`)
+    return { error: null }
+  }
+
+  const handleSaveTemplate = async (name) => {
+    const { error } = await saveTemplateFromDisease(selectedDisease, name)
+    if (error) return { error }
+
+    setShowSaveTemplate(false)
+    toast.success(`Saved template ${name}`)
+    return { error: null }
+  }
+
+  // Saved in the background; the list shows the change right away
+  const handleEditDisease = (values) => {
+    setShowEditDisease(false)
+    updateDisease(selectedDisease.id, values).then(({ error }) => {
+      if (error) {
+        toast.error('Error updating disease: ' + error.message + '. Changes were undone.')
+      } else {
+        toast.success('Disease updated')
+      }
+    })
+    return { error: null }
+  }
+
+  const startDelete = async (disease) => {
+    setDeleteTarget({ disease, linkCount: null, countError: false })
+    const { data, error } = await getDiseaseLinkCount(disease.id)
+    setDeleteTarget(current => (
+      current?.disease.id === disease.id ? { ...current, linkCount: data, countError: Boolean(error) } : current
+    ))
+  }
+
+  const confirmDelete = () => {
+    const { disease } = deleteTarget
+    setDeleteTarget(null)
+    if (selectedDiseaseId === disease.id) setSelectedDiseaseId(null)
+
+    deleteDisease(disease.id).then(({ data, error }) => {
+      if (error) {
+        toast.error('Error deleting disease: ' + error.message + '. It has been restored.')
+        return
+      }
+      toast.success(`Deleted ${disease.name}` + (data.removedLinks ? ` and ${data.removedLinks} feature links` : ''))
+    })
+  }
 
   // Filter diseases based on search
   const filteredDiseases = diseases.filter(disease =>
-    disease.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    disease.system?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    disease.subsystem?.toLowerCase().includes(searchTerm.toLowerCase())
+    matchesListFilter(disease) && (
+      disease.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
+      disease.system?.toLowerCase().includes(searchTerm.toLowerCase()) ||
+      disease.subsystem?.toLowerCase().includes(searchTerm.toLowerCase())
+    )
   )
 
+  const diseaseTree = buildSystemTree(filteredDiseases)
+
+  const toggleBranch = (key) => {
+    setCollapsedBranches(prev => {
+      const next = new Set(prev)
+      if (next.has(key)) next.delete(key)
+      else next.add(key)
+      return next
+    })
+  }
+
   return (
     <div className="space-y-6">
       {/* Header */}
@@ -45,14 +222,41 @@ export default function DiseaseManagement() {
         />
       </div>
 
+      {/* Active List Filter */}
+      {listFilter && (
+        <div className="flex items-center gap-2 text-sm">
+          <span className="inline-flex items-center gap-2 px-3 py-1 bg-blue-50 text-blue-800 border border-blue-200 rounded-full">
+            <Filter className="w-3 h-3" />
+            {listFilter.type === 'feature' ? `Has feature: ${listFilter.label}` : `System: ${listFilter.label}`}
+            <button
+              onClick={() => setListFilter(null)}
+              className="hover:bg-blue-100 rounded-full p-0.5"
+              title="Clear filter"
+            >
+              <X className="w-3 h-3" />
+            </button>
+          </span>
+        </div>
+      )}
+
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
         {/* Diseases List */}
         <div className="lg:col-span-1">
           <div className="bg-white rounded-lg shadow">
             <div className="p-4 border-b border-gray-200">
-              <h3 className="font-semibold text-gray-900">
-                Diseases ({filteredDiseases.length})
-              </h3>
+              <div className="flex items-center justify-between">
+                <h3 className="font-semibold text-gray-900">
+                  Diseases ({filteredDiseases.length})
+                </h3>
+                <button
+                  onClick={() => setShowTaxonomy(true)}
+                  className="flex items-center gap-1 text-sm text-gray-600 hover:text-blue-600"
+                  title="Rename or merge systems and subsystems"
+                >
+                  <FolderTree className="w-4 h-4" />
+                  Systems
+                </button>
+              </div>
             </div>
             
             <div className="max-h-96 overflow-y-auto">
@@ -66,8 +270,8 @@ export default function DiseaseManagement() {
                 </div>
               ) : filteredDiseases.length === 0 ? (
                 <div className="p-8 text-center text-gray-500">
-                  {searchTerm ? 'No diseases match your search' : 'No diseases yet'}
-                  {!searchTerm && (
+                  {searchTerm || listFilter ? 'No diseases match your search' : 'No diseases yet'}
+                  {!searchTerm && !listFilter && (
                     <div className="mt-2">
                       <button
                         onClick={() => setShowAddDisease(true)}
@@ -79,33 +283,13 @@ export default function DiseaseManagement() {
                   )}
                 </div>
               ) : (
-                <div className="divide-y divide-gray-200">
-                  {filteredDiseases.map(disease => (
-                    <div
-                      key={disease.id}
-                      className={`p-4 hover:bg-gray-50 cursor-pointer transition-colors ${
-                        selectedDisease?.id === disease.id ? 'bg-blue-50 border-r-4 border-blue-500' : ''
-                      }`}
-                      onClick={() => setSelectedDisease(disease)}
-                    >
-                      <div className="space-y-1">
-                        <h4 className="font-medium text-gray-900">{disease.name}</h4>
-                        <div className="flex items-center gap-2">
-                          {disease.system && (
-                            <span className="text-xs bg-blue-100 text-blue-800 px-2 py-1 rounded">
-                              {disease.system}
-                            </span>
-                          )}
-                          {disease.subsystem && (
-                            <span className="text-xs bg-gray-100 text-gray-700 px-2 py-1 rounded">
-                              {disease.subsystem}
-                            </span>
-                          )}
-                        </div>
-                      </div>
-                    </div>
-                  ))}
-                </div>
+                <DiseaseTree
+                  tree={diseaseTree}
+                  selectedId={selectedDiseaseId}
+                  isCollapsed={(key) => !searchTerm && collapsedBranches.has(key)}
+                  onToggle={toggleBranch}
+                  onSelect={setSelectedDiseaseId}
+                />
               )}
             </div>
           </div>
@@ -127,40 +311,100 @@ export default function DiseaseManagement() {
                     </p>
                   </div>
                   <div className="flex items-center gap-2">
-                    <button className="flex items-center gap-2 px-3 py-2 bg-gray-500 text-white rounded hover:bg-gray-600">
+                    <button
+                      onClick={() => setShowDuplicate(true)}
+                      className="flex items-center gap-2 px-3 py-2 text-gray-700 border border-gray-300 rounded hover:bg-gray-50"
+                      title="Copy this disease and its features under a new name"
+                    >
+                      <Copy className="w-4 h-4" />
+                      Duplicate
+                    </button>
+                    <button
+                      onClick={() => setShowSaveTemplate(true)}
+                      className="flex items-center gap-2 px-3 py-2 text-gray-700 border border-gray-300 rounded hover:bg-gray-50"
+                      title="Save these features as a template for new diseases"
+                    >
+                      <LayoutTemplate className="w-4 h-4" />
+                      Template
+                    </button>
+                    <button
+                      onClick={() => setShowEditDisease(true)}
+                      className="flex items-center gap-2 px-3 py-2 bg-gray-500 text-white rounded hover:bg-gray-600"
+                    >
                       <Edit3 className="w-4 h-4" />
                       Edit
                     </button>
+                    <button
+                      onClick={() => startDelete(selectedDisease)}
+                      className="flex items-center gap-2 px-3 py-2 text-red-600 border border-red-200 rounded hover:bg-red-50"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                      Delete
+                    </button>
                   </div>
                 </div>
 
                 <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-                  <div className="bg-blue-50 p-4 rounded-lg">
-                    <div className="text-2xl font-bold text-blue-900">0</div>
-                    <div className="text-sm text-blue-700">Total Features</div>
-                  </div>
-                  <div className="bg-green-50 p-4 rounded-lg">
-                    <div className="text-2xl font-bold text-green-900">0</div>
-                    <div className="text-sm text-green-700">Pathognomonic</div>
-                  </div>
-                  <div className="bg-purple-50 p-4 rounded-lg">
-                    <div className="text-2xl font-bold text-purple-900">0</div>
-                    <div className="text-sm text-purple-700">High Weight</div>
-                  </div>
+                  <StatCard
+                    value={featureCounts.total}
+                    label="Total Features"
+                    colors="bg-blue-50 text-blue-900 ring-blue-400"
+                    active={featureFilter === null}
+                    onClick={() => setFeatureFilter(null)}
+                  />
+                  <StatCard
+                    value={featureCounts.pathognomonic}
+                    label="Pathognomonic"
+                    colors="bg-green-50 text-green-900 ring-green-400"
+                    active={featureFilter?.type === 'pathognomonic'}
+                    onClick={() => toggleFeatureFilter({ type: 'pathognomonic', label: 'Pathognomonic' })}
+                  />
+                  <StatCard
+                    value={featureCounts.highWeight}
+                    label="High Weight"
+                    colors="bg-purple-50 text-purple-900 ring-purple-400"
+                    active={featureFilter?.type === 'high_weight'}
+                    onClick={() => toggleFeatureFilter({ type: 'high_weight', label: 'High weight' })}
+                  />
                 </div>
+
+                {/* Feature Type Breakdown */}
+                {Object.keys(featureCounts.byType).length > 0 && (
+                  <div className="flex flex-wrap items-center gap-2 mt-4 text-sm">
+                    <span className="text-gray-500">By type:</span>
+                    {Object.entries(featureCounts.byType).map(([type, count]) => {
+                      const active = featureFilter?.type === 'feature_type' && featureFilter.featureType === type
+                      return (
+                        <button
+                          key={type}
+                          onClick={() => toggleFeatureFilter({ type: 'feature_type', featureType: type, label: `Type: ${type}` })}
+                          className={`px-2 py-0.5 rounded-full border capitalize ${
+                            active
+                              ? 'bg-blue-50 text-blue-800 border-blue-300'
+                              : 'text-gray-700 border-gray-200 hover:bg-gray-50'
+                          }`}
+                        >
+                          {type} <span className="font-medium">{count}</span>
+                        </button>
+                      )
+                    })}
+                  </div>
+                )}
               </div>
 
               {/* Features Management */}
-              <div className="bg-white rounded-lg shadow p-6">
+              <div ref={featuresPanelRef} className="bg-white rounded-lg shadow p-6">
                 <h4 className="text-lg font-semibold text-gray-900 mb-4">
                   Features for {selectedDisease.name}
                 </h4>
-                <div className="text-center py-8 text-gray-500">
-                  <p>Feature management coming soon...</p>
-                  <p className="text-sm mt-2">
-                    Go to "Compare Diseases" to see existing features
-                  </p>
-                </div>
+                <DiseaseFeaturesPanel
+                  key={selectedDisease.id}
+                  disease={selectedDisease}
+                  diseaseFeatures={diseaseFeatures}
+                  autoFocus={focusFeatures}
+                  filter={featureFilter}
+                  onClearFilter={() => setFeatureFilter(null)}
+                />
               </div>
             </div>
           ) : (
@@ -182,27 +426,283 @@ export default function DiseaseManagement() {
       {/* Add Disease Modal */}
       {showAddDisease && (
         <AddDiseaseModal
+          diseases={diseases}
+          templates={templates}
+          onDeleteTemplate={deleteTemplate}
           onClose={() => setShowAddDisease(false)}
-          onSuccess={() => {
-            setShowAddDisease(false)
-            refetchDiseases()
-            toast.success('Disease created successfully!')
-          }}
+          onSave={handleCreateDisease}
+        />
+      )}
+
+      {/* Edit Disease Modal */}
+      {showEditDisease && selectedDisease && (
+        <AddDiseaseModal
+          disease={selectedDisease}
+          diseases={diseases}
+          onClose={() => setShowEditDisease(false)}
+          onSave={handleEditDisease}
+        />
+      )}
+
+      {/* Duplicate Disease */}
+      {showDuplicate && selectedDisease && (
+        <NamePromptModal
+          title={`Duplicate ${selectedDisease.name}`}
+          description="The copy gets the same system and all of its features."
+          initialName={`${selectedDisease.name} (copy)`}
+          confirmLabel="Duplicate"
+          onClose={() => setShowDuplicate(false)}
+          onSave={handleDuplicate}
         />
       )}
+
+      {/* Save As Template */}
+      {showSaveTemplate && selectedDisease && (
+        <NamePromptModal
+          title="Save as template"
+          description={`New diseases can start from the features of ${selectedDisease.name}.`}
+          initialName={`${selectedDisease.name} template`}
+          confirmLabel="Save Template"
+          onClose={() => setShowSaveTemplate(false)}
+          onSave={handleSaveTemplate}
+        />
+      )}
+
+      {/* System Taxonomy */}
+      {showTaxonomy && (
+        <SystemTaxonomyManager
+          diseases={diseases}
+          onClose={() => setShowTaxonomy(false)}
+          onRenameSystem={renameSystem}
+          onRenameSubsystem={renameSubsystem}
+        />
+      )}
+
+      {/* Delete Confirmation */}
+      {deleteTarget && (
+        <DeleteDiseaseModal
+          disease={deleteTarget.disease}
+          linkCount={deleteTarget.linkCount}
+          countError={deleteTarget.countError}
+          onClose={() => setDeleteTarget(null)}
+          onConfirm={confirmDelete}
+        />
+      )}
+    </div>
+  )
+}
+
+// Asks before deleting a disease, with how many feature links go with it.
+// The count is only informative, so a failed count still allows the delete.
+function DeleteDiseaseModal({ disease, linkCount, countError, onClose, onConfirm }) {
+  const counting = linkCount === null && !countError
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50" onClick={onClose}>
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-md p-6" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-start gap-3 mb-4">
+          <div className="p-2 bg-red-100 rounded-full">
+            <AlertTriangle className="w-5 h-5 text-red-600" />
+          </div>
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Delete {disease.name}?</h3>
+            <p className="text-sm text-gray-600 mt-1">
+              {countError
+                ? 'Its linked features could not be counted. Any feature links will be deleted with it; the features themselves are kept.'
+                : counting
+                  ? 'Counting linked features...'
+                  : linkCount === 0
+                    ? 'It has no linked features.'
+                    : `${linkCount} feature link${linkCount === 1 ? '' : 's'} will be deleted with it. The features themselves are kept.`}
+            </p>
+          </div>
+        </div>
+
+        <div className="flex justify-end gap-3">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-gray-700 border border-gray-300 rounded hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={onConfirm}
+            disabled={counting}
+            className="flex items-center gap-2 px-4 py-2 bg-red-500 text-white rounded hover:bg-red-600 disabled:opacity-50"
+          >
+            <Trash2 className="w-4 h-4" />
+            Delete Disease
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// Asks for a name, e.g. for a duplicated disease or a new template.
+// onSave gets the trimmed name and returns { error }.
+function NamePromptModal({ title, description, initialName, confirmLabel, onClose, onSave }) {
+  const [name, setName] = useState(initialName)
+  const [saving, setSaving] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!name.trim()) return
+
+    setSaving(true)
+    const { error } = await onSave(name.trim())
+    setSaving(false)
+    if (error) toast.error(`${title} failed: ${error.message}`)
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50" onClick={onClose}>
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white rounded-lg shadow-xl w-full max-w-md p-6"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 className="text-lg font-semibold text-gray-900">{title}</h3>
+        <p className="text-sm text-gray-600 mt-1 mb-4">{description}</p>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          autoFocus
+          disabled={saving}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+
+        <div className="flex justify-end gap-3 mt-6">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={saving}
+            className="px-4 py-2 text-gray-700 border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={saving || !name.trim()}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
+          >
+            <Save className="w-4 h-4" />
+            {saving ? 'Saving...' : confirmLabel}
+          </button>
+        </div>
+      </form>
     </div>
   )
 }
 
-// Add Disease Modal Component
-function AddDiseaseModal({ onClose, onSuccess }) {
+// Collapse state key for a system or subsystem branch
+const branchKey = (system, subsystem) => (subsystem === undefined ? `${system ?? ''}` : `${system ?? ''}\u0000${subsystem ?? ''}`)
+
+function BranchRow({ label, count, collapsed, onToggle, className }) {
+  const Chevron = collapsed ? ChevronRight : ChevronDown
+  return (
+    <button
+      onClick={onToggle}
+      className={`w-full flex items-center gap-1 py-2 pr-4 text-left hover:bg-gray-50 ${className}`}
+    >
+      <Chevron className="w-4 h-4 text-gray-400" />
+      <span className="flex-1">{label}</span>
+      <span className="text-xs text-gray-500">{count}</span>
+    </button>
+  )
+}
+
+// Diseases grouped system → subsystem (see buildSystemTree). Systems with
+// no subsystems list their diseases directly.
+function DiseaseTree({ tree, selectedId, isCollapsed, onToggle, onSelect }) {
+  const diseaseRow = (disease, indent) => (
+    <div
+      key={disease.id}
+      className={`py-2 pr-4 ${indent} hover:bg-gray-50 cursor-pointer transition-colors ${
+        selectedId === disease.id ? 'bg-blue-50 border-r-4 border-blue-500' : ''
+      }`}
+      onClick={() => onSelect(disease.id)}
+    >
+      <h4 className="font-medium text-gray-900">{disease.name}</h4>
+    </div>
+  )
+
+  return (
+    <div className="divide-y divide-gray-200">
+      {tree.map(node => {
+        const systemKey = branchKey(node.system)
+        const flat = node.subsystems.length === 1 && node.subsystems[0].subsystem === null
+
+        return (
+          <div key={systemKey}>
+            <BranchRow
+              label={node.system ?? 'No system'}
+              count={node.count}
+              collapsed={isCollapsed(systemKey)}
+              onToggle={() => onToggle(systemKey)}
+              className={`pl-3 font-semibold ${node.system ? 'text-gray-900' : 'text-gray-500 italic'}`}
+            />
+            {!isCollapsed(systemKey) && (flat
+              ? node.diseases.map(disease => diseaseRow(disease, 'pl-8'))
+              : node.subsystems.map(child => {
+                const subsystemKey = branchKey(node.system, child.subsystem)
+                return (
+                  <div key={subsystemKey}>
+                    <BranchRow
+                      label={child.subsystem ?? 'No subsystem'}
+                      count={child.count}
+                      collapsed={isCollapsed(subsystemKey)}
+                      onToggle={() => onToggle(subsystemKey)}
+                      className={`pl-7 text-sm ${child.subsystem ? 'text-gray-700' : 'text-gray-500 italic'}`}
+                    />
+                    {!isCollapsed(subsystemKey) && child.diseases.map(disease => diseaseRow(disease, 'pl-12'))}
+                  </div>
+                )
+              }))}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+// Header count that filters the feature panel when clicked
+function StatCard({ value, label, colors, active, onClick }) {
+  return (
+    <button
+      onClick={onClick}
+      className={`p-4 rounded-lg text-left transition-shadow hover:shadow ${colors} ${active ? 'ring-2' : ''}`}
+    >
+      <div className="text-2xl font-bold">{value ?? 0}</div>
+      <div className="text-sm opacity-80">{label}</div>
+    </button>
+  )
+}
+
+// Add Disease Modal Component. Given a `disease` it edits that disease
+// instead. onSave gets the trimmed values, with system and subsystem in
+// their taxonomy spelling (see systemTaxonomy), and returns { error }.
+// When creating, a template can be picked; onSave then gets it as a
+// second argument.
+function AddDiseaseModal({ disease = null, diseases = [], templates = [], onDeleteTemplate, onClose, onSave }) {
+  const isEditing = disease !== null
   const [formData, setFormData] = useState({
-    name: '',
-    system: '',
-    subsystem: ''
+    name: disease?.name || '',
+    system: disease?.system || '',
+    subsystem: disease?.subsystem || ''
   })
+  const [templateId, setTemplateId] = useState('')
   const [saving, setSaving] = useState(false)
   const [errors, setErrors] = useState({})
+  const systemListId = useId()
+  const template = templates.find(candidate => candidate.id === templateId) || null
+  const subsystemListId = useId()
+
+  const resolvedSystem = resolveSystemName(formData.system, diseases)
+  const resolvedSubsystem = resolveSubsystemName(formData.subsystem, resolvedSystem, diseases)
+  const systemChoices = useMemo(() => systemOptions(diseases), [diseases])
+  const subsystemChoices = useMemo(() => subsystemOptions(diseases, resolvedSystem), [diseases, resolvedSystem])
 
   const validateForm = () => {
     const newErrors = {}
@@ -225,25 +725,44 @@ function AddDiseaseModal({ onClose, onSuccess }) {
     setSaving(true)
     
     try {
-      const { data, error } = await createDisease({
+      const { error } = await onSave({
         name: formData.name.trim(),
-        system: formData.system.trim() || null,
-        subsystem: formData.subsystem.trim() || null
-      })
+        system: resolvedSystem,
+        subsystem: resolvedSubsystem
+      }, template)
       
       if (error) {
         throw new Error(error.message)
       }
-      
-      onSuccess()
     } catch (error) {
-      toast.error('Error creating disease: ' + error.message)
-      console.error('Create disease error:', error)
+      toast.error(`Error ${isEditing ? 'updating' : 'creating'} disease: ` + error.message)
+      console.error(`${isEditing ? 'Update' : 'Create'} disease error:`, error)
     } finally {
       setSaving(false)
     }
   }
 
+  // Fills in the template's system and subsystem unless already typed
+  const chooseTemplate = (id) => {
+    setTemplateId(id)
+    const chosen = templates.find(candidate => candidate.id === id)
+    if (!chosen) return
+    setFormData(prev => ({
+      ...prev,
+      system: prev.system || chosen.system || '',
+      subsystem: prev.subsystem || chosen.subsystem || ''
+    }))
+  }
+
+  const removeTemplate = async () => {
+    const { error } = await onDeleteTemplate(template.id)
+    if (error) {
+      toast.error('Error deleting template: ' + error.message)
+      return
+    }
+    setTemplateId('')
+  }
+
   const handleInputChange = (field, value) => {
     setFormData(prev => ({ ...prev, [field]: value }))
     // Clear error when user starts typing
@@ -265,7 +784,7 @@ function AddDiseaseModal({ onClose, onSuccess }) {
         <div className="inline-block w-full max-w-md p-6 my-8 overflow-hidden text-left align-middle transition-all transform bg-white shadow-xl rounded-lg relative">
           <div className="flex items-center justify-between mb-6">
             <h3 className="text-lg font-semibold text-gray-900">
-              Add New Disease
+              {isEditing ? `Edit ${disease.name}` : 'Add New Disease'}
             </h3>
             <button
               onClick={onClose}
@@ -276,6 +795,39 @@ function AddDiseaseModal({ onClose, onSuccess }) {
           </div>
 
           <form onSubmit={handleSubmit} className="space-y-4">
+            {!isEditing && templates.length > 0 && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Start from
+                </label>
+                <select
+                  value={templateId}
+                  onChange={(e) => chooseTemplate(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  disabled={saving}
+                >
+                  <option value="">Blank disease</option>
+                  {templates.map(candidate => (
+                    <option key={candidate.id} value={candidate.id}>{candidate.name}</option>
+                  ))}
+                </select>
+                {template && (
+                  <div className="mt-1 flex items-start justify-between gap-2 text-sm text-gray-500">
+                    <span>{template.description}</span>
+                    {isUserTemplate(template) && (
+                      <button
+                        type="button"
+                        onClick={removeTemplate}
+                        className="text-red-600 hover:text-red-700 whitespace-nowrap"
+                      >
+                        Delete template
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
+
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
                 Disease Name *
@@ -303,10 +855,17 @@ function AddDiseaseModal({ onClose, onSuccess }) {
                 type="text"
                 value={formData.system}
                 onChange={(e) => handleInputChange('system', e.target.value)}
+                list={systemListId}
                 className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                 placeholder="e.g., Hematology"
                 disabled={saving}
               />
+              <datalist id={systemListId}>
+                {systemChoices.map(option => <option key={option} value={option} />)}
+              </datalist>
+              {resolvedSystem && resolvedSystem !== formData.system.trim() && (
+                <p className="mt-1 text-sm text-gray-500">Saved as {resolvedSystem}</p>
+              )}
             </div>
 
             <div>
@@ -317,10 +876,17 @@ function AddDiseaseModal({ onClose, onSuccess }) {
                 type="text"
                 value={formData.subsystem}
                 onChange={(e) => handleInputChange('subsystem', e.target.value)}
+                list={subsystemListId}
                 className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                 placeholder="e.g., Anemia"
                 disabled={saving}
               />
+              <datalist id={subsystemListId}>
+                {subsystemChoices.map(option => <option key={option} value={option} />)}
+              </datalist>
+              {resolvedSubsystem && resolvedSubsystem !== formData.subsystem.trim() && (
+                <p className="mt-1 text-sm text-gray-500">Saved as {resolvedSubsystem}</p>
+              )}
             </div>
 
             <div className="flex justify-end gap-3 pt-4">
@@ -340,12 +906,12 @@ function AddDiseaseModal({ onClose, onSuccess }) {
                 {saving ? (
                   <>
                     <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
-                    Creating...
+                    {isEditing ? 'Saving...' : 'Creating...'}
                   </>
                 ) : (
                   <>
                     <Save className="w-4 h-4" />
-                    Create Disease
+                    {isEditing ? 'Save Changes' : 'Create Disease'}
                   </>
                 )}
               </button>
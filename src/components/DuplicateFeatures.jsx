@@ -0,0 +1,247 @@
+// src/components/DuplicateFeatures.jsx
+import { useState } from 'react'
+import { GitMerge, RefreshCw, AlertTriangle, Eye, X, CheckCircle } from 'lucide-react'
+import { useDuplicateFeatures } from '../Backend/useApi'
+import toast from 'react-hot-toast'
+
+const FIELD_LABELS = {
+  is_present: 'presence',
+  value_text: 'value',
+  typicality: 'typicality',
+  weight: 'weight',
+  is_pathognomonic: 'pathognomonic',
+  alternative_group: 'either-group'
+}
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '—'
+  if (typeof value === 'boolean') return value ? 'yes' : 'no'
+  return String(value)
+}
+
+// One group of likely duplicates: pick the survivor, untick features
+// that are not really duplicates, preview, then merge
+function DuplicateGroup({ group, merging, onPreview, onMerge }) {
+  const [survivorId, setSurvivorId] = useState(group.suggestedSurvivorId)
+  const [excluded, setExcluded] = useState(new Set())
+  const [preview, setPreview] = useState(null)
+  const [previewing, setPreviewing] = useState(false)
+
+  const duplicateIds = group.features
+    .map(feature => feature.id)
+    .filter(id => id !== survivorId && !excluded.has(id))
+  const survivor = group.features.find(feature => feature.id === survivorId)
+
+  const toggleExcluded = (featureId) => {
+    setPreview(null)
+    setExcluded(prev => {
+      const next = new Set(prev)
+      if (next.has(featureId)) next.delete(featureId)
+      else next.add(featureId)
+      return next
+    })
+  }
+
+  const chooseSurvivor = (featureId) => {
+    setPreview(null)
+    setSurvivorId(featureId)
+    setExcluded(prev => {
+      const next = new Set(prev)
+      next.delete(featureId)
+      return next
+    })
+  }
+
+  const handlePreview = async () => {
+    setPreviewing(true)
+    try {
+      setPreview(await onPreview(survivorId, duplicateIds))
+    } catch (error) {
+      toast.error('Error previewing merge: ' + error.message)
+    } finally {
+      setPreviewing(false)
+    }
+  }
+
+  const handleMerge = async () => {
+    try {
+      const result = await onMerge(survivorId, duplicateIds)
+      toast.success(
+        `Merged ${result.merged} feature${result.merged === 1 ? '' : 's'} into ${survivor.name}` +
+        (result.conflicts.length > 0 ? ` (${result.conflicts.length} conflicting attributes resolved)` : '')
+      )
+    } catch (error) {
+      toast.error('Error merging features: ' + error.message)
+    }
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="p-4 space-y-3">
+        <div className="space-y-2">
+          {group.features.map(feature => (
+            <div key={feature.id} className="flex items-center gap-3 text-sm">
+              <label className="flex items-center gap-2" title="Keep this feature">
+                <input
+                  type="radio"
+                  name={`survivor-${group.suggestedSurvivorId}`}
+                  checked={feature.id === survivorId}
+                  onChange={() => chooseSurvivor(feature.id)}
+                  disabled={merging}
+                />
+                <span className={`font-medium ${excluded.has(feature.id) ? 'text-gray-400 line-through' : 'text-gray-900'}`}>
+                  {feature.name}
+                </span>
+              </label>
+              <span className="text-xs text-gray-500">({feature.type})</span>
+              <span className="text-xs text-gray-500">
+                {feature.link_count} disease{feature.link_count === 1 ? '' : 's'}
+              </span>
+              {feature.id === survivorId ? (
+                <span className="text-xs px-2 py-0.5 rounded bg-green-100 text-green-800">Keep</span>
+              ) : (
+                <label className="flex items-center gap-1 text-xs text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={!excluded.has(feature.id)}
+                    onChange={() => toggleExcluded(feature.id)}
+                    disabled={merging}
+                  />
+                  Merge
+                </label>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <ul className="text-xs text-gray-500 space-y-0.5">
+          {group.reasons.map((reason, index) => (
+            <li key={index}>{reason.label}</li>
+          ))}
+        </ul>
+
+        {/* Preview */}
+        {preview && (
+          <div className="border border-blue-100 bg-blue-50 rounded p-3 text-sm space-y-2">
+            <div className="text-blue-900">
+              {preview.movedLinks} link{preview.movedLinks === 1 ? '' : 's'} move to <strong>{survivor.name}</strong>
+              {preview.aliases.add.length > 0 && (
+                <> • {preview.aliases.add.map(name => `"${name}"`).join(', ')} kept as alias{preview.aliases.add.length === 1 ? '' : 'es'}</>
+              )}
+              {preview.aliases.repoint.length > 0 && (
+                <> • {preview.aliases.repoint.length} alias{preview.aliases.repoint.length === 1 ? '' : 'es'} moved</>
+              )}
+            </div>
+            {preview.conflicts.length > 0 && (
+              <div>
+                <div className="flex items-center gap-1 text-amber-800 font-medium">
+                  <AlertTriangle className="w-4 h-4" />
+                  Conflicting attributes on shared diseases
+                </div>
+                <ul className="mt-1 space-y-0.5 text-amber-800">
+                  {preview.conflicts.map((conflict, index) => (
+                    <li key={index}>
+                      {conflict.disease_name && <strong>{conflict.disease_name} </strong>}
+                      {FIELD_LABELS[conflict.field] || conflict.field}: {conflict.values.map(formatValue).join(' vs ')} → keeps {formatValue(conflict.kept)}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className="flex items-center justify-end gap-2">
+          {preview ? (
+            <>
+              <button
+                onClick={() => setPreview(null)}
+                disabled={merging}
+                className="flex items-center gap-1 px-3 py-1.5 text-sm border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50"
+              >
+                <X className="w-4 h-4" />
+                Cancel
+              </button>
+              <button
+                onClick={handleMerge}
+                disabled={merging || duplicateIds.length === 0}
+                className="flex items-center gap-1 px-3 py-1.5 text-sm bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
+              >
+                <GitMerge className="w-4 h-4" />
+                {merging ? 'Merging...' : `Merge into ${survivor.name}`}
+              </button>
+            </>
+          ) : (
+            <button
+              onClick={handlePreview}
+              disabled={previewing || merging || duplicateIds.length === 0}
+              className="flex items-center gap-1 px-3 py-1.5 text-sm border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50"
+            >
+              <Eye className="w-4 h-4" />
+              {previewing ? 'Checking...' : 'Preview merge'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default function DuplicateFeatures() {
+  const { groups, loading, merging, error, scan, previewMerge, merge } = useDuplicateFeatures()
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Duplicate Features</h2>
+          <p className="text-gray-600">
+            Features that look like the same finding under different names
+          </p>
+        </div>
+        <button
+          onClick={scan}
+          disabled={loading || merging}
+          className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50 transition-colors"
+        >
+          <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          Scan again
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-800">
+          Error scanning features: {error.message}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="space-y-3">
+          {[1, 2, 3].map(i => (
+            <div key={i} className="animate-pulse">
+              <div className="h-24 bg-gray-200 rounded-lg"></div>
+            </div>
+          ))}
+        </div>
+      ) : groups.length === 0 ? (
+        <div className="bg-white rounded-lg shadow p-8 text-center text-gray-500">
+          <CheckCircle className="w-8 h-8 mx-auto mb-2 text-green-400" />
+          No likely duplicates found
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {groups.map(group => (
+            <DuplicateGroup
+              key={group.features.map(feature => feature.id).join('|')}
+              group={group}
+              merging={merging}
+              onPreview={previewMerge}
+              onMerge={merge}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
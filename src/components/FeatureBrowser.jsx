@@ -0,0 +1,271 @@
+// src/components/FeatureBrowser.jsx
+import { useState } from 'react'
+import { Search, AlertCircle, Library, X, FolderTree, Ruler } from 'lucide-react'
+import { useFeatureBrowser } from '../Backend/useApi'
+import { SEARCH_QUALIFIERS, tokenizeSearchQuery, toggleSearchQualifier } from '../Backend/searchQuery'
+import ReferenceRangeEditor from './ReferenceRangeEditor'
+import toast from 'react-hot-toast'
+
+const QUERY_EXAMPLES = ['type:lab', 'system:heme', 'is:pathognomonic', 'used-by:"Iron deficiency anemia"']
+
+// Facet values sorted by count, largest first
+const sortedCounts = (counts) => Object.entries(counts || {}).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+
+function FacetGroup({ title, qualifier, counts, activeValues, onToggle }) {
+  const entries = sortedCounts(counts).filter(([, count]) => count > 0)
+  if (entries.length === 0) return null
+
+  return (
+    <div>
+      <h4 className="text-xs font-medium text-gray-500 uppercase mb-2">{title}</h4>
+      <div className="space-y-1">
+        {entries.map(([value, count]) => {
+          const active = activeValues.includes(value.toLowerCase())
+          return (
+            <button
+              key={value}
+              onClick={() => onToggle(qualifier, value)}
+              className={`w-full flex items-center justify-between px-2 py-1 text-sm rounded ${
+                active ? 'bg-blue-50 text-blue-700' : 'text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              <span className="truncate">{value}</span>
+              <span className="text-xs text-gray-500">{count}</span>
+            </button>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+// Select for filing a feature under a parent concept. Features below it
+// are left out, since they cannot also be above it.
+function ParentPicker({ feature, features, tree, onPick, onCancel }) {
+  const below = new Set(tree.descendantsOf(feature.id).map(child => child.id))
+  const options = features.filter(other => other.id !== feature.id && !below.has(other.id))
+
+  return (
+    <div className="flex items-center gap-2 mt-2">
+      <select
+        autoFocus
+        value={tree.byId.get(feature.id)?.parent_id || ''}
+        onChange={(e) => onPick(e.target.value || null)}
+        className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded focus:ring-2 focus:ring-blue-500"
+      >
+        <option value="">No parent</option>
+        {options.map(other => (
+          <option key={other.id} value={other.id}>{other.name} ({other.type})</option>
+        ))}
+      </select>
+      <button onClick={onCancel} className="text-sm text-gray-500 hover:text-gray-700">
+        Cancel
+      </button>
+    </div>
+  )
+}
+
+export default function FeatureBrowser() {
+  const [query, setQuery] = useState('')
+  const [editingParentOf, setEditingParentOf] = useState(null)
+  const [editingRangesOf, setEditingRangesOf] = useState(null)
+  const { results, total, facets, queryErrors, features, tree, loading, error, setParent } = useFeatureBrowser(query)
+
+  const pickParent = async (feature, parentId) => {
+    const { error } = await setParent(feature.id, parentId)
+    if (error) {
+      toast.error(`Could not change parent: ${error.message}`)
+      return
+    }
+    setEditingParentOf(null)
+    toast.success(parentId
+      ? `${feature.name} filed under ${tree.byId.get(parentId)?.name}`
+      : `${feature.name} no longer has a parent`)
+  }
+
+  // Qualifier values already in the query, for highlighting facets
+  const activeValues = (qualifier) => tokenizeSearchQuery(query)
+    .filter(term => term.qualifier === qualifier)
+    .map(term => term.value.toLowerCase())
+
+  const toggle = (qualifier, value) => {
+    setQuery(prev => toggleSearchQualifier(prev, qualifier, value))
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h2 className="text-2xl font-bold text-gray-900">Feature Browser</h2>
+        <p className="text-gray-600">
+          Search every feature, narrowed with qualifiers like {QUERY_EXAMPLES.map((example, index) => (
+            <span key={example}>
+              {index > 0 && ', '}
+              <button
+                onClick={() => setQuery(prev => `${example} ${prev}`.trim())}
+                className="font-mono text-sm text-blue-600 hover:underline"
+              >
+                {example}
+              </button>
+            </span>
+          ))}
+        </p>
+      </div>
+
+      {/* Search */}
+      <div className="space-y-2">
+        <div className="relative">
+          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder='e.g. type:lab system:heme ferr'
+            className="w-full pl-10 pr-10 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          {query && (
+            <button
+              onClick={() => setQuery('')}
+              className="absolute right-3 top-1/2 transform -translate-y-1/2 p-1 hover:bg-gray-100 rounded-full"
+              title="Clear"
+            >
+              <X className="w-4 h-4 text-gray-400" />
+            </button>
+          )}
+        </div>
+        {queryErrors.map((queryError, index) => (
+          <div key={index} className="flex items-center gap-2 text-sm text-amber-600">
+            <AlertCircle className="w-4 h-4" />
+            {queryError.message}
+          </div>
+        ))}
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-800">
+          Error loading features: {error.message}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+        {/* Facets */}
+        <div className="bg-white rounded-lg shadow p-4 space-y-4 h-fit">
+          {facets ? (
+            <>
+              <FacetGroup
+                title="Type"
+                qualifier={SEARCH_QUALIFIERS.TYPE}
+                counts={facets.type}
+                activeValues={activeValues(SEARCH_QUALIFIERS.TYPE)}
+                onToggle={toggle}
+              />
+              <FacetGroup
+                title="System"
+                qualifier={SEARCH_QUALIFIERS.SYSTEM}
+                counts={facets.system}
+                activeValues={activeValues(SEARCH_QUALIFIERS.SYSTEM)}
+                onToggle={toggle}
+              />
+              <FacetGroup
+                title="Status"
+                qualifier={SEARCH_QUALIFIERS.IS}
+                counts={facets.is}
+                activeValues={activeValues(SEARCH_QUALIFIERS.IS)}
+                onToggle={toggle}
+              />
+            </>
+          ) : (
+            <div className="text-sm text-gray-500">{loading ? 'Loading...' : 'No facets'}</div>
+          )}
+        </div>
+
+        {/* Results */}
+        <div className="lg:col-span-3 bg-white rounded-lg shadow">
+          <div className="p-4 border-b border-gray-200">
+            <h3 className="font-semibold text-gray-900">
+              Features ({total}{results.length < total ? `, showing ${results.length}` : ''})
+            </h3>
+          </div>
+
+          {loading ? (
+            <div className="p-4 space-y-3">
+              {[1, 2, 3, 4].map(i => (
+                <div key={i} className="animate-pulse">
+                  <div className="h-10 bg-gray-200 rounded"></div>
+                </div>
+              ))}
+            </div>
+          ) : results.length === 0 ? (
+            <div className="p-8 text-center text-gray-500">
+              <Library className="w-8 h-8 mx-auto mb-2 text-gray-300" />
+              {query ? 'No features match this query' : 'No features yet'}
+            </div>
+          ) : (
+            <div className="divide-y divide-gray-100">
+              {results.map(feature => {
+                const ancestors = tree.ancestorsOf(feature.id)
+                const childCount = tree.childrenOf(feature.id).length
+
+                return (
+                  <div key={feature.id} className="px-4 py-3">
+                    <div className="flex items-center gap-3">
+                      <div className="flex-1 min-w-0">
+                        <span className="font-medium text-gray-900">{feature.name}</span>
+                        <span className="text-xs text-gray-500 ml-2">({feature.type})</span>
+                        {feature.match_type === 'alias' && (
+                          <span className="text-xs text-gray-400 ml-2">via "{feature.matched_text}"</span>
+                        )}
+                        {feature.match_type === 'parent' && (
+                          <span className="text-xs text-gray-400 ml-2">under "{feature.matched_text}"</span>
+                        )}
+                        {ancestors.length > 0 && (
+                          <div className="text-xs text-gray-500 truncate">
+                            {[...ancestors].reverse().map(ancestor => ancestor.name).join(' › ')} › {feature.name}
+                          </div>
+                        )}
+                      </div>
+                      {childCount > 0 && (
+                        <span className="text-xs text-teal-700">
+                          {childCount} child{childCount === 1 ? '' : 'ren'}
+                        </span>
+                      )}
+                      <span className="text-xs text-gray-500">
+                        {feature.disease_count} disease{feature.disease_count === 1 ? '' : 's'}
+                      </span>
+                      {feature.type === 'lab' && (
+                        <button
+                          onClick={() => setEditingRangesOf(prev => (prev === feature.id ? null : feature.id))}
+                          className="p-1 text-gray-400 hover:text-gray-700 hover:bg-gray-100 rounded"
+                          title="Reference ranges"
+                        >
+                          <Ruler className="w-4 h-4" />
+                        </button>
+                      )}
+                      <button
+                        onClick={() => setEditingParentOf(prev => (prev === feature.id ? null : feature.id))}
+                        className="p-1 text-gray-400 hover:text-gray-700 hover:bg-gray-100 rounded"
+                        title="Set parent feature"
+                      >
+                        <FolderTree className="w-4 h-4" />
+                      </button>
+                    </div>
+                    {editingParentOf === feature.id && (
+                      <ParentPicker
+                        feature={feature}
+                        features={features}
+                        tree={tree}
+                        onPick={(parentId) => pickParent(feature, parentId)}
+                        onCancel={() => setEditingParentOf(null)}
+                      />
+                    )}
+                    {editingRangesOf === feature.id && <ReferenceRangeEditor feature={feature} />}
+                  </div>
+                )
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
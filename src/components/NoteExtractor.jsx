@@ -0,0 +1,131 @@
+// src/components/NoteExtractor.jsx
+import { useState } from 'react'
+import { X, Check, Minus, ArrowUp, ArrowDown, AlertCircle, Wand } from 'lucide-react'
+import { useNoteExtraction } from '../Backend/useApi'
+import toast from 'react-hot-toast'
+
+// Turns pasted prose into proposed tokens. Proposals are reviewed as
+// chips and handed to the token input as text; nothing is saved here.
+export default function NoteExtractor({ onAccept, onCancel }) {
+  const [note, setNote] = useState('')
+  const {
+    extract,
+    proposals,
+    toggleProposal,
+    removeProposal,
+    clearProposals,
+    acceptedTokenString,
+    extracting
+  } = useNoteExtraction()
+
+  const handleExtract = async () => {
+    const extracted = await extract(note)
+    if (!extracted) {
+      toast.error('Error extracting findings')
+    } else if (extracted.length === 0) {
+      toast.error('No findings found in the note')
+    }
+  }
+
+  const handleAccept = () => {
+    onAccept(acceptedTokenString)
+    clearProposals()
+    setNote('')
+  }
+
+  const getProposalColor = (token) => {
+    if (!token.accepted) return 'bg-white text-gray-400 border-gray-200 line-through'
+    if (!token.canonical_feature_id) return 'bg-red-50 text-red-800 border-red-200'
+    if (!token.is_present) return 'bg-red-50 text-red-700 border-red-200'
+    return 'bg-blue-50 text-blue-700 border-blue-200'
+  }
+
+  const getProposalIcon = (token) => {
+    if (!token.is_present) return <Minus className="w-3 h-3 text-red-500" />
+    if (token.value_modifier === '↑') return <ArrowUp className="w-3 h-3 text-green-500" />
+    if (token.value_modifier === '↓') return <ArrowDown className="w-3 h-3 text-red-500" />
+    return <Check className="w-3 h-3 text-green-500" />
+  }
+
+  const acceptedCount = proposals.filter(token => token.accepted).length
+
+  return (
+    <div className="border border-gray-200 rounded-lg bg-white">
+      <div className="flex items-center justify-between px-4 py-2 border-b border-gray-100 bg-gray-50 rounded-t-lg">
+        <span className="text-sm font-medium text-gray-700">Extract findings from a note</span>
+        <button
+          onClick={onCancel}
+          className="p-1 hover:bg-gray-200 rounded-full transition-colors"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="p-4 space-y-3">
+        <textarea
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          rows={3}
+          placeholder="no murmur, ferritin low, MCV 72, complains of shortness of breath"
+          className="w-full px-3 py-2 text-sm border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          disabled={extracting}
+        />
+        <div className="flex justify-end">
+          <button
+            onClick={handleExtract}
+            disabled={!note.trim() || extracting}
+            className="flex items-center gap-1 px-3 py-1.5 text-sm bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
+          >
+            <Wand className="w-4 h-4" />
+            {extracting ? 'Extracting...' : 'Extract'}
+          </button>
+        </div>
+
+        {/* Proposed Tokens */}
+        {proposals.length > 0 && (
+          <div className="space-y-3 border-t pt-3">
+            <p className="text-xs text-gray-500">
+              Click a finding to include or skip it. Red findings are not recognised yet and can be resolved after adding.
+            </p>
+            <div className="flex flex-wrap gap-2">
+              {proposals.map((token, index) => (
+                <div
+                  key={`${token.source_start}-${index}`}
+                  className={`inline-flex items-center gap-1 px-2 py-1 rounded-full border text-sm ${getProposalColor(token)}`}
+                  title={`From: "${token.source_text}"`}
+                >
+                  <button onClick={() => toggleProposal(index)} className="inline-flex items-center gap-1">
+                    {getProposalIcon(token)}
+                    <span className="font-medium">{token.canonical_name || token.feature_text}</span>
+                    {token.value_text && (
+                      <span className="text-xs opacity-75">{token.value_text}</span>
+                    )}
+                    {!token.canonical_feature_id && (
+                      <AlertCircle className="w-3 h-3 text-red-500" />
+                    )}
+                  </button>
+                  <button
+                    onClick={() => removeProposal(index)}
+                    className="hover:bg-black/10 rounded-full p-0.5"
+                  >
+                    <X className="w-3 h-3" />
+                  </button>
+                </div>
+              ))}
+            </div>
+            <div className="flex items-center justify-between">
+              <code className="text-xs text-gray-600 truncate">{acceptedTokenString}</code>
+              <button
+                onClick={handleAccept}
+                disabled={acceptedCount === 0}
+                className="ml-3 px-3 py-1.5 text-sm border border-blue-500 text-blue-600 rounded hover:bg-blue-50 disabled:opacity-50 whitespace-nowrap"
+              >
+                Add {acceptedCount} to input
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
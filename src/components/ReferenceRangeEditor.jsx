@@ -0,0 +1,115 @@
+// src/components/ReferenceRangeEditor.jsx
+import { useState } from 'react'
+import { Plus, Trash2, Loader2 } from 'lucide-react'
+import { useReferenceRanges } from '../Backend/useApi'
+import { SEX_OPTIONS, getDefaultReferenceRanges } from '../Backend/referenceRanges'
+import toast from 'react-hot-toast'
+
+const EMPTY_RANGE = { low: '', high: '', unit: '', sex: '', age_min: '', age_max: '' }
+
+const toNumberOrNull = (value) => (value === '' ? null : Number(value))
+
+const describeRange = (range) => {
+  const bounds = range.low === null ? `≤ ${range.high}` : range.high === null ? `≥ ${range.low}` : `${range.low}–${range.high}`
+  const variant = [
+    range.sex,
+    range.age_min !== null || range.age_max !== null ? `age ${range.age_min ?? 0}–${range.age_max ?? '∞'}` : null
+  ].filter(Boolean).join(', ')
+  return `${bounds} ${range.unit || ''}`.trim() + (variant ? ` (${variant})` : '')
+}
+
+// Reference ranges for one lab feature; bare values in tokens are read
+// against these, or against the built-in defaults while there are none
+export default function ReferenceRangeEditor({ feature }) {
+  const { ranges, loading, saveRange, deleteRange } = useReferenceRanges(feature.id)
+  const [draft, setDraft] = useState(EMPTY_RANGE)
+  const defaults = getDefaultReferenceRanges(feature.name)
+
+  const setField = (field) => (e) => setDraft(prev => ({ ...prev, [field]: e.target.value }))
+
+  const handleAdd = async (e) => {
+    e.preventDefault()
+    const range = {
+      low: toNumberOrNull(draft.low),
+      high: toNumberOrNull(draft.high),
+      unit: draft.unit.trim() || null,
+      sex: draft.sex || null,
+      age_min: toNumberOrNull(draft.age_min),
+      age_max: toNumberOrNull(draft.age_max)
+    }
+
+    if (range.low === null && range.high === null) {
+      toast.error('Enter a low or a high bound')
+      return
+    }
+    if (range.low !== null && range.high !== null && range.low > range.high) {
+      toast.error('The low bound is above the high bound')
+      return
+    }
+
+    const { error } = await saveRange(range)
+    if (error) {
+      toast.error(`Could not save range: ${error.message}`)
+      return
+    }
+    setDraft(EMPTY_RANGE)
+  }
+
+  const handleDelete = async (range) => {
+    const { error } = await deleteRange(range.id)
+    if (error) toast.error(`Could not delete range: ${error.message}`)
+  }
+
+  const inputClass = 'px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500'
+
+  return (
+    <div className="mt-2 p-3 bg-gray-50 rounded-lg space-y-2">
+      {loading ? (
+        <div className="flex items-center text-sm text-gray-500">
+          <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+          Loading ranges...
+        </div>
+      ) : ranges.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          {defaults.length > 0
+            ? `Using built-in ranges: ${defaults.map(describeRange).join('; ')}`
+            : 'No reference ranges, so values are not read as high or low'}
+        </p>
+      ) : (
+        <ul className="space-y-1">
+          {ranges.map(range => (
+            <li key={range.id} className="flex items-center gap-2 text-sm text-gray-800">
+              <span className="flex-1">{describeRange(range)}</span>
+              <button
+                onClick={() => handleDelete(range)}
+                className="p-1 text-gray-400 hover:text-red-600 rounded"
+                title="Delete range"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleAdd} className="flex flex-wrap items-center gap-2">
+        <input type="number" step="any" value={draft.low} onChange={setField('low')} placeholder="Low" className={`w-20 ${inputClass}`} />
+        <input type="number" step="any" value={draft.high} onChange={setField('high')} placeholder="High" className={`w-20 ${inputClass}`} />
+        <input type="text" value={draft.unit} onChange={setField('unit')} placeholder="Unit" className={`w-24 ${inputClass}`} />
+        <select value={draft.sex} onChange={setField('sex')} className={inputClass}>
+          <option value="">Any sex</option>
+          {SEX_OPTIONS.map(sex => <option key={sex} value={sex}>{sex}</option>)}
+        </select>
+        <input type="number" min="0" value={draft.age_min} onChange={setField('age_min')} placeholder="Age from" className={`w-24 ${inputClass}`} />
+        <input type="number" min="0" value={draft.age_max} onChange={setField('age_max')} placeholder="Age to" className={`w-24 ${inputClass}`} />
+        <button
+          type="submit"
+          className="flex items-center gap-1 px-2 py-1 text-sm text-white bg-blue-600 rounded hover:bg-blue-700"
+        >
+          <Plus className="w-4 h-4" />
+          Add range
+        </button>
+      </form>
+    </div>
+  )
+}
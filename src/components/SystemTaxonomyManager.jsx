@@ -0,0 +1,193 @@
+// src/components/SystemTaxonomyManager.jsx
+import { useState, useMemo, useId } from 'react'
+import { X, Edit3, Check, GitMerge, FolderTree } from 'lucide-react'
+import {
+  buildSystemTree,
+  findSystemVariants,
+  systemOptions,
+  subsystemOptions,
+  resolveSystemName,
+  resolveSubsystemName
+} from '../Backend/systemTaxonomy'
+import toast from 'react-hot-toast'
+
+// One system or subsystem value with an inline rename. Renaming to a
+// value that already exists merges the two.
+function RenameRow({ value, count, options, resolve, onRename, className = '' }) {
+  const [editing, setEditing] = useState(false)
+  const [draft, setDraft] = useState(value)
+  const listId = useId()
+
+  // Unchanged text is left alone, even if it is a short form
+  const save = () => {
+    const target = draft.trim() === value ? value : resolve(draft)
+    setEditing(false)
+    if (target && target !== value) onRename(value, target)
+  }
+
+  return (
+    <div className={`flex items-center gap-2 py-1.5 ${className}`}>
+      {editing ? (
+        <>
+          <input
+            type="text"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') save()
+              if (e.key === 'Escape') setEditing(false)
+            }}
+            list={listId}
+            autoFocus
+            className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <datalist id={listId}>
+            {options.map(option => <option key={option} value={option} />)}
+          </datalist>
+          <button onClick={save} className="p-1 text-green-600 hover:bg-green-50 rounded" title="Save">
+            <Check className="w-4 h-4" />
+          </button>
+          <button onClick={() => setEditing(false)} className="p-1 text-gray-400 hover:bg-gray-100 rounded" title="Cancel">
+            <X className="w-4 h-4" />
+          </button>
+        </>
+      ) : (
+        <>
+          <span className="flex-1 text-sm text-gray-900">{value}</span>
+          <span className="text-xs text-gray-500">{count}</span>
+          <button
+            onClick={() => {
+              setDraft(value)
+              setEditing(true)
+            }}
+            className="p-1 text-gray-400 hover:text-blue-600 rounded"
+            title={`Rename or merge ${value}`}
+          >
+            <Edit3 className="w-4 h-4" />
+          </button>
+        </>
+      )}
+    </div>
+  )
+}
+
+// Lists the systems and subsystems in use, with merge suggestions for
+// variant spellings. onRenameSystem(fromValues, to) and
+// onRenameSubsystem(systemValues, fromValues, to) take stored spellings
+// and return { data, error }.
+export default function SystemTaxonomyManager({ diseases, onClose, onRenameSystem, onRenameSubsystem }) {
+  const tree = useMemo(() => buildSystemTree(diseases).filter(node => node.system !== null), [diseases])
+  const variants = useMemo(() => findSystemVariants(diseases), [diseases])
+  const allSystems = useMemo(() => systemOptions(diseases), [diseases])
+
+  const report = (label, { data, error }) => {
+    if (error) {
+      toast.error(`Could not rename ${label}: ${error.message}`)
+    } else {
+      toast.success(`Updated ${data.updated} disease${data.updated === 1 ? '' : 's'}`)
+    }
+  }
+
+  const renameSystem = (node) => async (fromValue, toValue) => {
+    report(fromValue, await onRenameSystem(node.storedValues, toValue))
+  }
+
+  const mergeVariant = async (variant) => {
+    const fromValues = variant.values.map(({ value }) => value).filter(value => value !== variant.target)
+    const result = variant.field === 'subsystem'
+      ? await onRenameSubsystem(variant.systemValues, fromValues, variant.target)
+      : await onRenameSystem(fromValues, variant.target)
+    report(fromValues.join(', '), result)
+  }
+
+  const renameSubsystem = (node, child) => async (fromValue, toValue) => {
+    report(fromValue, await onRenameSubsystem(node.storedValues, child.storedValues, toValue))
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4 pt-4 pb-20 text-center sm:block sm:p-0">
+        {/* Backdrop */}
+        <div
+          className="fixed inset-0 transition-opacity bg-gray-500 bg-opacity-75"
+          onClick={onClose}
+        />
+
+        {/* Modal */}
+        <div className="inline-block w-full max-w-lg p-6 my-8 overflow-hidden text-left align-middle transition-all transform bg-white shadow-xl rounded-lg relative">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="flex items-center gap-2 text-lg font-semibold text-gray-900">
+              <FolderTree className="w-5 h-5" />
+              Systems & Subsystems
+            </h3>
+            <button
+              onClick={onClose}
+              className="p-2 hover:bg-gray-100 rounded-full transition-colors"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+
+          {variants.length > 0 && (
+            <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+              <h4 className="text-sm font-medium text-yellow-900 mb-2">Suggested merges</h4>
+              <div className="space-y-2">
+                {variants.map(variant => (
+                  <div key={`${variant.field}:${variant.system ?? ''}:${variant.target}`} className="flex items-center gap-2 text-sm">
+                    <span className="flex-1 text-yellow-900">
+                      {variant.field === 'subsystem' && <span className="text-yellow-700">{variant.system}: </span>}
+                      {variant.values.map(({ value, count }) => `${value} (${count})`).join(', ')}
+                      {' → '}
+                      <span className="font-medium">{variant.target}</span>
+                    </span>
+                    <button
+                      onClick={() => mergeVariant(variant)}
+                      className="flex items-center gap-1 px-2 py-1 text-yellow-900 border border-yellow-300 rounded hover:bg-yellow-100"
+                    >
+                      <GitMerge className="w-3 h-3" />
+                      Merge
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <p className="text-sm text-gray-500 mb-2">
+            Rename a value to one that already exists to merge them.
+          </p>
+
+          {tree.length === 0 ? (
+            <div className="py-8 text-center text-gray-500">No systems in use yet</div>
+          ) : (
+            <div className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+              {tree.map(node => (
+                <div key={node.system} className="py-1">
+                  <RenameRow
+                    value={node.system}
+                    count={node.count}
+                    options={allSystems}
+                    resolve={(text) => resolveSystemName(text, diseases)}
+                    onRename={renameSystem(node)}
+                    className="font-medium"
+                  />
+                  {node.subsystems.filter(child => child.subsystem !== null).map(child => (
+                    <RenameRow
+                      key={child.subsystem}
+                      value={child.subsystem}
+                      count={child.count}
+                      options={subsystemOptions(diseases, node.system)}
+                      resolve={(text) => resolveSubsystemName(text, node.system, diseases)}
+                      onRename={renameSubsystem(node, child)}
+                      className="pl-6"
+                    />
+                  ))}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -1,19 +1,38 @@
 // src/components/TokenInput.jsx
-import { useState, useRef, useEffect } from 'react'
-import { Search, X, Plus, Minus, ArrowUp, ArrowDown, Check, AlertCircle } from 'lucide-react'
-import { useFeatureSearch, useTokenParser, useFeatureCanonicalization } from '../Backend/useApi'
-import { parseTokensClient } from '../Backend/api'
+import { useState, useRef, useEffect, useMemo } from 'react'
+import { Search, X, Plus, Minus, ArrowUp, ArrowDown, Check, AlertCircle, FileText, Undo2, ClipboardList, HelpCircle } from 'lucide-react'
+import { useFeatureSearch, useTokenInputWorkflow, useFeatureCanonicalization, useDiseaseFeatureEditor, useLabUnitSystem } from '../Backend/useApi'
+import { parseTokenGrammar, DIRECTION_MODIFIERS } from '../Backend/tokenGrammar'
+import { toParsedToken, serializeParsedTokens } from '../Backend/tokenSpec'
+import { BACKEND_CONFIG } from '../Backend/backendConfig'
+import { interpretTokens, INTERPRETATIONS } from '../Backend/referenceRanges'
+import { trailingSearchQuery, hasSearchQualifiers, parseSearchQuery } from '../Backend/searchQuery'
+import { normalizeLabToken, UNIT_SYSTEMS } from '../Backend/labUnits'
+import TokenResolver from './TokenResolver'
+import CandidatePicker from './CandidatePicker'
+import NoteExtractor from './NoteExtractor'
 import toast from 'react-hot-toast'
 
-export default function TokenInput({ diseaseId, onTokensAdded, placeholder = "Enter features: +Dyspnea -Murmur Ferritin↓ MCV<80" }) {
+// Next option after `current`; an unset value counts as the first option
+const cycleOption = (options, current) => {
+  const index = options.indexOf(current ?? options[0])
+  return options[(index + 1) % options.length]
+}
+
+export default function TokenInput({ diseaseId, system = null, onTokensAdded, onFeaturesChanged, autoFocus = false, placeholder = "Enter features: +Dyspnea -Murmur Ferritin↓ MCV<80" }) {
   const [input, setInput] = useState('')
+  const [editMode, setEditMode] = useState(false)
   const [showSuggestions, setShowSuggestions] = useState(false)
   const [selectedIndex, setSelectedIndex] = useState(0)
-  const [processedTokens, setProcessedTokens] = useState([])
-  const [isProcessing, setIsProcessing] = useState(false)
+  const [resolvingIndex, setResolvingIndex] = useState(null)
+  // Ambiguous tokens open the candidate picker unless the user asked for the full resolver
+  const [pickingCandidate, setPickingCandidate] = useState(true)
+  const [showNoteExtractor, setShowNoteExtractor] = useState(false)
+  const [focusedChip, setFocusedChip] = useState(null)
   
   const inputRef = useRef(null)
   const suggestionsRef = useRef(null)
+  const chipRefs = useRef([])
   
   // Get the current word being typed for autocomplete
   const getCurrentWord = () => {
@@ -38,26 +57,82 @@ export default function TokenInput({ diseaseId, onTokensAdded, placeholder = "En
   }
 
   const currentWord = getCurrentWord()
-  const { results: suggestions, loading: searching } = useFeatureSearch(
-    currentWord.word.length >= 2 ? currentWord.word : ''
+
+  // Qualifiers typed before the word (type:lab fer) narrow the suggestions
+  // and are replaced along with the word when one is picked
+  const trailingQuery = trailingSearchQuery(input.slice(0, currentWord.endPos))
+  const qualifiedSearch = hasSearchQualifiers(trailingQuery.query)
+  const searchActive = qualifiedSearch || currentWord.word.length >= 2
+  const qualifierErrors = qualifiedSearch ? parseSearchQuery(trailingQuery.query).errors : []
+
+  const { results: suggestions, loading: searching, recordPick } = useFeatureSearch(
+    searchActive ? (qualifiedSearch ? trailingQuery.query : currentWord.word) : '',
+    { system }
   )
-  const { parseTokens } = useTokenParser()
+
+  // Type counts of the suggestions, shown above them for qualified searches
+  const suggestionFacets = useMemo(() => {
+    const counts = {}
+    suggestions.forEach(suggestion => {
+      counts[suggestion.type] = (counts[suggestion.type] || 0) + 1
+    })
+    return Object.entries(counts)
+  }, [suggestions])
+  const {
+    processTokenInput,
+    resolveToken,
+    removeResult,
+    undoLastSubmission,
+    canUndo,
+    clearResults,
+    processing: isProcessing,
+    results: processedTokens
+  } = useTokenInputWorkflow(diseaseId)
+  const { loadFeatures, serializeRows, saveTokenString, loading: loadingFeatures, saving } = useDiseaseFeatureEditor(diseaseId)
+  const { unitSystem } = useLabUnitSystem()
+
+  // Parse locally on every keystroke: bad spans get underlined and valid
+  // tokens preview in the same shape the server parser returns
+  // Values are interpreted in stored units but shown as typed
+  const { previewTokens, syntaxErrors } = useMemo(() => {
+    const { tokens, errors } = parseTokenGrammar(input)
+    const parsed = tokens.map(toParsedToken)
+    const interpreted = interpretTokens(parsed.map(token => normalizeLabToken(token, unitSystem)))
+    return {
+      previewTokens: parsed.map((token, index) => ({ ...token, interpretation: interpreted[index].interpretation })),
+      syntaxErrors: errors
+    }
+  }, [input, unitSystem])
+
+  useEffect(() => {
+    if (autoFocus) inputRef.current?.focus()
+  }, [autoFocus])
+
+  // Keep keyboard focus on the active chip across re-renders
+  useEffect(() => {
+    if (focusedChip !== null) {
+      chipRefs.current[focusedChip]?.focus()
+    }
+  }, [focusedChip, previewTokens])
 
   // Show suggestions when typing
   useEffect(() => {
     setShowSuggestions(
-      currentWord.word.length >= 2 && 
+      searchActive &&
       suggestions.length > 0 && 
       document.activeElement === inputRef.current
     )
     setSelectedIndex(0)
-  }, [currentWord.word, suggestions.length])
+  }, [searchActive, currentWord.word, suggestions.length])
 
   // Handle keyboard navigation
   const handleKeyDown = (e) => {
     if (!showSuggestions) {
       if (e.key === 'Enter') {
         handleSubmit()
+      } else if (e.key === 'ArrowDown' && previewTokens.length > 0) {
+        e.preventDefault()
+        setFocusedChip(0)
       }
       return
     }
@@ -86,58 +161,317 @@ export default function TokenInput({ diseaseId, onTokensAdded, placeholder = "En
   const selectSuggestion = (suggestion) => {
     if (!suggestion) return
 
+    // Picks feed the personalised ranking; failures only cost ranking
+    recordPick(suggestion)
+
     const words = input.split(/\s+/)
     const prefix = words[currentWord.index]?.match(/^[+-]?/)?.[0] || ''
     
-    // Replace current word with suggestion
-    words[currentWord.index] = prefix + suggestion.name
-    
-    const newInput = words.join(' ') + ' '
+    // Replace current word (and any qualifiers before it) with suggestion
+    const start = qualifiedSearch ? trailingQuery.start : currentWord.startPos
+    const inserted = input.slice(0, start) + prefix + suggestion.name + ' '
+    const newInput = inserted + input.slice(currentWord.endPos).trimStart()
     setInput(newInput)
     setShowSuggestions(false)
     
     // Focus back to input
     setTimeout(() => {
       inputRef.current?.focus()
-      inputRef.current?.setSelectionRange(newInput.length, newInput.length)
+      inputRef.current?.setSelectionRange(inserted.length, inserted.length)
     }, 0)
   }
 
   // Process and submit tokens
-  const handleSubmit = async () => {
-    if (!input.trim() || !diseaseId) return
+  // Load the disease's current features into the input as editable text
+  const startEditing = async () => {
+    const rows = await loadFeatures()
+    setInput(serializeRows(rows))
+    clearResults()
+    setEditMode(true)
+  }
 
-    setIsProcessing(true)
-    
+  const cancelEditing = () => {
+    setEditMode(false)
+    setInput('')
+  }
+
+  const saveEdits = async () => {
     try {
-      // Parse tokens using backend
-      const { data: tokens, error } = await parseTokens(input.trim())
-      
-      if (error) {
-        toast.error('Error parsing tokens: ' + error.message)
+      const result = await saveTokenString(input)
+
+      if (result.unresolved.length > 0) {
+        const ambiguous = result.unresolved.filter(t => t.ambiguous)
+        const unknown = result.unresolved.filter(t => !t.ambiguous)
+        if (ambiguous.length > 0) toast.error(`Could mean several features, add them one at a time: ${ambiguous.map(t => t.feature_text).join(', ')}`)
+        if (unknown.length > 0) toast.error(`Unrecognised features: ${unknown.map(t => t.feature_text).join(', ')}`)
         return
       }
-
-      setProcessedTokens(tokens || [])
-      
-      // If all tokens were successfully parsed, add them
-      const successfulTokens = tokens?.filter(t => t.canonical_feature_id) || []
-      if (successfulTokens.length > 0 && onTokensAdded) {
-        onTokensAdded(successfulTokens)
-        setInput('') // Clear input after successful submission
-        setProcessedTokens([])
-        toast.success(`Added ${successfulTokens.length} features`)
+      if (result.failed.length > 0) {
+        toast.error(`${result.failed.length} changes failed to save`)
+        return
       }
+
+      toast.success(`Saved: ${result.adds.length} added, ${result.updates.length} updated, ${result.removals.length} removed`)
+      setEditMode(false)
+      setInput('')
+      onFeaturesChanged?.(result)
     } catch (error) {
-      console.error('Error processing tokens:', error)
+      console.error('Error saving features:', error)
+      toast.error('Error saving features')
+    }
+  }
+
+  const handleSubmit = async () => {
+    if (!input.trim() || !diseaseId) return
+
+    if (syntaxErrors.length > 0) {
+      toast.error(`Fix ${syntaxErrors.length} token error${syntaxErrors.length === 1 ? '' : 's'} before adding`)
+      return
+    }
+
+    if (editMode) {
+      await saveEdits()
+      return
+    }
+
+    // Parse, canonicalize and add to the disease
+    const tokens = await processTokenInput(input.trim())
+    if (!tokens) {
       toast.error('Error processing input')
-    } finally {
-      setIsProcessing(false)
+      return
+    }
+
+    const failedTokens = tokens.filter(t => t.status === 'failed')
+    if (failedTokens.length > 0) {
+      // The batch is all-or-nothing: keep the text so it can be fixed
+      toast.error(`Nothing saved: ${failedTokens.length} token${failedTokens.length === 1 ? '' : 's'} failed`)
+      return
+    }
+
+    const addedTokens = tokens.filter(t => t.added)
+    if (addedTokens.length > 0) {
+      onTokensAdded?.(addedTokens)
+      toast.success((t) => (
+        <span className="flex items-center gap-3">
+          Added {addedTokens.length} features
+          <button
+            onClick={() => {
+              toast.dismiss(t.id)
+              handleUndo()
+            }}
+            className="underline hover:no-underline"
+          >
+            Undo
+          </button>
+        </span>
+      ))
+    }
+
+    // Unrecognised tokens stay behind as chips to resolve
+    setInput('')
+    setResolvingIndex(null)
+  }
+
+  const handleUndo = async () => {
+    try {
+      await undoLastSubmission()
+      toast.success('Submission undone')
+      onFeaturesChanged?.()
+    } catch (error) {
+      console.error('Error undoing submission:', error)
+      toast.error('Error undoing submission: ' + error.message)
+    }
+  }
+
+  const handleResolve = async (resolution) => {
+    const token = await resolveToken(resolvingIndex, resolution)
+    setResolvingIndex(null)
+    onTokensAdded?.([token])
+    toast.success(`Added ${token.canonical_name}`)
+    if (token.aliasError) toast.error(`Added, but the alias was not saved: ${token.aliasError}`)
+  }
+
+  // Reviewed note findings are appended to the input, not saved directly
+  const handleNoteAccepted = (tokenString) => {
+    setInput(prev => [prev.trim(), tokenString].filter(Boolean).join(' '))
+    setShowNoteExtractor(false)
+    setTimeout(() => inputRef.current?.focus(), 0)
+  }
+
+  const startResolving = (index) => {
+    setResolvingIndex(index)
+    setPickingCandidate(true)
+  }
+
+  const handleRemoveResult = (index) => {
+    removeResult(index)
+    setResolvingIndex(null)
+  }
+
+  // =====================================================
+  // CHIP EDITING
+  // =====================================================
+
+  // Chips are a view of the input text: every edit re-serializes the
+  // tokens back into it. Text with syntax errors would lose its invalid
+  // tokens, so chips are read-only until it parses.
+  const chipsEditable = syntaxErrors.length === 0 && !isProcessing && !saving
+
+  const returnToInput = () => {
+    setFocusedChip(null)
+    inputRef.current?.focus()
+    inputRef.current?.setSelectionRange(input.length, input.length)
+  }
+
+  const focusChip = (index) => {
+    if (index < 0 || index >= previewTokens.length) {
+      returnToInput()
+    } else {
+      setFocusedChip(index)
+    }
+  }
+
+  const rewriteTokens = (tokens, nextFocus) => {
+    setInput(serializeParsedTokens(tokens))
+    if (nextFocus === null) {
+      returnToInput()
+    } else {
+      setFocusedChip(nextFocus)
+    }
+  }
+
+  const updateChip = (index, changes) => {
+    rewriteTokens(previewTokens.map((token, i) => (i === index ? { ...token, ...changes } : token)), index)
+  }
+
+  // Runs of chips that serialize as one unit: an alternation group, or a
+  // single chip
+  const chipBlocks = () => {
+    const blocks = []
+    previewTokens.forEach((token, index) => {
+      const last = blocks[blocks.length - 1]
+      const group = token.alternative_group ?? null
+      if (group !== null && last && previewTokens[last.start].alternative_group === group) {
+        last.end = index + 1
+      } else {
+        blocks.push({ start: index, end: index + 1 })
+      }
+    })
+    return blocks
+  }
+
+  // Alternation members are always written together, so a chip steps
+  // over a whole neighbouring group, and a member moves within its group
+  // or, at the group's edge, takes the whole group along
+  const moveChip = (index, delta) => {
+    const target = index + delta
+    const group = previewTokens[index].alternative_group ?? null
+
+    if (group !== null && previewTokens[target]?.alternative_group === group) {
+      const tokens = [...previewTokens]
+      ;[tokens[index], tokens[target]] = [tokens[target], tokens[index]]
+      rewriteTokens(tokens, target)
+      return
     }
+
+    const blocks = chipBlocks()
+    const from = blocks.findIndex(block => index >= block.start && index < block.end)
+    const to = from + delta
+    if (to < 0 || to >= blocks.length) return
+
+    ;[blocks[from], blocks[to]] = [blocks[to], blocks[from]]
+    const tokens = blocks.flatMap(block => previewTokens.slice(block.start, block.end))
+    rewriteTokens(tokens, tokens.indexOf(previewTokens[index]))
+  }
+
+  const removeChip = (index) => {
+    const tokens = previewTokens.filter((_, i) => i !== index)
+    rewriteTokens(tokens, tokens.length === 0 ? null : Math.min(index, tokens.length - 1))
+  }
+
+  // ↑/↓ replace no value or the other direction; pressing the same one clears it
+  const toggleDirection = (index, direction) => {
+    const token = previewTokens[index]
+    if (token.value_modifier && !DIRECTION_MODIFIERS.includes(token.value_modifier)) {
+      toast.error(`${token.feature_text} already has a value`)
+      return
+    }
+    const next = token.value_modifier === direction ? null : direction
+    updateChip(index, { value_modifier: next, value_text: next })
+  }
+
+  const handleChipKeyDown = (e, index) => {
+    const token = previewTokens[index]
+    const move = e.altKey || e.shiftKey
+
+    // Navigation works on any chip; edits need text that parses
+    const navigation = {
+      ArrowLeft: () => (move ? moveChip(index, -1) : focusChip(index - 1)),
+      ArrowRight: () => (move ? moveChip(index, 1) : focusChip(index + 1)),
+      Home: () => focusChip(0),
+      End: () => focusChip(previewTokens.length - 1),
+      Escape: returnToInput,
+      Enter: returnToInput
+    }
+    const edits = {
+      ArrowUp: () => toggleDirection(index, '↑'),
+      ArrowDown: () => toggleDirection(index, '↓'),
+      '+': () => updateChip(index, { is_present: true }),
+      '-': () => updateChip(index, { is_present: false }),
+      ' ': () => updateChip(index, { is_present: !token.is_present }),
+      t: () => updateChip(index, { typicality: cycleOption(BACKEND_CONFIG.TYPICALITY_OPTIONS, token.typicality) }),
+      '*': () => updateChip(index, { is_pathognomonic: !token.is_pathognomonic }),
+      Backspace: () => removeChip(index),
+      Delete: () => removeChip(index)
+    }
+    BACKEND_CONFIG.WEIGHT_OPTIONS.forEach(weight => {
+      edits[String(weight)] = () => updateChip(index, { weight })
+    })
+
+    const action = navigation[e.key] ||
+      (move && e.key.startsWith('Arrow') ? null : edits[e.key])
+    if (!action) return
+
+    e.preventDefault()
+    if (!navigation[e.key] && !chipsEditable) {
+      toast.error('Fix token errors before editing chips')
+      return
+    }
+    action()
+  }
+
+  // Split the input into plain and erroneous segments for underlining
+  const renderHighlightedInput = () => {
+    const segments = []
+    let cursor = 0
+
+    const sortedErrors = [...syntaxErrors].sort((a, b) => a.start - b.start)
+    sortedErrors.forEach((err, index) => {
+      const start = Math.max(err.start, cursor)
+      const end = Math.min(Math.max(err.end, start), input.length)
+      if (start > cursor) {
+        segments.push(<span key={`text-${index}`}>{input.slice(cursor, start)}</span>)
+      }
+      segments.push(
+        <span
+          key={`error-${index}`}
+          title={err.message}
+          className="underline decoration-wavy decoration-red-500 text-red-700 bg-red-50"
+        >
+          {input.slice(start, end) || ' '}
+        </span>
+      )
+      cursor = Math.max(cursor, end)
+    })
+
+    if (cursor < input.length) {
+      segments.push(<span key="text-end">{input.slice(cursor)}</span>)
+    }
+    return segments
   }
 
   // Render individual token chip
-  const TokenChip = ({ token, onRemove }) => {
+  const TokenChip = ({ token, onRemove, onResolve, preview = false, chipProps = {} }) => {
     const getTokenIcon = () => {
       if (!token.is_present) return <Minus className="w-3 h-3 text-red-500" />
       if (token.value_modifier === '↑') return <ArrowUp className="w-3 h-3 text-green-500" />
@@ -146,38 +480,128 @@ export default function TokenInput({ diseaseId, onTokensAdded, placeholder = "En
     }
 
     const getTokenColor = () => {
+      if (preview) return 'bg-gray-50 text-gray-700 border-gray-200 border-dashed'
+      if (token.status === 'failed') return 'bg-amber-50 text-amber-800 border-amber-300'
+      if (token.status === 'undone') return 'bg-gray-50 text-gray-500 border-gray-200 line-through'
+      if (token.status === 'ambiguous') return 'bg-yellow-50 text-yellow-800 border-yellow-300'
       if (!token.canonical_feature_id) return 'bg-red-100 text-red-800 border-red-200'
       if (!token.is_present) return 'bg-red-50 text-red-700 border-red-200'
       return 'bg-blue-50 text-blue-700 border-blue-200'
     }
 
     return (
-      <div className={`inline-flex items-center gap-1 px-2 py-1 rounded-full border text-sm ${getTokenColor()}`}>
+      <div
+        className={`inline-flex items-center gap-1 px-2 py-1 rounded-full border text-sm outline-none focus:ring-2 focus:ring-blue-500 ${getTokenColor()}`}
+        title={token.addError}
+        {...chipProps}
+      >
         {getTokenIcon()}
         <span className="font-medium">
-          {token.canonical_name || token.original_token}
+          {token.canonical_name || token.feature_text || token.original_token}
         </span>
-        {token.value_modifier && (
-          <span className="text-xs opacity-75">{token.value_modifier}</span>
+        {token.value_text && (
+          <span className="text-xs opacity-75">{token.value_text}</span>
         )}
-        {token.numeric_value && (
-          <span className="text-xs opacity-75">{token.numeric_value}</span>
+        {token.interpretation && (
+          <span
+            className={`text-xs px-1 rounded ${
+              token.interpretation === INTERPRETATIONS.NORMAL
+                ? 'bg-green-100 text-green-800'
+                : 'bg-orange-100 text-orange-800'
+            }`}
+            title="Read against the lab's reference range"
+          >
+            {token.interpretation}
+          </span>
         )}
-        {!token.canonical_feature_id && (
-          <AlertCircle className="w-3 h-3 text-red-500" />
+        {token.typicality && (
+          <span className="text-xs opacity-75">~{token.typicality}</span>
+        )}
+        {token.weight && (
+          <span className="text-xs opacity-75">wt:{token.weight}</span>
+        )}
+        {token.is_pathognomonic && (
+          <span className="text-xs bg-purple-100 text-purple-800 px-1 rounded">Path</span>
+        )}
+        {token.alternative_group !== null && token.alternative_group !== undefined && (
+          <span className="text-xs opacity-75" title="Either finding">|{token.alternative_group}</span>
+        )}
+        {!preview && token.status === 'ambiguous' && onResolve && (
+          <button
+            onClick={onResolve}
+            className="flex items-center gap-0.5 text-xs underline hover:no-underline"
+            title={`${token.candidates.length} features match; choose one`}
+          >
+            <HelpCircle className="w-3 h-3 text-yellow-600" />
+            Pick
+          </button>
+        )}
+        {!preview && !token.canonical_feature_id && token.status !== 'ambiguous' && (
+          onResolve ? (
+            <button
+              onClick={onResolve}
+              className="flex items-center gap-0.5 text-xs underline hover:no-underline"
+              title="Link, alias or create this feature"
+            >
+              <AlertCircle className="w-3 h-3 text-red-500" />
+              Resolve
+            </button>
+          ) : (
+            <AlertCircle className="w-3 h-3 text-red-500" />
+          )
+        )}
+        {onRemove && (
+          <button
+            onClick={() => onRemove(token)}
+            className="hover:bg-black/10 rounded-full p-0.5"
+          >
+            <X className="w-3 h-3" />
+          </button>
         )}
-        <button
-          onClick={() => onRemove(token)}
-          className="hover:bg-black/10 rounded-full p-0.5"
-        >
-          <X className="w-3 h-3" />
-        </button>
       </div>
     )
   }
 
   return (
     <div className="space-y-4">
+      {/* Text Edit Mode */}
+      {diseaseId && (
+        editMode ? (
+          <div className="flex items-center justify-between px-3 py-2 bg-amber-50 border border-amber-200 rounded text-sm text-amber-800">
+            <span>Editing all features as text. Saving applies additions, changes and removals.</span>
+            <button onClick={cancelEditing} disabled={saving} className="ml-3 hover:underline">
+              Cancel
+            </button>
+          </div>
+        ) : (
+          <div className="flex items-center gap-4">
+            <button
+              onClick={startEditing}
+              disabled={loadingFeatures}
+              className="flex items-center gap-1 text-sm text-blue-500 hover:text-blue-600 disabled:opacity-50"
+            >
+              <FileText className="w-4 h-4" />
+              {loadingFeatures ? 'Loading features...' : 'Edit existing features as text'}
+            </button>
+            <button
+              onClick={() => setShowNoteExtractor(prev => !prev)}
+              className="flex items-center gap-1 text-sm text-blue-500 hover:text-blue-600"
+            >
+              <ClipboardList className="w-4 h-4" />
+              Extract from note
+            </button>
+          </div>
+        )
+      )}
+
+      {/* Note Extraction */}
+      {showNoteExtractor && !editMode && (
+        <NoteExtractor
+          onAccept={handleNoteAccepted}
+          onCancel={() => setShowNoteExtractor(false)}
+        />
+      )}
+
       {/* Main Input */}
       <div className="relative">
         <div className="relative">
@@ -188,11 +612,16 @@ export default function TokenInput({ diseaseId, onTokensAdded, placeholder = "En
             value={input}
             onChange={(e) => setInput(e.target.value)}
             onKeyDown={handleKeyDown}
-            onFocus={() => setShowSuggestions(currentWord.word.length >= 2 && suggestions.length > 0)}
+            onFocus={() => {
+              setFocusedChip(null)
+              setShowSuggestions(searchActive && suggestions.length > 0)
+            }}
             onBlur={() => setTimeout(() => setShowSuggestions(false), 200)} // Delay to allow clicking suggestions
             placeholder={placeholder}
-            className="w-full pl-10 pr-20 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-            disabled={isProcessing}
+            className={`w-full pl-10 pr-20 py-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+              syntaxErrors.length > 0 ? 'border-red-300' : 'border-gray-300'
+            }`}
+            disabled={isProcessing || saving}
           />
           <div className="absolute right-3 top-1/2 transform -translate-y-1/2 flex items-center gap-2">
             {searching && (
@@ -200,10 +629,10 @@ export default function TokenInput({ diseaseId, onTokensAdded, placeholder = "En
             )}
             <button
               onClick={handleSubmit}
-              disabled={!input.trim() || isProcessing}
+              disabled={!input.trim() || isProcessing || saving}
               className="px-3 py-1 bg-blue-500 text-white rounded text-sm hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed"
             >
-              {isProcessing ? 'Processing...' : 'Add'}
+              {isProcessing || saving ? 'Processing...' : editMode ? 'Save' : 'Add'}
             </button>
           </div>
         </div>
@@ -214,6 +643,11 @@ export default function TokenInput({ diseaseId, onTokensAdded, placeholder = "En
             ref={suggestionsRef}
             className="absolute z-50 w-full mt-1 bg-white border border-gray-200 rounded-lg shadow-lg max-h-60 overflow-y-auto"
           >
+            {qualifiedSearch && (
+              <div className="px-4 py-1 text-xs text-gray-500 bg-gray-50 border-b border-gray-100">
+                {suggestionFacets.map(([type, count]) => `${type} ${count}`).join(' • ')}
+              </div>
+            )}
             {suggestions.map((suggestion, index) => (
               <button
                 key={suggestion.id}
@@ -228,7 +662,8 @@ export default function TokenInput({ diseaseId, onTokensAdded, placeholder = "En
                     <span className="text-sm text-gray-500 ml-2">({suggestion.type})</span>
                   </div>
                   <div className="text-xs text-gray-400">
-                    {suggestion.match_type === 'alias' ? `via "${suggestion.matched_text}"` : ''}
+                    {suggestion.match_type === 'alias' && `via "${suggestion.matched_text}"`}
+                    {suggestion.match_type === 'parent' && `under "${suggestion.matched_text}"`}
                   </div>
                 </div>
               </button>
@@ -237,6 +672,57 @@ export default function TokenInput({ diseaseId, onTokensAdded, placeholder = "En
         )}
       </div>
 
+      {/* Search Qualifier Errors */}
+      {qualifierErrors.length > 0 && (
+        <ul className="space-y-1">
+          {qualifierErrors.map((error, index) => (
+            <li key={index} className="flex items-center gap-2 text-sm text-amber-600">
+              <AlertCircle className="w-4 h-4" />
+              {error.message}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Syntax Errors */}
+      {syntaxErrors.length > 0 && (
+        <div className="space-y-2">
+          <div className="font-mono text-sm whitespace-pre-wrap break-all text-gray-700 px-3 py-2 bg-gray-50 rounded">
+            {renderHighlightedInput()}
+          </div>
+          <ul className="space-y-1">
+            {syntaxErrors.map((err, index) => (
+              <li key={index} className="flex items-center gap-2 text-xs text-red-600">
+                <AlertCircle className="w-3 h-3" />
+                {err.message} (col {err.start + 1})
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Live Preview */}
+      {previewTokens.length > 0 && (
+        <div className="flex flex-wrap gap-2" role="listbox" aria-label="Parsed tokens">
+          {previewTokens.map((token, index) => (
+            <TokenChip
+              key={index}
+              token={token}
+              preview
+              onRemove={chipsEditable ? () => removeChip(index) : undefined}
+              chipProps={{
+                ref: (el) => { chipRefs.current[index] = el },
+                role: 'option',
+                'aria-selected': focusedChip === index,
+                tabIndex: index === (focusedChip ?? 0) ? 0 : -1,
+                onFocus: () => setFocusedChip(index),
+                onKeyDown: (e) => handleChipKeyDown(e, index)
+              }}
+            />
+          ))}
+        </div>
+      )}
+
       {/* Processed Tokens Preview */}
       {processedTokens.length > 0 && (
         <div className="space-y-3">
@@ -246,25 +732,93 @@ export default function TokenInput({ diseaseId, onTokensAdded, placeholder = "En
               <TokenChip
                 key={index}
                 token={token}
-                onRemove={() => setProcessedTokens(prev => prev.filter((_, i) => i !== index))}
+                onRemove={() => handleRemoveResult(index)}
+                onResolve={() => startResolving(index)}
               />
             ))}
           </div>
+
+          {/* Pick Between Candidates for Ambiguous Token */}
+          {resolvingIndex !== null && processedTokens[resolvingIndex]?.status === 'ambiguous' && pickingCandidate && (
+            <CandidatePicker
+              key={resolvingIndex}
+              token={processedTokens[resolvingIndex]}
+              onResolve={handleResolve}
+              onNoneMatch={() => setPickingCandidate(false)}
+              onCancel={() => setResolvingIndex(null)}
+            />
+          )}
+
+          {/* Resolve Unrecognised Token */}
+          {resolvingIndex !== null && processedTokens[resolvingIndex] &&
+            !(processedTokens[resolvingIndex].status === 'ambiguous' && pickingCandidate) && (
+            <TokenResolver
+              key={resolvingIndex}
+              token={processedTokens[resolvingIndex]}
+              onResolve={handleResolve}
+              onCancel={() => setResolvingIndex(null)}
+            />
+          )}
           
           {/* Summary */}
-          <div className="text-sm text-gray-600">
-            <span className="text-green-600">
-              {processedTokens.filter(t => t.canonical_feature_id).length} recognized
-            </span>
-            {processedTokens.filter(t => !t.canonical_feature_id).length > 0 && (
-              <>
-                {' • '}
-                <span className="text-red-600">
-                  {processedTokens.filter(t => !t.canonical_feature_id).length} need manual creation
-                </span>
-              </>
-            )}
+          <div className="flex items-center justify-between text-sm text-gray-600">
+            <div>
+              <span className="text-green-600">
+                {processedTokens.filter(t => t.status === 'added').length} added
+              </span>
+              {processedTokens.filter(t => t.status === 'failed').length > 0 && (
+                <>
+                  {' • '}
+                  <span className="text-amber-600">
+                    {processedTokens.filter(t => t.status === 'failed').length} failed
+                  </span>
+                </>
+              )}
+              {processedTokens.filter(t => t.status === 'ambiguous').length > 0 && (
+                <>
+                  {' • '}
+                  <span className="text-yellow-700">
+                    {processedTokens.filter(t => t.status === 'ambiguous').length} need a choice
+                  </span>
+                </>
+              )}
+              {processedTokens.filter(t => t.status === 'unrecognised').length > 0 && (
+                <>
+                  {' • '}
+                  <span className="text-red-600">
+                    {processedTokens.filter(t => t.status === 'unrecognised').length} need manual creation
+                  </span>
+                </>
+              )}
+            </div>
+            <div className="flex items-center gap-3">
+              {canUndo && (
+                <button
+                  onClick={handleUndo}
+                  disabled={isProcessing}
+                  className="flex items-center gap-1 text-blue-500 hover:text-blue-600 disabled:opacity-50"
+                >
+                  <Undo2 className="w-4 h-4" />
+                  Undo submission
+                </button>
+              )}
+              <button onClick={clearResults} className="text-gray-500 hover:text-gray-700">
+                Dismiss
+              </button>
+            </div>
           </div>
+
+          {/* Failure Report */}
+          {processedTokens.some(t => t.status === 'failed') && (
+            <ul className="space-y-1">
+              {processedTokens.filter(t => t.status === 'failed').map((token, index) => (
+                <li key={index} className="flex items-center gap-2 text-xs text-amber-700">
+                  <AlertCircle className="w-3 h-3" />
+                  <span className="font-medium">{token.original_token}</span>: {token.addError}
+                </li>
+              ))}
+            </ul>
+          )}
         </div>
       )}
 
@@ -274,9 +828,21 @@ export default function TokenInput({ diseaseId, onTokensAdded, placeholder = "En
         <ul className="list-disc list-inside space-y-1 mt-1">
           <li><code>+Dyspnea -Murmur</code> - Present/absent features</li>
           <li><code>Ferritin↓ TIBC↑</code> - Directional changes</li>
-          <li><code>MCV&lt;80 Hemoglobin&gt;12</code> - Numeric values</li>
+          <li><code>MCV&lt;80.5 Na&lt;135mmol/L</code> - Comparisons with decimals and units</li>
+          <li><code>Hb 8-10 Ferritin≈12</code> - Ranges and approximate values</li>
+          <li><code>Ferritin 8 MCV 72fL</code> - Lab values are read as ↑, ↓ or normal</li>
+          <li><code>Glucose 7mmol/L</code> - Either unit system; values without a unit are read as {unitSystem === UNIT_SYSTEMS.SI ? 'SI' : 'conventional'}</li>
+          <li><code>"Chest pain"</code> - Quote multi-word features</li>
+          <li><code>Fever~rare Splenomegaly!3 Auer-rods*</code> - Typicality, weight (1-3) and pathognomonic</li>
+          <li><code>-(Murmur Rub Gallop)</code> - Negate a whole group</li>
+          <li><code>Fever|Chills</code> - Either finding</li>
           <li><code>SOB Spoon Nails</code> - Use aliases, autocomplete helps</li>
         </ul>
+        <p className="mt-2">
+          <strong>Chips:</strong> ↓ from the input focuses them, ←/→ move between them,
+          Alt+←/→ reorder, +/- or Space toggle presence, ↑/↓ set direction,
+          1-3 weight, t typicality, * pathognomonic, Backspace delete, Esc back to the input.
+        </p>
       </div>
     </div>
   )
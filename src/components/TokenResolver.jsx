@@ -0,0 +1,119 @@
+// src/components/TokenResolver.jsx
+import { useState } from 'react'
+import { X, Link2, Tag, Plus } from 'lucide-react'
+import { useFeatureSearch } from '../Backend/useApi'
+import { guessFeatureType } from '../Backend/api'
+import { BACKEND_CONFIG } from '../Backend/backendConfig'
+import toast from 'react-hot-toast'
+
+// Resolves an unrecognised token: link it to a close existing feature,
+// save its text as an alias of one, or create a new feature from it
+export default function TokenResolver({ token, onResolve, onCancel }) {
+  const [newName, setNewName] = useState(token.feature_text)
+  const [newType, setNewType] = useState(() => guessFeatureType(token))
+  const [resolving, setResolving] = useState(false)
+
+  const { results: matches, loading: searching } = useFeatureSearch(token.feature_text)
+
+  const resolve = async (resolution) => {
+    setResolving(true)
+    try {
+      await onResolve(resolution)
+    } catch (error) {
+      console.error('Error resolving token:', error)
+      toast.error('Error resolving token: ' + error.message)
+    } finally {
+      setResolving(false)
+    }
+  }
+
+  return (
+    <div className="border border-red-200 rounded-lg bg-white shadow-sm">
+      <div className="flex items-center justify-between px-4 py-2 border-b border-red-100 bg-red-50 rounded-t-lg">
+        <span className="text-sm text-red-800">
+          Resolve <strong>{token.original_token}</strong>
+        </span>
+        <button
+          onClick={onCancel}
+          className="p-1 hover:bg-red-100 rounded-full transition-colors"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="p-4 space-y-4">
+        {/* Close Matches */}
+        <div>
+          <h5 className="text-xs font-medium text-gray-500 uppercase mb-2">Close matches</h5>
+          {searching ? (
+            <div className="text-sm text-gray-500">Searching...</div>
+          ) : matches.length === 0 ? (
+            <div className="text-sm text-gray-500">No similar features found</div>
+          ) : (
+            <div className="divide-y divide-gray-100">
+              {matches.map(feature => (
+                <div key={feature.id} className="flex items-center justify-between py-2">
+                  <div>
+                    <span className="font-medium text-sm">{feature.name}</span>
+                    <span className="text-xs text-gray-500 ml-2">({feature.type})</span>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <button
+                      onClick={() => resolve({ type: 'existing', feature })}
+                      disabled={resolving}
+                      className="flex items-center gap-1 px-2 py-1 text-xs border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      <Link2 className="w-3 h-3" />
+                      Use
+                    </button>
+                    <button
+                      onClick={() => resolve({ type: 'alias', feature })}
+                      disabled={resolving}
+                      className="flex items-center gap-1 px-2 py-1 text-xs border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50"
+                      title={`Remember "${token.feature_text}" as an alias of ${feature.name}`}
+                    >
+                      <Tag className="w-3 h-3" />
+                      Add as alias
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Create Feature */}
+        <div className="border-t pt-4">
+          <h5 className="text-xs font-medium text-gray-500 uppercase mb-2">Create new feature</h5>
+          <div className="flex items-center gap-2">
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              className="flex-1 px-3 py-1.5 text-sm border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              disabled={resolving}
+            />
+            <select
+              value={newType}
+              onChange={(e) => setNewType(e.target.value)}
+              className="px-2 py-1.5 text-sm border border-gray-300 rounded"
+              disabled={resolving}
+            >
+              {BACKEND_CONFIG.FEATURE_TYPES.map(type => (
+                <option key={type} value={type}>{type}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => resolve({ type: 'create', name: newName.trim(), featureType: newType })}
+              disabled={resolving || !newName.trim()}
+              className="flex items-center gap-1 px-3 py-1.5 text-sm bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
+            >
+              <Plus className="w-4 h-4" />
+              Create
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,65 @@
+-- Folds duplicate features into a survivor as one transaction, so a
+-- failure part-way leaves every link, alias and feature as it was.
+-- The client plans the merge (planFeatureMerge / planAliasMerge in
+-- src/Backend/featureDuplicates.js); this function only applies it.
+--
+--   link_upserts  the survivor's disease_feature rows, as planned
+--   alias_repoint duplicate aliases that move to the survivor
+--   alias_remove  duplicate aliases the survivor already answers to
+--   alias_add     duplicate names that become survivor aliases
+create or replace function public.merge_features(
+  survivor_id uuid,
+  duplicate_ids uuid[],
+  link_upserts jsonb default '[]',
+  alias_repoint uuid[] default '{}',
+  alias_remove uuid[] default '{}',
+  alias_add text[] default '{}'
+)
+returns void
+language plpgsql
+security invoker
+as $$
+begin
+  if survivor_id = any(duplicate_ids) then
+    raise exception 'A feature cannot be merged into itself';
+  end if;
+
+  insert into public.disease_feature (
+    disease_id, feature_id, is_present, value_text, unit, typicality,
+    weight, is_pathognomonic, alternative_group, interpretation
+  )
+  select
+    link.disease_id, survivor_id, link.is_present, link.value_text, link.unit, link.typicality,
+    link.weight, link.is_pathognomonic, link.alternative_group, link.interpretation
+  from jsonb_populate_recordset(null::public.disease_feature, link_upserts) as link
+  on conflict (disease_id, feature_id) do update set
+    is_present = excluded.is_present,
+    value_text = excluded.value_text,
+    unit = excluded.unit,
+    typicality = excluded.typicality,
+    weight = excluded.weight,
+    is_pathognomonic = excluded.is_pathognomonic,
+    alternative_group = excluded.alternative_group,
+    interpretation = excluded.interpretation;
+
+  update public.feature_aliases set feature_id = survivor_id where id = any(alias_repoint);
+  delete from public.feature_aliases where id = any(alias_remove);
+  insert into public.feature_aliases (feature_id, alias, user_id)
+  select survivor_id, alias, auth.uid() from unnest(alias_add) as alias;
+
+  -- Reference ranges move over unless the survivor has its own
+  if not exists (select 1 from public.feature_reference_ranges where feature_id = survivor_id) then
+    update public.feature_reference_ranges set feature_id = survivor_id where feature_id = any(duplicate_ids);
+  end if;
+
+  delete from public.disease_feature where feature_id = any(duplicate_ids);
+  delete from public.feature_reference_ranges where feature_id = any(duplicate_ids);
+  delete from public.feature_usage where feature_id = any(duplicate_ids);
+
+  -- Children of the duplicates are filed under the survivor instead
+  update public.features set parent_id = null where id = survivor_id and parent_id = any(duplicate_ids);
+  update public.features set parent_id = survivor_id where parent_id = any(duplicate_ids);
+
+  delete from public.features where id = any(duplicate_ids);
+end;
+$$;
@@ -0,0 +1,22 @@
+-- Deletes a disease and its disease_feature links as one transaction,
+-- so a failure leaves both as they were. The features themselves stay.
+-- Returns how many links were removed.
+create or replace function public.delete_disease(target_disease_id uuid)
+returns integer
+language plpgsql
+security invoker
+as $$
+declare
+  removed_links integer;
+begin
+  delete from public.disease_feature where disease_id = target_disease_id;
+  get diagnostics removed_links = row_count;
+
+  delete from public.diseases where id = target_disease_id;
+  if not found then
+    raise exception 'Disease not found';
+  end if;
+
+  return removed_links;
+end;
+$$;